@@ -1,35 +1,161 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './App.css';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
+import SessionWarning from './components/SessionWarning';
+import { setUnauthorizedHandler, refreshSession } from './api';
+import { resetTokenFrom } from './routes';
+import {
+  LOGOUT_NOTICES, readStoredToken, tokenExpiresAt, markActivity, lastActivity, sessionStatus,
+} from './session';
+
+// Activity is written to localStorage at most this often
+const ACTIVITY_THROTTLE_MS = 5000;
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+function readStoredUser() {
+  try {
+    return JSON.parse(localStorage.getItem('user')) || null;
+  } catch {
+    return null;
+  }
+}
 
 function App() {
-  const [token, setToken] = useState(localStorage.getItem('token'));
-  const [user, setUser] = useState(localStorage.getItem('user') ? JSON.parse(localStorage.getItem('user')) : null);
+  const [token, setToken] = useState(() => readStoredToken());
+  const [user, setUser] = useState(readStoredUser);
+  const [notice, setNotice] = useState('');
+  const [warning, setWarning] = useState(null);
+  const [resetToken, setResetToken] = useState(() => resetTokenFrom(window.location));
+  const refreshedToken = useRef(null); // token a refresh was already attempted for
+  const refreshing = useRef(false);
+  const signedIn = Boolean(token);
 
   const handleLogin = (newToken, newUser) => {
     localStorage.setItem('token', newToken);
     localStorage.setItem('user', JSON.stringify(newUser));
+    markActivity();
+    if (resetToken) {
+      window.history.replaceState(null, '', '/');
+      setResetToken(null);
+    }
+    setNotice('');
     setToken(newToken);
     setUser(newUser);
   };
 
-  const handleLogout = () => {
+  // reason: 'expired' | 'idle' shows a notice on the sign-in screen
+  const handleLogout = useCallback((reason) => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     setToken(null);
     setUser(null);
+    setWarning(null);
+    setNotice(LOGOUT_NOTICES[reason] || '');
+  }, []);
+
+  const handleUpdateUser = (updatedUser) => {
+    if (!updatedUser) return;
+    localStorage.setItem('user', JSON.stringify(updatedUser));
+    setUser(updatedUser);
+  };
+
+  // An expired or revoked token logs out from wherever the 401 happened
+  useEffect(() => setUnauthorizedHandler(() => handleLogout('expired')), [handleLogout]);
+
+  // Sign-in, sign-out and refreshed tokens from other tabs
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== null && e.key !== 'token' && e.key !== 'user') return;
+      const nextToken = localStorage.getItem('token');
+      setToken(nextToken);
+      setUser(nextToken ? readStoredUser() : null);
+      if (!nextToken) setWarning(null);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  // Activity (in any tab) keeps an idle session alive. Opening the app is
+  // not activity: a reload after the idle timeout must still sign out.
+  useEffect(() => {
+    if (!signedIn) return;
+    let last = 0;
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - last < ACTIVITY_THROTTLE_MS) return;
+      last = now;
+      markActivity(now);
+    };
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, handleActivity, { capture: true, passive: true }));
+    return () => ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity, { capture: true }));
+  }, [signedIn]);
+
+  // Once a second: sign out when the token lapses or the session idles out,
+  // try one silent refresh as expiry nears, and drive the warning countdown
+  useEffect(() => {
+    if (!token) return;
+    const expiresAt = tokenExpiresAt(token);
+
+    const tick = () => {
+      const status = sessionStatus({ expiresAt, lastActiveAt: lastActivity() });
+      if (status.action === 'logout') {
+        handleLogout(status.reason);
+        return;
+      }
+      if (status.refresh && refreshedToken.current !== token) {
+        refreshedToken.current = token;
+        refreshing.current = true;
+        refreshSession()
+          .then((data) => {
+            if (!data?.token) return;
+            localStorage.setItem('token', data.token);
+            setToken(data.token);
+            if (data.user) {
+              localStorage.setItem('user', JSON.stringify(data.user));
+              setUser(data.user);
+            }
+          })
+          .catch(() => {
+            // refresh unsupported or refused — the expiry warning takes over
+          })
+          .finally(() => { refreshing.current = false; });
+      }
+      const hideExpiry = status.warning?.reason === 'expired' && refreshing.current;
+      setWarning(status.warning && !hideExpiry ? status.warning : null);
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [token, handleLogout]);
+
+  // A completed reset ends any session in this browser and returns to sign-in
+  const handleResetDone = () => {
+    window.history.replaceState(null, '', '/');
+    setResetToken(null);
+    handleLogout('reset');
+  };
+
+  const handleStaySignedIn = () => {
+    markActivity();
+    setWarning(null);
   };
 
   return (
     <div className="App">
-      {token ? (
-        <Dashboard user={user} token={token} onLogout={handleLogout} />
+      {resetToken ? (
+        <Login resetToken={resetToken} onResetDone={handleResetDone} onLogin={handleLogin} />
+      ) : token ? (
+        <>
+          <Dashboard user={user} token={token} onLogout={() => handleLogout()} onUpdateUser={handleUpdateUser} />
+          <SessionWarning warning={warning} onStay={handleStaySignedIn} onLogout={() => handleLogout()} />
+        </>
       ) : (
-        <Login onLogin={handleLogin} />
+        <Login onLogin={handleLogin} notice={notice} />
       )}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,154 @@
+// ── Client analytics computed from loaded submissions ─────────
+// Used when the API has no aggregates for a client. Shape:
+// {
+//   months:    ['YYYY-MM', …]                     oldest → current
+//   monthly:   [{ date: 'YYYY-MM-01', count, series: { formName: n } }]
+//   perForm:   [{ formName, total, thisMonth, lastMonth, change }]   change = % or null
+//   heatmap:   number[7][24]                       [getDay()][getHours()]
+//   topFields: [{ field, answered, values: [{ value, count }] }]
+// }
+
+export function monthKey(date) {
+    const d = new Date(date);
+    if (Number.isNaN(d.getTime())) return '';
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+export function lastMonths(count, now = new Date()) {
+    const months = [];
+    for (let i = count - 1; i >= 0; i--) {
+        months.push(monthKey(new Date(now.getFullYear(), now.getMonth() - i, 1)));
+    }
+    return months;
+}
+
+export function percentChange(current, previous) {
+    if (!previous) return current > 0 ? null : 0;
+    return Math.round(((current - previous) / previous) * 100);
+}
+
+// Free-text / identity fields never make useful "top values"
+const NON_CATEGORICAL = /name|e-?mail|phone|tel\b|address|street|zip|postal|message|comment|note|question|description|details|signature|url|website|date|time/i;
+
+// Fields that behave like selects: answered often, few distinct short values
+export function categoricalFields(submissions, { maxDistinct = 12, minAnswered = 5, limit = 4 } = {}) {
+    const stats = new Map();
+    submissions.forEach((sub) => {
+        Object.entries(sub?.submission_data || {}).forEach(([key, raw]) => {
+            if (NON_CATEGORICAL.test(key)) return;
+            const value = String(raw ?? '').trim();
+            if (!value || value.length > 60) return;
+            if (!stats.has(key)) stats.set(key, new Map());
+            const counts = stats.get(key);
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+    });
+
+    return [...stats.entries()]
+        .map(([field, counts]) => ({
+            field,
+            answered: [...counts.values()].reduce((a, b) => a + b, 0),
+            distinct: counts.size,
+            values: [...counts.entries()]
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, 5),
+        }))
+        .filter((f) => f.distinct > 1 && f.distinct <= maxDistinct && f.answered >= minAnswered && f.distinct < f.answered)
+        .sort((a, b) => b.answered - a.answered)
+        .slice(0, limit)
+        .map(({ field, answered, values }) => ({ field, answered, values }));
+}
+
+export function computeClientAnalytics(submissions, { monthCount = 6, now = new Date() } = {}) {
+    const rows = submissions || [];
+    const months = lastMonths(monthCount, now);
+    const monthIndex = new Map(months.map((m, i) => [m, i]));
+    const monthly = months.map((m) => ({ date: `${m}-01`, count: 0, series: {} }));
+    const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+    const forms = new Map();
+    const thisMonth = months[months.length - 1];
+    const lastMonth = months[months.length - 2];
+
+    rows.forEach((sub) => {
+        const d = new Date(sub?.submitted_at);
+        if (Number.isNaN(d.getTime())) return;
+        const formName = sub.form_name || 'Untitled form';
+        const m = monthKey(d);
+
+        heatmap[d.getDay()][d.getHours()] += 1;
+
+        if (!forms.has(formName)) forms.set(formName, { formName, total: 0, thisMonth: 0, lastMonth: 0 });
+        const f = forms.get(formName);
+        f.total += 1;
+        if (m === thisMonth) f.thisMonth += 1;
+        if (m === lastMonth) f.lastMonth += 1;
+
+        const i = monthIndex.get(m);
+        if (i !== undefined) {
+            monthly[i].count += 1;
+            monthly[i].series[formName] = (monthly[i].series[formName] || 0) + 1;
+        }
+    });
+
+    const perForm = [...forms.values()]
+        .map((f) => ({ ...f, change: percentChange(f.thisMonth, f.lastMonth) }))
+        .sort((a, b) => b.total - a.total);
+
+    return { months, monthly, perForm, heatmap, topFields: categoricalFields(rows) };
+}
+
+
+// ── API aggregates ──
+// The optional analytics endpoint returns the same shape. Each field is
+// checked on its own; only the well-formed ones are kept, so the caller can
+// fill the rest from computeClientAnalytics().
+export const ANALYTICS_FIELDS = ['months', 'monthly', 'perForm', 'heatmap', 'topFields'];
+
+const isCount = (n) => Number.isFinite(Number(n)) && Number(n) >= 0;
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const VALID = {
+    months: (v) => Array.isArray(v) && v.every((m) => typeof m === 'string'),
+    monthly: (v) => Array.isArray(v) && v.every((p) => typeof p?.date === 'string' && isCount(p.count)
+        && (p.series === undefined || isObject(p.series))),
+    perForm: (v) => Array.isArray(v) && v.every((f) => typeof f?.formName === 'string' && isCount(f.total)),
+    heatmap: (v) => Array.isArray(v) && v.length === 7
+        && v.every((hours) => Array.isArray(hours) && hours.length === 24 && hours.every(isCount)),
+    topFields: (v) => Array.isArray(v) && v.every((f) => typeof f?.field === 'string' && Array.isArray(f.values)),
+};
+
+// → { field: value } for the fields of `data` that are usable
+export function normalizeAnalytics(data) {
+    if (!isObject(data)) return {};
+    const out = {};
+    ANALYTICS_FIELDS.forEach((field) => {
+        if (VALID[field](data[field])) out[field] = data[field];
+    });
+    // The chart's months and points only make sense together
+    if (!out.months || !out.monthly) {
+        delete out.months;
+        delete out.monthly;
+    }
+    if (out.monthly) out.monthly = out.monthly.map((p) => ({ ...p, count: Number(p.count), series: p.series || {} }));
+    if (out.perForm) {
+        out.perForm = out.perForm.map((f) => ({
+            ...f,
+            total: Number(f.total),
+            thisMonth: Number(f.thisMonth) || 0,
+            lastMonth: Number(f.lastMonth) || 0,
+            change: Number.isFinite(f.change) ? f.change : null,
+        }));
+    }
+    if (out.heatmap) out.heatmap = out.heatmap.map((hours) => hours.map(Number));
+    if (out.topFields) {
+        out.topFields = out.topFields.map((f) => ({
+            field: f.field,
+            answered: Number(f.answered) || 0,
+            values: f.values
+                .filter((v) => v && isCount(v.count))
+                .map((v) => ({ value: String(v.value ?? ''), count: Number(v.count) })),
+        }));
+    }
+    return out;
+}
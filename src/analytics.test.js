@@ -0,0 +1,61 @@
+import {
+    lastMonths, percentChange, categoricalFields, computeClientAnalytics, normalizeAnalytics, ANALYTICS_FIELDS,
+} from './analytics';
+
+const now = new Date(2026, 3, 15); // April 2026
+
+test('lastMonths ends with the current month', () => {
+    expect(lastMonths(3, now)).toEqual(['2026-02', '2026-03', '2026-04']);
+});
+
+test('percentChange handles an empty previous period', () => {
+    expect(percentChange(15, 10)).toBe(50);
+    expect(percentChange(5, 0)).toBe(null);
+    expect(percentChange(0, 0)).toBe(0);
+});
+
+test('categoricalFields keeps select-like fields only', () => {
+    const subs = Array.from({ length: 8 }, (_, i) => ({
+        submission_data: {
+            'Service requested': i % 2 ? 'Roofing' : 'Siding',
+            Email: `lead${i}@example.com`,
+            'Favorite color': `color ${i}`,
+        },
+    }));
+    const fields = categoricalFields(subs);
+    expect(fields.map((f) => f.field)).toEqual(['Service requested']);
+    expect(fields[0].values).toEqual([{ value: 'Siding', count: 4 }, { value: 'Roofing', count: 4 }]);
+});
+
+test('computeClientAnalytics buckets by month, form and hour', () => {
+    const subs = [
+        { form_name: 'Contact', submitted_at: new Date(2026, 3, 2, 9).toISOString() },
+        { form_name: 'Contact', submitted_at: new Date(2026, 2, 3, 9).toISOString() },
+        { form_name: 'Contact', submitted_at: new Date(2026, 2, 4, 14).toISOString() },
+        { form_name: 'Quote', submitted_at: new Date(2026, 3, 5, 14).toISOString() },
+    ];
+    const a = computeClientAnalytics(subs, { monthCount: 2, now });
+    expect(a.monthly.map((m) => m.count)).toEqual([2, 2]);
+    expect(a.perForm[0]).toEqual({ formName: 'Contact', total: 3, thisMonth: 1, lastMonth: 2, change: -50 });
+    expect(a.heatmap[new Date(2026, 3, 2).getDay()][9]).toBe(1);
+});
+
+test('normalizeAnalytics keeps only well-formed fields', () => {
+    const heatmap = Array.from({ length: 7 }, () => Array(24).fill('1'));
+    const a = normalizeAnalytics({
+        months: ['2026-03', '2026-04'],
+        monthly: [{ date: '2026-03-01', count: '2' }, { date: '2026-04-01', count: 3, series: { Contact: 3 } }],
+        perForm: [{ formName: 'Contact', total: 5, thisMonth: 3, lastMonth: 2, change: 50 }],
+        heatmap,
+        topFields: 'nope',
+    });
+    expect(Object.keys(a)).toEqual(['months', 'monthly', 'perForm', 'heatmap']);
+    expect(a.monthly[0]).toEqual({ date: '2026-03-01', count: 2, series: {} });
+    expect(a.heatmap[0][0]).toBe(1);
+
+    expect(normalizeAnalytics({ perForm: [{ total: 1 }], heatmap: [[1]] })).toEqual({});
+    expect(normalizeAnalytics({ months: ['2026-04'], monthly: null })).toEqual({});
+    expect(normalizeAnalytics(null)).toEqual({});
+    const full = computeClientAnalytics([], { now });
+    expect(Object.keys(normalizeAnalytics(full))).toEqual(ANALYTICS_FIELDS);
+});
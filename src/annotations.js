@@ -0,0 +1,88 @@
+// ── Submission annotations (notes, tags, assignee) ────────────
+// Internal follow-up data the API keeps next to submission_data:
+//   notes:    [{ id, text, author: { id, name }, created_at }], oldest first
+//   tags:     ['hot', 'follow-up', …]
+//   assignee: { id, name } | null
+
+export const PRESET_TAGS = ['hot', 'follow-up', 'duplicate'];
+
+const TAG_COLORS = {
+    hot: '#e53e3e',
+    'follow-up': '#dd6b20',
+    duplicate: '#718096',
+};
+
+// Custom tags get a stable color from this palette
+const TAG_PALETTE = ['#3182ce', '#38a169', '#805ad5', '#d69e2e', '#319795', '#d53f8c'];
+
+// Assignee filter values besides a user id
+export const ANY_ASSIGNEE = '';
+export const UNASSIGNED = 'unassigned';
+
+// "Follow Up " → 'follow-up'
+export function normalizeTag(tag) {
+    return String(tag || '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, 30);
+}
+
+// Normalized, without blanks or repeats
+export function normalizeTags(tags) {
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+export function tagColor(tag) {
+    if (TAG_COLORS[tag]) return TAG_COLORS[tag];
+    let hash = 0;
+    for (const ch of String(tag)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+export function tagsOf(sub) {
+    return Array.isArray(sub?.tags) ? sub.tags : [];
+}
+
+export function notesOf(sub) {
+    return Array.isArray(sub?.notes) ? sub.notes : [];
+}
+
+export function assigneeOf(sub) {
+    return sub?.assignee?.id != null ? sub.assignee : null;
+}
+
+// Presets first, then every other tag in use, alphabetically
+export function allTags(subs) {
+    const used = new Set();
+    for (const sub of subs) tagsOf(sub).forEach((t) => used.add(t));
+    const custom = [...used].filter((t) => !PRESET_TAGS.includes(t)).sort();
+    return [...PRESET_TAGS, ...custom];
+}
+
+// A row must carry every selected tag (AND) and match the assignee filter
+export function filterByAnnotations(subs, { tags = [], assignee = ANY_ASSIGNEE } = {}) {
+    if (!tags.length && assignee === ANY_ASSIGNEE) return subs;
+    return subs.filter((sub) => {
+        const subTags = tagsOf(sub);
+        if (!tags.every((t) => subTags.includes(t))) return false;
+        const current = assigneeOf(sub);
+        if (assignee === UNASSIGNED) return !current;
+        return assignee === ANY_ASSIGNEE || String(current?.id) === String(assignee);
+    });
+}
+
+// ── Optimistic local copies, matching what the API records ──
+export function withTags(sub, tags) {
+    return { ...sub, tags: normalizeTags(tags) };
+}
+
+export function withAssignee(sub, member) {
+    return { ...sub, assignee: member ? { id: member.id, name: member.name || member.email } : null };
+}
+
+export function withNote(sub, text, user, at = new Date().toISOString()) {
+    const note = {
+        id: `local-${at}`,
+        text: text.trim(),
+        author: user ? { id: user.id, name: user.name || user.email } : null,
+        created_at: at,
+    };
+    return { ...sub, notes: [...notesOf(sub), note] };
+}
@@ -0,0 +1,36 @@
+import {
+    normalizeTag, tagColor, allTags, filterByAnnotations, UNASSIGNED, withTags, withAssignee, withNote,
+} from './annotations';
+
+test('normalizeTag and tagColor', () => {
+    expect(normalizeTag('  Follow  Up ')).toBe('follow-up');
+    expect(tagColor('hot')).toBe('#e53e3e');
+    expect(tagColor('vip')).toBe(tagColor('vip'));
+});
+
+test('allTags lists presets first, then custom tags in use', () => {
+    expect(allTags([{ tags: ['vip', 'hot'] }, { tags: ['agency'] }, {}])).toEqual(['hot', 'follow-up', 'duplicate', 'agency', 'vip']);
+});
+
+test('filterByAnnotations matches every tag and the assignee', () => {
+    const subs = [
+        { id: 1, tags: ['hot', 'follow-up'], assignee: { id: 7, name: 'Ana' } },
+        { id: 2, tags: ['hot'] },
+        { id: 3, assignee: { id: 8, name: 'Bo' } },
+    ];
+    expect(filterByAnnotations(subs, {})).toBe(subs);
+    expect(filterByAnnotations(subs, { tags: ['hot'] }).map((s) => s.id)).toEqual([1, 2]);
+    expect(filterByAnnotations(subs, { tags: ['hot', 'follow-up'] }).map((s) => s.id)).toEqual([1]);
+    expect(filterByAnnotations(subs, { assignee: UNASSIGNED }).map((s) => s.id)).toEqual([2]);
+    expect(filterByAnnotations(subs, { assignee: '8' }).map((s) => s.id)).toEqual([3]);
+});
+
+test('optimistic copies', () => {
+    expect(withTags({ id: 1 }, ['Hot', 'hot', ' ']).tags).toEqual(['hot']);
+    expect(withAssignee({ id: 1 }, { id: 7, email: 'ana@example.com' }).assignee).toEqual({ id: 7, name: 'ana@example.com' });
+    expect(withAssignee({ id: 1, assignee: { id: 7 } }, null).assignee).toBeNull();
+    const next = withNote({ id: 1 }, ' Called back ', { id: 7, name: 'Ana' }, '2026-05-01T10:00:00Z');
+    expect(next.notes).toEqual([
+        { id: 'local-2026-05-01T10:00:00Z', text: 'Called back', author: { id: 7, name: 'Ana' }, created_at: '2026-05-01T10:00:00Z' },
+    ]);
+});
@@ -0,0 +1,207 @@
+import axios from 'axios';
+
+// ── API client ────────────────────────────────────────────────
+// Every request goes through here: the bearer token is read from
+// localStorage (App owns it), a 401 on an authenticated request calls the
+// handler App registers (logout), and GETs retry with backoff on network
+// errors, 429 and 5xx. Endpoint functions resolve to the response body and
+// accept { signal } so callers can cancel when the view changes.
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+const RETRY_LIMIT = 3;
+const RETRY_BASE_MS = 400;
+
+const http = axios.create({
+    baseURL: API_URL,
+    headers: { 'Content-Type': 'application/json' },
+});
+
+let unauthorizedHandler = null;
+
+// Registers the global 401 handler; returns an unregister function
+export function setUnauthorizedHandler(handler) {
+    unauthorizedHandler = handler;
+    return () => {
+        if (unauthorizedHandler === handler) unauthorizedHandler = null;
+    };
+}
+
+http.interceptors.request.use((config) => {
+    const token = localStorage.getItem('token');
+    if (token && !config.headers.Authorization) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+});
+
+http.interceptors.response.use(null, (err) => {
+    const { config } = err || {};
+    if (err?.response?.status === 401 && config?.headers?.Authorization && !config.skipAuthHandler && unauthorizedHandler) {
+        unauthorizedHandler(err);
+    }
+    return Promise.reject(err);
+});
+
+export function isCancel(err) {
+    return axios.isCancel(err);
+}
+
+function isRetryable(err) {
+    if (isCancel(err)) return false;
+    const status = err?.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new axios.CanceledError());
+        }, { once: true });
+    });
+}
+
+export async function get(url, config = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const res = await http.get(url, config);
+            return res.data;
+        } catch (err) {
+            if (attempt >= RETRY_LIMIT || !isRetryable(err)) throw err;
+            await wait(RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_BASE_MS, config.signal);
+        }
+    }
+}
+
+async function send(method, url, data, config = {}) {
+    const res = await http.request({ ...config, method, url, data });
+    return res.data;
+}
+
+export function getErrorMessage(err) {
+    if (err?.response?.data) {
+        try {
+            return typeof err.response.data === 'string'
+                ? err.response.data
+                : err.response.data.error || JSON.stringify(err.response.data);
+        } catch {
+            // ignore
+        }
+    }
+    return err?.message || 'Unknown error';
+}
+
+const asList = (data) => (Array.isArray(data) ? data : []);
+
+// ── Auth ─────────────────────────────────────────────────────
+export const login = (email, password) => send('post', '/api/auth/login', { email, password });
+export const updateMe = (fields) => send('patch', '/api/auth/me', fields);
+// → { role, clients: 'all' | [clientId…], actions: { [action]: bool } } — see ../permissions.js
+export const getMyPermissions = (opts) => get('/api/auth/permissions', opts);
+// Exchanges a still-valid token for a fresh one; a 401 here means "not
+// renewable", not "signed out", so it bypasses the global handler
+export const refreshSession = () => send('post', '/api/auth/refresh', {}, { skipAuthHandler: true });
+export const requestPasswordReset = (email) => send('post', '/api/auth/forgot-password', { email });
+export const resetPassword = (token, password) => send('post', '/api/auth/reset-password', { token, password });
+// A wrong current password may come back as 401 — not a reason to sign out
+export const changePassword = (currentPassword, newPassword) => send(
+    'post', '/api/auth/change-password',
+    { current_password: currentPassword, new_password: newPassword },
+    { skipAuthHandler: true }
+);
+
+// ── Two-factor (TOTP) ────────────────────────────────────────
+// login() answers { two_factor_required, challenge_token } instead of a token
+// when the account has 2FA; the code (or a recovery code) completes it.
+export const verifyTwoFactor = (challengeToken, { code, recoveryCode }) => send('post', '/api/auth/2fa/verify', {
+    challenge_token: challengeToken,
+    ...(recoveryCode ? { recovery_code: recoveryCode } : { code }),
+});
+// → { secret, otpauth_url }
+export const startTwoFactorSetup = () => send('post', '/api/auth/2fa/setup', {});
+// → { recovery_codes: [...] }
+export const enableTwoFactor = (code) => send('post', '/api/auth/2fa/enable', { code }, { skipAuthHandler: true });
+export const disableTwoFactor = (code) => send('post', '/api/auth/2fa/disable', { code }, { skipAuthHandler: true });
+
+// Active users (id, name, email) that submissions can be assigned to — open to every role
+export const getTeamMembers = (opts) => get('/api/users/team', opts).then(asList);
+
+// ── Admin ────────────────────────────────────────────────────
+export const getUsers = (opts) => get('/api/admin/users', opts).then(asList);
+export const createUser = (fields) => send('post', '/api/admin/users', fields);
+// fields: { name, email, role, is_admin, is_active, client_ids }
+export const updateUser = (id, fields) => send('patch', `/api/admin/users/${id}`, fields);
+// Invalidates the current password and emails the user a reset link
+export const forcePasswordReset = (id) => send('post', `/api/admin/users/${id}/reset-password`, {});
+// → { require_two_factor }
+export const getSecuritySettings = (opts) => get('/api/admin/settings', opts).then((data) => data || {});
+export const updateSecuritySettings = (fields) => send('patch', '/api/admin/settings', fields);
+
+// ── Clients ──────────────────────────────────────────────────
+export const getClients = (opts) => get('/api/clients', opts).then(asList);
+export const createClient = (fields) => send('post', '/api/clients', fields);
+export const updateClient = (id, fields) => send('patch', `/api/clients/${id}`, fields);
+export const deleteClient = (id) => send('delete', `/api/clients/${id}`);
+// Metadata only → { key_prefix, created_at, last_used_at }; key_prefix is null once revoked
+export const getClientApiKey = (id, opts) => get(`/api/clients/${id}/api-key`, opts).then((data) => data || {});
+// The full key, fetched only when it's revealed or copied → { api_key }
+export const revealClientApiKey = (id) => send('post', `/api/clients/${id}/api-key/reveal`, {});
+// Issues a new key and invalidates the old one → metadata plus the new api_key
+export const rotateClientApiKey = (id) => send('post', `/api/clients/${id}/api-key/rotate`, {});
+export const revokeClientApiKey = (id) => send('delete', `/api/clients/${id}/api-key`);
+// Health reports → see ../connection.js. The list form covers every visible client.
+export const getClientsHealth = (opts) => get('/api/clients/health', opts).then(asList);
+// fields: { wordpress_url, client_id? } — without a client only the site and plugin are checked
+export const testConnection = (fields) => send('post', '/api/clients/test-connection', fields);
+// → { allow, deny, learned: { spam, ham } }
+export const getSpamRules = (id, opts) => get(`/api/clients/${id}/spam-rules`, opts).then((data) => data || {});
+export const updateSpamRules = (id, rules) => send('put', `/api/clients/${id}/spam-rules`, rules);
+
+// ── Stats ────────────────────────────────────────────────────
+export const getStats = (opts) => get('/api/stats', opts).then((data) => data || {});
+export const getClientStats = (clientId, opts) => get(`/api/stats/client/${clientId}`, opts).then((data) => data || {});
+// Asks for aggregates without the client's spam; servers that can do that
+// answer with excludes_spam: true — see ../analytics.js
+export const getClientAnalytics = (clientId, opts) => (
+    get(`/api/stats/client/${clientId}/analytics`, { ...opts, params: { exclude_spam: true } })
+);
+
+// ── Forms ────────────────────────────────────────────────────
+export const getClientForms = (clientId, opts) => get(`/api/forms/client/${clientId}`, opts).then(asList);
+export const deleteForm = (formId) => send('delete', `/api/forms/${formId}`);
+
+// ── Submissions ──────────────────────────────────────────────
+// Paged lists resolve to the raw body (array or page object) — see
+// normalizeSubmissionPage in ./submissions. params: limit, offset, cursor,
+// sort, order and an optional search q.
+export const getFormSubmissions = (formId, params, opts) => get(`/api/forms/${formId}/submissions`, { ...opts, params });
+export const getClientSubmissions = (clientId, params, opts) => get(`/api/submissions/client/${clientId}`, { ...opts, params });
+export const getRecentSubmissions = (days, opts) => get('/api/submissions/recent', { ...opts, params: { days } }).then(asList);
+// Submissions stored after `since` (ISO time), newest first — live polling
+export const getSubmissionsSince = (since, opts) => get('/api/submissions/recent', { ...opts, params: { since } }).then(asList);
+// → { ticket }: authorizes one live stream connection (see ../live.js), expires within a minute
+export const createLiveTicket = () => send('post', '/api/live/ticket');
+export const getConsentSubmissions = (opts) => get('/api/consent-form/submissions', opts).then(asList);
+// Both resolve to the updated submission(s), status_history included
+export const updateSubmissionStatus = (id, status) => send('patch', `/api/submissions/${id}/status`, { status });
+export const updateSubmissionsStatus = (ids, status) => send('post', '/api/submissions/status', { ids, status });
+// fields: { tags } and/or { assignee_id } (null unassigns)
+export const updateSubmission = (id, fields) => send('patch', `/api/submissions/${id}`, fields);
+// → the updated submission, notes included
+export const addSubmissionNote = (id, text) => send('post', `/api/submissions/${id}/notes`, { text });
+// Manual spam verdict (true quarantines, false releases) → the updated submissions
+export const markSubmissionsSpam = (ids, spam) => send('post', '/api/submissions/spam', { ids, spam });
+// Folds the duplicates into the primary (fields: its merged submission_data,
+// tags, notes) and deletes them → the updated primary
+export const mergeSubmissions = (primaryId, duplicateIds, fields) => send('post', '/api/submissions/merge', {
+    primary_id: primaryId,
+    duplicate_ids: duplicateIds,
+    ...fields,
+});
+export const deleteSubmission = (id) => send('delete', `/api/forms/submissions/${id}`);
+export const deleteSubmissions = (ids) => send('delete', '/api/forms/submissions/bulk', { ids });
+
+// ── Sync ─────────────────────────────────────────────────────
+export const syncClient = (clientId, opts) => send('post', `/api/sync/client/${clientId}`, {}, opts);
+// params: { limit, before } → runs newest first, see ../syncHistory.js
+export const getSyncHistory = (clientId, params, opts) => get(`/api/sync/client/${clientId}/history`, { ...opts, params }).then(asList);
@@ -0,0 +1,24 @@
+// ── Client API keys ───────────────────────────────────────────
+// The WordPress plugin authenticates to the API with a per-client key.
+
+const MASK = '•';
+
+// What the API lets us show before a reveal: the stored prefix, then dots
+export function maskKeyPrefix(prefix) {
+    return prefix ? `${prefix}${MASK.repeat(12)}` : '';
+}
+
+// Copy-ready plugin setup instructions for one client site
+export function pluginSetupText({ clientName, wordpressUrl, apiUrl, apiKey }) {
+    return [
+        `Form sync setup${clientName ? ` for ${clientName}` : ''}`,
+        '',
+        `1. Sign in to WordPress admin${wordpressUrl ? ` at ${wordpressUrl.replace(/\/+$/, '')}/wp-admin` : ''}.`,
+        '2. Install and activate the TradeCraft form sync plugin.',
+        '3. Open the plugin settings and enter:',
+        `   API URL: ${apiUrl}`,
+        `   API key: ${apiKey || '<your client API key>'}`,
+        '4. Save, then submit a test form and run Sync from the dashboard.',
+        '',
+    ].join('\n');
+}
@@ -0,0 +1,17 @@
+import { maskKeyPrefix, pluginSetupText } from './apiKeys';
+
+test('maskKeyPrefix shows the prefix and hides the rest', () => {
+    expect(maskKeyPrefix('tc_live_12')).toBe('tc_live_12••••••••••••');
+    expect(maskKeyPrefix(null)).toBe('');
+});
+
+test('pluginSetupText includes the site, API URL and key', () => {
+    const text = pluginSetupText({
+        clientName: 'Acme', wordpressUrl: 'https://acme.test/', apiUrl: 'https://api.test', apiKey: 'k_1',
+    });
+    expect(text).toContain('Form sync setup for Acme');
+    expect(text).toContain('https://acme.test/wp-admin');
+    expect(text).toContain('API URL: https://api.test');
+    expect(text).toContain('API key: k_1');
+    expect(pluginSetupText({ apiUrl: 'u' })).toContain('<your client API key>');
+});
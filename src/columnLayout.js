@@ -0,0 +1,45 @@
+// ── Column layouts for the submissions table ──────────────────
+// A layout customizes the submission_data columns of one form (or of a
+// client's All Forms view): { order: [key], hidden: [key], labels: {key: label}, widths: {key: px} }.
+// Keys not mentioned in `order` (new fields) follow in their default order.
+
+export const COLUMN_LAYOUTS_KEY = 'columnLayouts';
+
+export const EMPTY_LAYOUT = { order: [], hidden: [], labels: {}, widths: {} };
+
+export const MIN_COLUMN_WIDTH = 60;
+
+export function normalizeLayout(layout) {
+    return {
+        order: Array.isArray(layout?.order) ? layout.order : [],
+        hidden: Array.isArray(layout?.hidden) ? layout.hidden : [],
+        labels: layout?.labels && typeof layout.labels === 'object' ? layout.labels : {},
+        widths: layout?.widths && typeof layout.widths === 'object' ? layout.widths : {},
+    };
+}
+
+// Every key, in layout order (hidden ones included — used by the chooser)
+export function orderedKeys(dataKeys, layout) {
+    const known = new Set(dataKeys);
+    const saved = layout.order.filter((k) => known.has(k));
+    const savedSet = new Set(saved);
+    return [...saved, ...dataKeys.filter((k) => !savedSet.has(k))];
+}
+
+// The keys the table and exports actually show
+export function visibleKeys(dataKeys, layout) {
+    const hidden = new Set(layout.hidden);
+    return orderedKeys(dataKeys, layout).filter((k) => !hidden.has(k));
+}
+
+export function columnLabel(key, layout) {
+    const label = layout.labels[key];
+    return label && label.trim() ? label.trim() : key;
+}
+
+export function moveKey(keys, from, to) {
+    const next = [...keys];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    return next;
+}
@@ -0,0 +1,23 @@
+import { EMPTY_LAYOUT, normalizeLayout, orderedKeys, visibleKeys, columnLabel, moveKey } from './columnLayout';
+
+const keys = ['Name', 'Email', 'Phone', 'Message'];
+
+test('default layout keeps the detected order', () => {
+    expect(visibleKeys(keys, EMPTY_LAYOUT)).toEqual(keys);
+});
+
+test('saved order wins, unknown keys are dropped and new keys follow', () => {
+    const layout = normalizeLayout({ order: ['Message', 'Gone', 'Email'], hidden: ['Phone'] });
+    expect(orderedKeys(keys, layout)).toEqual(['Message', 'Email', 'Name', 'Phone']);
+    expect(visibleKeys(keys, layout)).toEqual(['Message', 'Email', 'Name']);
+});
+
+test('columnLabel falls back to the key for blank renames', () => {
+    const layout = normalizeLayout({ labels: { Email: 'E-mail', Phone: '  ' } });
+    expect(columnLabel('Email', layout)).toBe('E-mail');
+    expect(columnLabel('Phone', layout)).toBe('Phone');
+});
+
+test('moveKey reorders', () => {
+    expect(moveKey(keys, 3, 0)).toEqual(['Message', 'Name', 'Email', 'Phone']);
+});
@@ -1,10 +1,10 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import { createClient, API_URL } from '../api';
+import { pluginSetupText } from '../apiKeys';
+import { TestConnection } from './ConnectionStatus';
 import './AddClient.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
-function AddClient({ token, onClientAdded, onClose }) {
+function AddClient({ onClientAdded, onClose }) {
     const [name, setName] = useState('');
     const [wordpressUrl, setWordpressUrl] = useState('');
 
@@ -12,31 +12,19 @@ function AddClient({ token, onClientAdded, onClose }) {
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
 
-    const headers = {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-    };
-
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
         setLoading(true);
 
         try {
-            const response = await axios.post(
-                `${API_URL}/api/clients`,
-                {
-                    name,
-                    wordpress_url: wordpressUrl,
-                },
-                { headers }
-            );
+            const client = await createClient({ name, wordpress_url: wordpressUrl });
 
             // Keep the created client so we can display its API key (if returned)
-            setCreatedClient(response.data);
+            setCreatedClient(client);
 
             // Let the dashboard refresh its client list
-            onClientAdded(response.data);
+            onClientAdded(client);
 
             // Reset form inputs (but keep modal open so user can copy key)
             setName('');
@@ -54,9 +42,9 @@ function AddClient({ token, onClientAdded, onClose }) {
         createdClient?.apiKey ||
         '';
 
-    const handleCopy = async () => {
+    const handleCopy = async (text) => {
         try {
-            await navigator.clipboard.writeText(clientApiKey);
+            await navigator.clipboard.writeText(text);
         } catch (e) {
             // fallback: do nothing (clipboard can fail depending on browser permissions)
         }
@@ -78,19 +66,32 @@ function AddClient({ token, onClientAdded, onClose }) {
                         <div style={{ marginBottom: 12 }}>
                             <strong>Client created.</strong>
                             <div style={{ marginTop: 6, opacity: 0.9 }}>
-                                Copy this API key into the WordPress plugin for this client site.
+                                Copy this API key into the WordPress plugin for this client site. You can view,
+                                rotate or revoke it later from the client's Edit dialog.
                             </div>
                         </div>
 
                         <div className="form-group">
                             <label>Client API Key</label>
-                            <input type="text" value={clientApiKey || '(not returned by API)'} readOnly />
+                            <input type="text" value={clientApiKey || '(open Edit on the client page to view it)'} readOnly />
                         </div>
 
                         <div className="form-actions">
-                            <button type="button" onClick={handleCopy} className="cancel-btn" disabled={!clientApiKey}>
+                            <button type="button" onClick={() => handleCopy(clientApiKey)} className="cancel-btn" disabled={!clientApiKey}>
                                 Copy Key
                             </button>
+                            <button
+                                type="button"
+                                onClick={() => handleCopy(pluginSetupText({
+                                    clientName: createdClient.name,
+                                    wordpressUrl: createdClient.wordpress_url,
+                                    apiUrl: API_URL,
+                                    apiKey: clientApiKey,
+                                }))}
+                                className="cancel-btn"
+                            >
+                                Copy Setup Steps
+                            </button>
                             <button type="button" onClick={onClose} className="submit-btn">
                                 Done
                             </button>
@@ -118,6 +119,7 @@ function AddClient({ token, onClientAdded, onClose }) {
                                 placeholder="https://example.com"
                                 required
                             />
+                            <TestConnection wordpressUrl={wordpressUrl} />
                         </div>
 
                         <div className="form-actions">
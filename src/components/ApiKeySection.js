@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useRef } from 'react';
+import * as api from '../api';
+import { maskKeyPrefix, pluginSetupText } from '../apiKeys';
+import { formatDate } from '../format';
+import './ApiKeySection.css';
+
+// ── Client API key (EditClient) ──────────────────────────────
+// Only the key's metadata loads with the section; the full key is fetched
+// on Reveal or Copy and dropped from state again when hidden.
+function ApiKeySection({ client }) {
+    const [keyInfo, setKeyInfo] = useState(null); // null while loading
+    const [apiKey, setApiKey] = useState(''); // the full key, only while revealed
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [copied, setCopied] = useState(''); // 'key' | 'setup'
+    const copiedTimer = useRef(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setApiKey('');
+        api.getClientApiKey(client.id, { signal: controller.signal })
+            .then(setKeyInfo)
+            .catch((err) => {
+                if (api.isCancel(err)) return;
+                setKeyInfo({});
+                setError(`Failed to load the API key: ${api.getErrorMessage(err)}`);
+            });
+        return () => controller.abort();
+    }, [client.id]);
+
+    useEffect(() => () => clearTimeout(copiedTimer.current), []);
+
+    const hasKey = Boolean(keyInfo?.key_prefix);
+    const revealed = Boolean(apiKey);
+
+    const run = async (fn) => {
+        setBusy(true);
+        setError('');
+        try {
+            await fn();
+        } catch (err) {
+            setError(api.getErrorMessage(err));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const fetchKey = async () => (await api.revealClientApiKey(client.id))?.api_key || '';
+
+    const toggleReveal = () => {
+        if (revealed) {
+            setApiKey('');
+            return;
+        }
+        run(async () => setApiKey(await fetchKey()));
+    };
+
+    const setupFor = (key) => pluginSetupText({
+        clientName: client.name, wordpressUrl: client.wordpress_url, apiUrl: api.API_URL, apiKey: key,
+    });
+    const maskedKey = maskKeyPrefix(keyInfo?.key_prefix);
+
+    const copy = (text, what) => navigator.clipboard?.writeText(text)
+        .then(() => {
+            setCopied(what);
+            clearTimeout(copiedTimer.current);
+            copiedTimer.current = setTimeout(() => setCopied(''), 2000);
+        })
+        .catch(() => {});
+
+    // Copying while hidden fetches the key for the clipboard without keeping it
+    const copyKey = () => run(async () => copy(apiKey || await fetchKey(), 'key'));
+    const copySetup = () => run(async () => {
+        const key = hasKey ? apiKey || await fetchKey() : '';
+        copy(setupFor(key), 'setup');
+    });
+
+    const handleRotate = () => {
+        if (hasKey && !window.confirm(
+            `Rotate the API key for ${client.name}? The current key stops working immediately — `
+            + 'the WordPress plugin won\'t send submissions until it has the new key.'
+        )) return;
+        run(async () => {
+            const { api_key: newKey, ...meta } = (await api.rotateClientApiKey(client.id)) || {};
+            setKeyInfo(meta);
+            setApiKey(newKey || ''); // shown once so it can be copied into the plugin
+        });
+    };
+
+    const handleRevoke = () => {
+        if (!window.confirm(`Revoke the API key for ${client.name}? The WordPress plugin will stop sending submissions.`)) return;
+        run(async () => {
+            await api.revokeClientApiKey(client.id);
+            setKeyInfo((prev) => ({ ...prev, key_prefix: null, last_used_at: null }));
+            setApiKey('');
+        });
+    };
+
+    return (
+        <div className="modal-section">
+            <h3 className="modal-section-title">API Key</h3>
+            {error && <div className="modal-error">{error}</div>}
+
+            <div className="api-key-body">
+                {keyInfo === null ? (
+                    <p>Loading…</p>
+                ) : hasKey ? (
+                    <>
+                        <div className="api-key-row">
+                            <code className="api-key-value">{revealed ? apiKey : maskedKey}</code>
+                            <button type="button" title={revealed ? 'Hide' : 'Reveal'} onClick={toggleReveal} disabled={busy}>
+                                <i className={`ph-light ${revealed ? 'ph-eye-slash' : 'ph-eye'}`}></i>
+                            </button>
+                            <button type="button" title="Copy key" onClick={copyKey} disabled={busy}>
+                                <i className={`ph-light ${copied === 'key' ? 'ph-check' : 'ph-copy'}`}></i>
+                            </button>
+                        </div>
+                        <div className="api-key-meta">
+                            {keyInfo.created_at && <span>Created {formatDate(keyInfo.created_at)}</span>}
+                            <span>
+                                {keyInfo.last_used_at
+                                    ? `Last used by the plugin ${formatDate(keyInfo.last_used_at)}`
+                                    : 'Not used by the plugin yet'}
+                            </span>
+                        </div>
+                        <div className="api-key-actions">
+                            <button type="button" className="modal-cancel-btn" onClick={handleRotate} disabled={busy}>
+                                <i className="ph-light ph-arrows-clockwise"></i> {busy ? 'Working…' : 'Rotate Key'}
+                            </button>
+                            <button type="button" className="modal-cancel-btn danger" onClick={handleRevoke} disabled={busy}>
+                                <i className="ph-light ph-prohibit"></i> Revoke
+                            </button>
+                        </div>
+                    </>
+                ) : (
+                    <>
+                        <p>This client has no active key, so its WordPress plugin can't send submissions.</p>
+                        <div className="api-key-actions">
+                            <button type="button" className="modal-save-btn" onClick={handleRotate} disabled={busy}>
+                                {busy ? 'Generating…' : 'Generate Key'}
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                <details className="api-key-setup">
+                    <summary>Plugin setup instructions</summary>
+                    <pre>{setupFor(revealed ? apiKey : maskedKey)}</pre>
+                    <button type="button" className="filter-link-btn" onClick={copySetup} disabled={busy}>
+                        {copied === 'setup' ? 'Copied' : 'Copy instructions'}
+                    </button>
+                </details>
+            </div>
+        </div>
+    );
+}
+
+export default ApiKeySection;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { parseDayKey, seriesValue } from '../trends';
+import './Charts.css';
+
+export const CHART_COLORS = {
+    teal: '#003c49',
+    green: '#38a169',
+    blue: '#3182ce',
+    orange: '#f15e24',
+};
+
+// Stacked series colors (per-client breakdown); "Other" is always grey
+const SERIES_COLORS = ['#003c49', '#f15e24', '#3182ce', '#38a169', '#805ad5', '#d69e2e', '#319795', '#e53e3e'];
+const OTHER_COLOR = '#cbd5e0';
+
+export function seriesColor(name, index) {
+    return name === 'Other' ? OTHER_COLOR : SERIES_COLORS[index % SERIES_COLORS.length];
+}
+
+function formatDay(key, opts) {
+    return key ? parseDayKey(key).toLocaleDateString([], opts) : '';
+}
+
+// Rounds the y-axis max up to 1/2/5 × 10ⁿ
+function niceMax(value) {
+    if (value <= 4) return 4;
+    const pow = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find((m) => m * pow >= value);
+    return step * pow;
+}
+
+// ── Sparkline ─────────────────────────────────────────────────
+// data: [{ date: 'YYYY-MM-DD', count }]
+export function Sparkline({ data, color = CHART_COLORS.teal, height = 36 }) {
+    const [hover, setHover] = useState(null);
+    if (!data || data.length < 2) return null;
+
+    const width = 120;
+    const max = Math.max(1, ...data.map((p) => p.count));
+    const x = (i) => (i / (data.length - 1)) * width;
+    const y = (count) => height - 2 - (count / max) * (height - 4);
+    const line = data.map((p, i) => `${x(i).toFixed(1)},${y(p.count).toFixed(1)}`).join(' ');
+
+    const handleMove = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const i = Math.round(((e.clientX - rect.left) / rect.width) * (data.length - 1));
+        setHover(Math.min(data.length - 1, Math.max(0, i)));
+    };
+
+    const point = hover === null ? null : data[hover];
+
+    return (
+        <div className="sparkline" onMouseMove={handleMove} onMouseLeave={() => setHover(null)}>
+            <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" height={height}>
+                <polygon points={`0,${height} ${line} ${width},${height}`} fill={color} opacity="0.08" />
+                <polyline points={line} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+                {point && (
+                    <line x1={x(hover)} x2={x(hover)} y1="0" y2={height} stroke={color} strokeWidth="1" opacity="0.3"
+                        vectorEffect="non-scaling-stroke" />
+                )}
+            </svg>
+            {point && (
+                <div className="chart-tooltip sparkline-tooltip" style={{ left: `${(hover / (data.length - 1)) * 100}%` }}>
+                    <strong>{point.count}</strong> {point.count === 1 ? 'submission' : 'submissions'}
+                    <span>{formatDay(point.date, { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+const LABEL_FORMATS = {
+    day: { axis: { month: 'short', day: 'numeric' }, tooltip: { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' } },
+    month: { axis: { month: 'short', year: '2-digit' }, tooltip: { month: 'long', year: 'numeric' } },
+};
+
+// ── Trend chart (bars, optionally stacked by series) ──────────
+// points: [{ date, count, series: { name: n } }]; series: ordered names or null;
+// bucket: 'day' | 'month' (label format only)
+export function TrendChart({ points, series = null, bucket = 'day', height = 220 }) {
+    const [hover, setHover] = useState(null);
+    if (!points?.length) return <div className="empty-state">No data for this range</div>;
+
+    const width = 800;
+    const pad = { top: 10, right: 10, bottom: 24, left: 36 };
+    const innerW = width - pad.left - pad.right;
+    const innerH = height - pad.top - pad.bottom;
+    const max = niceMax(Math.max(...points.map((p) => p.count)));
+    const slot = innerW / points.length;
+    const barW = Math.max(1, Math.min(28, slot * 0.7));
+    const yFor = (v) => pad.top + innerH - (v / max) * innerH;
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map((t) => Math.round(max * t));
+    const labelEvery = Math.max(1, Math.ceil(points.length / 8));
+    const point = hover === null ? null : points[hover];
+    const labels = LABEL_FORMATS[bucket] || LABEL_FORMATS.day;
+
+    return (
+        <div className="trend-chart">
+            <svg viewBox={`0 0 ${width} ${height}`} width="100%">
+                {ticks.map((t) => (
+                    <g key={t}>
+                        <line x1={pad.left} x2={width - pad.right} y1={yFor(t)} y2={yFor(t)} stroke="#f0f0f0" />
+                        <text x={pad.left - 6} y={yFor(t) + 4} textAnchor="end" className="chart-axis">{t}</text>
+                    </g>
+                ))}
+                {points.map((p, i) => {
+                    const cx = pad.left + slot * i + slot / 2;
+                    let base = 0;
+                    const stacks = series
+                        ? series.map((name, si) => ({ name, value: seriesValue(p, name, series), color: seriesColor(name, si) }))
+                        : [{ name: 'Submissions', value: p.count, color: CHART_COLORS.teal }];
+                    return (
+                        <g key={p.date}>
+                            {stacks.filter((s) => s.value > 0).map((s) => {
+                                const y0 = yFor(base);
+                                base += s.value;
+                                const y1 = yFor(base);
+                                return (
+                                    <rect key={s.name} x={cx - barW / 2} y={y1} width={barW} height={Math.max(0, y0 - y1)}
+                                        fill={s.color} opacity={hover === null || hover === i ? 1 : 0.5} />
+                                );
+                            })}
+                            {i % labelEvery === 0 && (
+                                <text x={cx} y={height - 6} textAnchor="middle" className="chart-axis">{formatDay(p.date, labels.axis)}</text>
+                            )}
+                            <rect x={pad.left + slot * i} y={pad.top} width={slot} height={innerH} fill="transparent"
+                                onMouseEnter={() => setHover(i)} onMouseLeave={() => setHover(null)} />
+                        </g>
+                    );
+                })}
+            </svg>
+            {point && (
+                <div
+                    className="chart-tooltip"
+                    style={{ left: `${((pad.left + slot * hover + slot / 2) / width) * 100}%` }}
+                >
+                    <span>{formatDay(point.date, labels.tooltip)}</span>
+                    <strong>{point.count}</strong> {point.count === 1 ? 'submission' : 'submissions'}
+                    {series && series.map((name, si) => {
+                        const v = seriesValue(point, name, series);
+                        return v > 0 ? (
+                            <div key={name} className="chart-tooltip-row">
+                                <i style={{ background: seriesColor(name, si) }}></i>{name}: {v}
+                            </div>
+                        ) : null;
+                    })}
+                </div>
+            )}
+            {series && series.length > 0 && (
+                <div className="chart-legend">
+                    {series.map((name, si) => (
+                        <span key={name}><i style={{ background: seriesColor(name, si) }}></i>{name}</span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,157 @@
+import React, { useMemo } from 'react';
+import { TrendChart } from './Charts';
+import { topSeries } from '../trends';
+import './ClientAnalytics.css';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function hourLabel(h) {
+    if (h === 0) return '12a';
+    if (h === 12) return '12p';
+    return h < 12 ? `${h}a` : `${h - 12}p`;
+}
+
+function ChangeBadge({ change }) {
+    if (change === null) return <span className="change-badge up">New</span>;
+    if (change === 0) return <span className="change-badge flat">0%</span>;
+    return (
+        <span className={`change-badge ${change > 0 ? 'up' : 'down'}`}>
+            {change > 0 ? '↑' : '↓'} {Math.abs(change)}%
+        </span>
+    );
+}
+
+function Heatmap({ heatmap }) {
+    const max = Math.max(1, ...heatmap.flat());
+    return (
+        <div className="heatmap">
+            <div className="heatmap-row heatmap-hours">
+                <span />
+                {Array.from({ length: 24 }, (_, h) => (
+                    <span key={h}>{h % 3 === 0 ? hourLabel(h) : ''}</span>
+                ))}
+            </div>
+            {heatmap.map((hours, day) => (
+                <div key={day} className="heatmap-row">
+                    <span className="heatmap-day">{WEEKDAYS[day]}</span>
+                    {hours.map((count, h) => (
+                        <span
+                            key={h}
+                            className="heatmap-cell"
+                            style={{ opacity: count ? 0.15 + (count / max) * 0.85 : 1, background: count ? '#f15e24' : '#f5f6fa' }}
+                            title={`${WEEKDAYS[day]} ${hourLabel(h)}: ${count} ${count === 1 ? 'submission' : 'submissions'}`}
+                        />
+                    ))}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// Per-client analytics. `analytics` comes from the API when it supplies every
+// aggregate (`fromApi`), otherwise partly or wholly from
+// computeClientAnalytics() over loaded rows.
+function ClientAnalytics({ analytics, fromApi, loadedCount, totalCount, hasMore, loadingAll, onLoadAll }) {
+    const series = useMemo(() => topSeries(analytics.monthly, 6), [analytics.monthly]);
+
+    return (
+        <div className="analytics-grid">
+            {!fromApi && (
+                <div className="analytics-note">
+                    Based on {loadedCount} of {totalCount} submissions loaded for this client.
+                    {hasMore && (
+                        <button className="filter-link-btn" onClick={onLoadAll} disabled={loadingAll}>
+                            {loadingAll ? 'Loading…' : 'Load all for complete numbers'}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <div className="section-card analytics-wide">
+                <div className="section-header">
+                    <div>
+                        <h2>Submissions per form</h2>
+                        <p>Last {analytics.months.length} months</p>
+                    </div>
+                </div>
+                <TrendChart points={analytics.monthly} series={series} bucket="month" />
+            </div>
+
+            <div className="section-card">
+                <div className="section-header">
+                    <div>
+                        <h2>Month over month</h2>
+                        <p>This month vs last month, per form</p>
+                    </div>
+                </div>
+                {analytics.perForm.length === 0 ? (
+                    <div className="empty-state">No submissions yet</div>
+                ) : (
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Form</th>
+                                <th>Last month</th>
+                                <th>This month</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {analytics.perForm.map((f) => (
+                                <tr key={f.formName}>
+                                    <td className="client-name-cell">{f.formName}</td>
+                                    <td>{f.lastMonth}</td>
+                                    <td>{f.thisMonth}</td>
+                                    <td><ChangeBadge change={f.change} /></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className="section-card">
+                <div className="section-header">
+                    <div>
+                        <h2>When leads come in</h2>
+                        <p>Day of week × hour (local time)</p>
+                    </div>
+                </div>
+                <Heatmap heatmap={analytics.heatmap} />
+            </div>
+
+            <div className="section-card analytics-wide">
+                <div className="section-header">
+                    <div>
+                        <h2>Top answers</h2>
+                        <p>Most common values for select-style fields</p>
+                    </div>
+                </div>
+                {analytics.topFields.length === 0 ? (
+                    <div className="empty-state">No select-style fields detected</div>
+                ) : (
+                    <div className="top-fields">
+                        {analytics.topFields.map((f) => (
+                            <div key={f.field} className="top-field">
+                                <div className="top-field-name">{f.field}</div>
+                                {f.values.map((v) => (
+                                    <div key={v.value} className="top-value">
+                                        <div className="top-value-label">
+                                            <span>{v.value}</span>
+                                            <span>{v.count}</span>
+                                        </div>
+                                        <div className="top-value-bar">
+                                            <div style={{ width: `${(v.count / f.answered) * 100}%` }} />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ClientAnalytics;
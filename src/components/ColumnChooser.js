@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { orderedKeys, moveKey } from '../columnLayout';
+import './ColumnChooser.css';
+
+// Show/hide, drag-reorder and rename the submission_data columns
+function ColumnChooser({ dataKeys, layout, onChange, onReset, onClose }) {
+    const [dragIndex, setDragIndex] = useState(null);
+    const keys = orderedKeys(dataKeys, layout);
+    const hidden = new Set(layout.hidden);
+
+    const toggleHidden = (key) => {
+        const next = hidden.has(key) ? layout.hidden.filter((k) => k !== key) : [...layout.hidden, key];
+        onChange({ hidden: next });
+    };
+
+    const rename = (key, label) => {
+        onChange({ labels: { ...layout.labels, [key]: label } });
+    };
+
+    const handleDrop = (index) => {
+        if (dragIndex === null || dragIndex === index) return;
+        onChange({ order: moveKey(keys, dragIndex, index) });
+        setDragIndex(null);
+    };
+
+    return (
+        <div className="column-chooser">
+            <div className="column-chooser-header">
+                <span>{keys.length - keys.filter((k) => hidden.has(k)).length} of {keys.length} columns shown</span>
+                <div className="column-chooser-actions">
+                    <button type="button" className="filter-link-btn" onClick={() => onChange({ hidden: [] })}>Show all</button>
+                    <button type="button" className="filter-link-btn" onClick={onReset}>Reset layout</button>
+                    <button type="button" className="filter-close-btn" onClick={onClose} title="Close columns">×</button>
+                </div>
+            </div>
+            <div className="column-chooser-list">
+                {keys.map((key, i) => (
+                    <div
+                        key={key}
+                        className={`column-chooser-item${dragIndex === i ? ' dragging' : ''}${hidden.has(key) ? ' is-hidden' : ''}`}
+                        draggable
+                        onDragStart={() => setDragIndex(i)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(i)}
+                        onDragEnd={() => setDragIndex(null)}
+                    >
+                        <i className="ph-light ph-dots-six-vertical column-drag-handle"></i>
+                        <input type="checkbox" checked={!hidden.has(key)} onChange={() => toggleHidden(key)} />
+                        <input
+                            type="text"
+                            className="column-rename-input"
+                            value={layout.labels[key] ?? ''}
+                            placeholder={key}
+                            onChange={(e) => rename(key, e.target.value)}
+                            title={`Rename "${key}"`}
+                        />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default ColumnChooser;
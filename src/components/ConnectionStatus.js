@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import * as api from '../api';
+import { CONNECTION_STATUSES, connectionStatus, connectionDetail } from '../connection';
+import { formatDate } from '../format';
+import './ConnectionStatus.css';
+
+// compact: just the dot (sidebar); otherwise a pill with the last sync time
+function ConnectionStatus({ health, compact }) {
+    const status = connectionStatus(health);
+    const { label, tone, icon } = CONNECTION_STATUSES[status];
+    const title = `${label} — ${connectionDetail(health)}`;
+
+    if (compact) return <span className={`connection-dot ${tone}`} title={title} />;
+
+    return (
+        <span className="connection-status-wrap">
+            <span className={`connection-pill ${tone}`} title={title}>
+                <i className={`ph-light ${icon}`}></i> {label}
+            </span>
+            <span className="connection-last-sync">
+                {health?.last_sync_at ? `Last synced ${formatDate(health.last_sync_at)}` : 'Never synced'}
+            </span>
+        </span>
+    );
+}
+
+// ── Test connection (AddClient / EditClient) ─────────────────
+// Without a clientId (a client not created yet) only the site and plugin
+// can be checked; with one the stored API key is checked as well.
+export function TestConnection({ clientId, wordpressUrl, onResult }) {
+    const [testing, setTesting] = useState(false);
+    const [result, setResult] = useState(null); // health report | { error }
+
+    const handleTest = async () => {
+        setTesting(true);
+        setResult(null);
+        try {
+            const health = await api.testConnection({ wordpress_url: wordpressUrl, client_id: clientId ?? undefined });
+            setResult(health);
+            onResult?.(health);
+        } catch (err) {
+            setResult({ error: api.getErrorMessage(err) });
+        } finally {
+            setTesting(false);
+        }
+    };
+
+    const status = result && !result.error ? connectionStatus(result) : null;
+
+    return (
+        <div className="test-connection">
+            <button type="button" className="filter-link-btn" onClick={handleTest} disabled={testing || !wordpressUrl}>
+                <i className={`ph-light ${testing ? 'ph-circle-notch' : 'ph-plugs'}`}></i>
+                {testing ? ' Testing…' : ' Test connection'}
+            </button>
+            {result?.error && <div className="test-connection-result error">Test failed: {result.error}</div>}
+            {status && (
+                <div className={`test-connection-result ${CONNECTION_STATUSES[status].tone}`}>
+                    <strong>{CONNECTION_STATUSES[status].label}.</strong> {connectionDetail(result)}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ConnectionStatus;
@@ -1,55 +1,96 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import axios from 'axios';
 import jsPDF from 'jspdf';
 import './Dashboard.css';
 import AddClient from './AddClient';
-
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
-const LOGO_URL = 'https://trade-craft.com/wp-content/uploads/2025/01/TRADECRAFT_LOGO_PRIMARY_rev.png';
-
-function getAxiosErrorMessage(err) {
-    if (err?.response?.data) {
-        try {
-            return typeof err.response.data === 'string'
-                ? err.response.data
-                : err.response.data.error || JSON.stringify(err.response.data);
-        } catch {
-            // ignore
-        }
-    }
-    return err?.message || 'Unknown error';
-}
-
-function splitName(fullName) {
-    const raw = String(fullName || '').trim();
-    if (!raw) return { first: '', last: '' };
-    const parts = raw.split(/\s+/);
-    if (parts.length === 1) return { first: parts[0], last: '' };
-    return { first: parts[0], last: parts.slice(1).join(' ') };
-}
-
-function formatDate(dateStr) {
-    if (!dateStr) return '';
-    const d = new Date(dateStr);
-    const now = new Date();
-    const diffMs = now - d;
-    const diffDays = Math.floor(diffMs / 86400000);
-
-    const timeStr = d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-    if (diffDays === 0) return `Today, ${timeStr}`;
-    if (diffDays === 1) return `Yesterday, ${timeStr}`;
-    return d.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' }) + ', ' + timeStr;
+import FilterBuilder from './FilterBuilder';
+import ColumnChooser from './ColumnChooser';
+import ClientAnalytics from './ClientAnalytics';
+import SubmissionDrawer from './SubmissionDrawer';
+import ReportDialog from './ReportDialog';
+import UsersView from './UsersView';
+import RoleFields from './RoleFields';
+import ApiKeySection from './ApiKeySection';
+import ConnectionStatus, { TestConnection } from './ConnectionStatus';
+import SyncHistory from './SyncHistory';
+import SyncAllPanel from './SyncAllPanel';
+import StatusSelect from './StatusSelect';
+import TagList from './Tags';
+import SpamRules, { SpamScore } from './SpamRules';
+import DuplicateCompare, { DuplicateBadge } from './DuplicateCompare';
+import PasswordStrength from './PasswordStrength';
+import TwoFactorSetup, { TwoFactorPolicy } from './TwoFactorSetup';
+import { Sparkline, TrendChart, CHART_COLORS } from './Charts';
+import { exportColumns, exportFileName, downloadCSV, downloadJSON, downloadXLSX } from '../export';
+import {
+    COLUMN_LAYOUTS_KEY, EMPTY_LAYOUT, MIN_COLUMN_WIDTH, normalizeLayout, visibleKeys, columnLabel,
+} from '../columnLayout';
+import { loadScoped, saveScoped } from '../storage';
+import { dayKey, parseDayKey, addDays, normalizeDailyTrend, bucketByDay, topSeries } from '../trends';
+import { computeClientAnalytics, normalizeAnalytics, ANALYTICS_FIELDS } from '../analytics';
+import * as api from '../api';
+import { LOGO_URL, fetchImageAsDataURL } from '../images';
+import { downloadClientReport, reportRange } from '../report';
+import { passwordError } from '../password';
+import { formatDate, formatDateOnly, getUserInitials } from '../format';
+import { ACTIONS, resolvePermissions, can, canAccessClient, visibleClients } from '../permissions';
+import { SYNC_ALL_CONCURRENCY, runPool, initialSyncRows } from '../syncAll';
+import {
+    openLiveChannel, addLiveSubmission, bumpStats, notifySubmission, notificationsEnabled, setNotificationsEnabled,
+} from '../live';
+import { LEAD_STATUSES, statusCounts, filterByStatus, withStatus } from '../leadStatus';
+import {
+    ANY_ASSIGNEE, UNASSIGNED, tagColor, tagsOf, notesOf, assigneeOf, allTags, filterByAnnotations, normalizeTags,
+    withTags, withAssignee, withNote,
+} from '../annotations';
+import {
+    EMPTY_SPAM_RULES, normalizeSpamRules, spamReport, splitQuarantine, splitQuarantineByClient, withSpamVerdict,
+    learnVerdict,
+} from '../spam';
+import { findDuplicateGroups, duplicateLookup, mergeSubmissions } from '../duplicates';
+import { parseRoute, buildPath, sameId } from '../routes';
+import {
+    SUBMISSIONS_PAGE_SIZE, DEFAULT_SORT, normalizeSubmissionPage, sortParam, sortSubmissions, nextSort,
+    mergeSubmissionPages, splitName, searchTerms, matchesSearch, escapeRegExp, applyColumnFilters, isFilterComplete,
+} from '../submissions';
+
+const EMPTY_PAGING = { total: 0, nextCursor: null, hasMore: false };
+
+// <tr> height for the virtualized submissions table. Rows never grow past
+// it: long values are cut to one line and read in full in the drawer.
+const ROW_HEIGHT = 46;
+const ROW_OVERSCAN = 10;
+
+// The search box reaches the API this long after the last keystroke
+const SEARCH_DEBOUNCE_MS = 400;
+
+// Connection health is re-checked this often while the dashboard is open
+const HEALTH_REFRESH_MS = 5 * 60 * 1000;
+
+const LIVE_LABELS = {
+    connecting: 'Connecting to live updates…',
+    live: 'Live updates on',
+    polling: 'Checking for new submissions every 30 seconds',
+};
+
+// Notes column: count, with the latest note as the tooltip
+function NoteCount({ notes }) {
+    if (!notes.length) return <span className="note-count empty">—</span>;
+    const latest = notes[notes.length - 1];
+    return (
+        <span className="note-count" title={`${latest.author?.name || 'Someone'}: ${latest.text}`}>
+            <i className="ph-light ph-note"></i> {notes.length}
+        </span>
+    );
 }
 
-function formatDateOnly(dateStr) {
-    if (!dateStr) return '';
-    const d = new Date(dateStr);
-    const now = new Date();
-    const diffDays = Math.floor((now - d) / 86400000);
-    if (diffDays === 0) return 'Today';
-    if (diffDays === 1) return 'Yesterday';
-    return d.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+// Wraps every occurrence of the search terms in <mark>
+function Highlight({ text, terms }) {
+    const str = String(text ?? '');
+    if (!terms?.length || !str) return str;
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return str.split(pattern).map((part, i) => (
+        i % 2 === 1 ? <mark key={i} className="search-hit">{part}</mark> : part
+    ));
 }
 
 function pluginBadge(plugin) {
@@ -63,144 +104,356 @@ function pluginBadge(plugin) {
     return <span className="badge badge-gf">{plugin}</span>;
 }
 
-function getUserInitials(user) {
-    if (!user) return '?';
-    const name = user.name || user.email || '';
-    const parts = name.trim().split(/\s+/);
-    if (parts.length >= 2) return (parts[0][0] + parts[1][0]).toUpperCase();
-    return name.slice(0, 2).toUpperCase();
-}
-
 function Dashboard({ user, token, onLogout, onUpdateUser }) {
+    // ── Routing ──────────────────────────────────────────────
+    // The URL is the source of truth for the view, client, form, consent
+    // submission and date filters — see ../routes.js.
+    const [route, setRoute] = useState(() => parseRoute(window.location));
+    const view = route.view; // 'home' | 'client' | 'consent' | 'users'
+
+    const navigate = useCallback((next, { replace = false } = {}) => {
+        const path = buildPath(next);
+        if (path !== window.location.pathname + window.location.search) {
+            window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+        }
+        setRoute(parseRoute(window.location));
+    }, []);
+
+    useEffect(() => {
+        const handlePopState = () => setRoute(parseRoute(window.location));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
     // ── Core state ──────────────────────────────────────────
-    const [view, setView] = useState('home'); // 'home' | 'client' | 'consent'
     const [clients, setClients] = useState([]);
-    const [selectedClient, setSelectedClient] = useState(null);
     const [forms, setForms] = useState([]);
-    const [selectedForm, setSelectedForm] = useState(null);
     const [submissions, setSubmissions] = useState([]);
 
+    // ── Spam rules (per client id) ───────────────────────────
+    // Home and live updates span clients; each submission is scored with its
+    // own client's rules, the client view with the routed client's.
+    const [spamRulesByClient, setSpamRulesByClient] = useState({});
+    const spamRules = spamRulesByClient[String(route.clientId)] || EMPTY_SPAM_RULES;
+    const storeSpamRules = useCallback((clientId, rules) => {
+        setSpamRulesByClient((prev) => ({ ...prev, [String(clientId)]: rules }));
+    }, []);
+
     // ── Home view state ──────────────────────────────────────
     const [stats, setStats] = useState({});
     const [recentSubmissions, setRecentSubmissions] = useState([]);
+    const [trendRange, setTrendRange] = useState({ preset: '30', from: '', to: '' }); // preset: '7' | '30' | '90' | 'custom'
+    const [trendSubmissions, setTrendSubmissions] = useState([]);
+    const [trendLoading, setTrendLoading] = useState(false);
+    const shownTrendSubmissions = useMemo(
+        () => splitQuarantineByClient(trendSubmissions, spamRulesByClient).inbox,
+        [trendSubmissions, spamRulesByClient]
+    );
 
     // ── Consent form state ───────────────────────────────────
     const [consentSubmissions, setConsentSubmissions] = useState([]);
-    const [selectedConsentSubmission, setSelectedConsentSubmission] = useState(null);
+
+    // ── Connection health (per client id) ────────────────────
+    const [clientHealth, setClientHealth] = useState({});
+
+    // ── Live updates ─────────────────────────────────────────
+    const [liveStatus, setLiveStatus] = useState('connecting'); // 'connecting' | 'live' | 'polling'
+    const [unread, setUnread] = useState({}); // client id → submissions pushed since last viewed
+    const [notifyOn, setNotifyOn] = useState(notificationsEnabled);
+
+    // ── Permissions ──────────────────────────────────────────
+    // Fetched fresh on load; until then (or if the endpoint is missing) the
+    // copy on the stored user, then role defaults, apply.
+    const [permissionsData, setPermissionsData] = useState(null);
+    const permissions = useMemo(() => resolvePermissions(user, permissionsData), [user, permissionsData]);
+    const shownClients = useMemo(() => visibleClients(permissions, clients), [permissions, clients]);
+    // Likely spam stays off Home; it waits in each client's Spam bucket
+    const shownRecentSubmissions = useMemo(() => {
+        const visible = permissions.clients === 'all'
+            ? recentSubmissions
+            : recentSubmissions.filter((s) => canAccessClient(permissions, s.client_id));
+        return splitQuarantineByClient(visible, spamRulesByClient).inbox;
+    }, [permissions, recentSubmissions, spamRulesByClient]);
+    const canManageUsers = can(permissions, ACTIONS.manageUsers);
+    const canDeleteConsent = can(permissions, ACTIONS.deleteSubmission);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        api.getMyPermissions({ signal: controller.signal })
+            .then((data) => { if (data && typeof data === 'object') setPermissionsData(data); })
+            .catch(() => {
+                // fall back to the stored user's permissions
+            });
+        return () => controller.abort();
+    }, [user?.id]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        api.getTeamMembers({ signal: controller.signal })
+            .then((members) => setTeamMembers(members.filter((m) => m.is_active !== false)))
+            .catch(() => {
+                // assignee pickers just list nobody
+            });
+        return () => controller.abort();
+    }, [user?.id]);
 
     // ── Client view state ────────────────────────────────────
     const [clientStats, setClientStats] = useState({});
+    const [clientAnalytics, setClientAnalytics] = useState(null); // API aggregates, when supported
 
     // ── UI state ─────────────────────────────────────────────
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [showAddClient, setShowAddClient] = useState(false);
     const [showEditClient, setShowEditClient] = useState(false);
-    const [showAccountSettings, setShowAccountSettings] = useState(false);
+    const [showReport, setShowReport] = useState(false);
+    // Enforced 2FA without enrollment: open settings straight away
+    const needsTwoFactor = Boolean(user?.two_factor_required && !user?.two_factor_enabled);
+    const [showAccountSettings, setShowAccountSettings] = useState(needsTwoFactor);
     const [showCreateUser, setShowCreateUser] = useState(false);
+    const [usersVersion, setUsersVersion] = useState(0); // bumped when CreateUser adds someone
     const [clientsOpen, setClientsOpen] = useState(true);
-    const [expandedClientIds, setExpandedClientIds] = useState(new Set());
+    const [expandedClientIds, setExpandedClientIds] = useState(new Set()); // String ids (see sameId)
     const [avatarOpen, setAvatarOpen] = useState(false);
-    const [startDate, setStartDate] = useState('');
-    const [endDate, setEndDate] = useState('');
-    const [expandedMessages, setExpandedMessages] = useState(new Set());
     const [allSubmissions, setAllSubmissions] = useState([]); // all forms combined
     const [selectedIds, setSelectedIds] = useState(new Set());
+    const [sort, setSort] = useState(DEFAULT_SORT);
+    const [paging, setPaging] = useState(EMPTY_PAGING); // paging of the active list (form or all forms)
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [columnFilters, setColumnFilters] = useState([]); // [{ id, key, op, value }]
+    const [statusFilter, setStatusFilter] = useState([]); // lead status ids; empty = all
+    const [annotationFilter, setAnnotationFilter] = useState({ tags: [], assignee: ANY_ASSIGNEE });
+    const [teamMembers, setTeamMembers] = useState([]); // who submissions can be assigned to
+    const [spamBucket, setSpamBucket] = useState(false); // showing the client's Spam bucket instead of the inbox
+    const [showSpamRules, setShowSpamRules] = useState(false);
+    const [duplicatesOnly, setDuplicatesOnly] = useState(false);
+    const [showFilters, setShowFilters] = useState(false);
+    const [columnLayout, setColumnLayout] = useState(EMPTY_LAYOUT);
+    const [showColumns, setShowColumns] = useState(false);
     const [syncing, setSyncing] = useState(false);
     const [syncResult, setSyncResult] = useState(null); // { synced, skipped } | string (error)
+    const [showSyncHistory, setShowSyncHistory] = useState(false);
+    const [syncHistoryVersion, setSyncHistoryVersion] = useState(0); // bumped after each sync
+    const [syncAllRows, setSyncAllRows] = useState(null); // null until "Sync all" runs
+    const [syncAllRunning, setSyncAllRunning] = useState(false);
+    const syncAllRequest = useRef(null);
     const syncResultTimer = useRef(null);
 
     const avatarRef = useRef(null);
 
-    const headers = useMemo(
-        () => ({ Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }),
-        [token]
+    // ── Route-derived selection ──────────────────────────────
+    const selectedClient = useMemo(
+        () => (view === 'client' ? shownClients.find((c) => sameId(c.id, route.clientId)) || null : null),
+        [shownClients, route.clientId, view]
+    );
+
+    // Until the forms list arrives, keep a placeholder so a deep-linked form
+    // isn't mistaken for "All Forms" (null).
+    const selectedForm = useMemo(() => {
+        if (view !== 'client' || !route.formId) return null;
+        return forms.find((f) => sameId(f.id, route.formId)) || { id: route.formId, form_name: '' };
+    }, [forms, route.formId, view]);
+
+    const selectedConsentSubmission = useMemo(
+        () => (route.consentId ? consentSubmissions.find((s) => sameId(s.id, route.consentId)) || null : null),
+        [consentSubmissions, route.consentId]
     );
 
+    const startDate = route.from;
+    const endDate = route.to;
+    const setStartDate = (from) => navigate({ ...route, from }, { replace: true });
+    const setEndDate = (to) => navigate({ ...route, to }, { replace: true });
+    const searchQuery = route.q;
+    const setSearchQuery = (q) => navigate({ ...route, q }, { replace: true });
+    // The search as sent with list requests, trailing the box
+    const [listQuery, setListQuery] = useState(() => route.q.trim());
+
+    useEffect(() => {
+        const timer = setTimeout(() => setListQuery(searchQuery.trim()), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchQuery]);
+
+    // Aborted when the routed list changes; load-more / load-all pages use it
+    // so rows from a previous client or form never land in the current one
+    const listRequest = useRef(null);
+    // Which list (source + sort) the loaded rows and paging belong to, so a
+    // later page is never requested with another list's offset or cursor
+    const loadedList = useRef('');
+
     // ── API helpers ──────────────────────────────────────────
+    // Fetchers take an optional AbortSignal from the effect that started them;
+    // cancelled requests are ignored rather than reported.
     const fetchClients = useCallback(async () => {
         try {
-            const res = await axios.get(`${API_URL}/api/clients`, { headers });
-            const list = Array.isArray(res.data) ? res.data : [];
-            setClients(list);
+            setClients(await api.getClients());
         } catch (err) {
-            setError(`Failed to load clients: ${getAxiosErrorMessage(err)}`);
+            setError(`Failed to load clients: ${api.getErrorMessage(err)}`);
         }
-    }, [headers]);
+    }, []);
 
-    const fetchStats = useCallback(async () => {
+    const fetchClientsHealth = useCallback(async (signal) => {
         try {
-            const res = await axios.get(`${API_URL}/api/stats`, { headers });
-            setStats(res.data || {});
+            const reports = await api.getClientsHealth({ signal });
+            setClientHealth(Object.fromEntries(reports.map((h) => [String(h.client_id ?? h.id), h])));
+        } catch {
+            // non-critical; clients fall back to their own last_sync_at
+        }
+    }, []);
+
+    const fetchStats = useCallback(async (signal) => {
+        try {
+            setStats(await api.getStats({ signal }));
         } catch {
             // stats are non-critical
         }
-    }, [headers]);
+    }, []);
 
-    const fetchRecentSubmissions = useCallback(async () => {
+    const fetchRecentSubmissions = useCallback(async (signal) => {
         try {
-            const res = await axios.get(`${API_URL}/api/submissions/recent?days=7`, { headers });
-            setRecentSubmissions(Array.isArray(res.data) ? res.data : []);
+            setRecentSubmissions(await api.getRecentSubmissions(7, { signal }));
         } catch {
             // non-critical
         }
-    }, [headers]);
+    }, []);
 
-    const fetchClientStats = useCallback(async (clientId) => {
+    // Bounds (Dates) of the Home chart's selected range
+    const trendBounds = useMemo(() => {
+        const today = parseDayKey(dayKey(new Date()));
+        if (trendRange.preset === 'custom' && trendRange.from) {
+            const to = trendRange.to ? parseDayKey(trendRange.to) : today;
+            return { from: parseDayKey(trendRange.from), to: to > today ? today : to };
+        }
+        const days = Number(trendRange.preset) || 30;
+        return { from: addDays(today, 1 - days), to: today };
+    }, [trendRange]);
+
+    // The recent endpoint counts back from today, so ask for enough days to
+    // reach the start of the range and bucket client-side
+    const fetchTrendSubmissions = useCallback(async ({ from }, signal) => {
+        const days = Math.max(1, Math.round((parseDayKey(dayKey(new Date())) - from) / 86400000) + 1);
+        setTrendLoading(true);
         try {
-            const res = await axios.get(`${API_URL}/api/stats/client/${clientId}`, { headers });
-            setClientStats(res.data || {});
-        } catch {
-            setClientStats({});
+            setTrendSubmissions(await api.getRecentSubmissions(days, { signal }));
+        } catch (err) {
+            if (api.isCancel(err)) return;
+            setTrendSubmissions([]); // non-critical
+        } finally {
+            if (!signal?.aborted) setTrendLoading(false);
+        }
+    }, []);
+
+    const fetchClientStats = useCallback(async (clientId, signal) => {
+        try {
+            setClientStats(await api.getClientStats(clientId, { signal }));
+        } catch (err) {
+            if (!api.isCancel(err)) setClientStats({});
+        }
+    }, []);
+
+    // Optional endpoint. Only used when it left the spam out (like the client
+    // view does), and only for the fields it returned well-formed; the rest
+    // is computed from loaded submissions.
+    const fetchClientAnalytics = useCallback(async (clientId, signal) => {
+        try {
+            const data = await api.getClientAnalytics(clientId, { signal });
+            setClientAnalytics(data?.excludes_spam ? normalizeAnalytics(data) : null);
+        } catch (err) {
+            if (!api.isCancel(err)) setClientAnalytics(null);
         }
-    }, [headers]);
+    }, []);
+
+    // Missing rules (or endpoint) just mean the heuristics run alone
+    const fetchSpamRules = useCallback(async (clientId, signal) => {
+        try {
+            storeSpamRules(clientId, normalizeSpamRules(await api.getSpamRules(clientId, { signal })));
+        } catch (err) {
+            if (!api.isCancel(err)) storeSpamRules(clientId, EMPTY_SPAM_RULES);
+        }
+    }, [storeSpamRules]);
+
+    // Every visible client's rules, for Home and live updates
+    useEffect(() => {
+        const controller = new AbortController();
+        shownClients.forEach((c) => fetchSpamRules(c.id, controller.signal));
+        return () => controller.abort();
+    }, [shownClients, fetchSpamRules]);
 
-    const fetchFormsForClient = useCallback(async (client) => {
-        if (!client?.id) return;
+    const fetchFormsForClient = useCallback(async (clientId, signal) => {
+        if (!clientId) return;
         setLoading(true);
-        setSelectedForm(null);
-        setSubmissions([]);
-        setExpandedMessages(new Set());
         try {
-            const res = await axios.get(`${API_URL}/api/forms/client/${client.id}`, { headers });
-            setForms(Array.isArray(res.data) ? res.data : []);
+            setForms(await api.getClientForms(clientId, { signal }));
         } catch (err) {
+            if (api.isCancel(err)) return;
             setForms([]);
-            setError(`Failed to load forms: ${getAxiosErrorMessage(err)}`);
+            setError(`Failed to load forms: ${api.getErrorMessage(err)}`);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
-    }, [headers]);
+    }, []);
 
-    const fetchSubmissionsForForm = useCallback(async (form) => {
+    // One page of a submissions list, sorted server-side by the current sort.
+    // source: { formId } or { clientId } (All Forms), plus an optional q the
+    // API searches with and from/to day keys it limits to; rows are still
+    // matched locally in case it doesn't.
+    const fetchSubmissionPage = useCallback(async (source, offset = 0, cursor = null, signal) => {
+        const params = { limit: SUBMISSIONS_PAGE_SIZE, offset, sort: sortParam(sort), order: sort.dir };
+        if (cursor) params.cursor = cursor;
+        if (source.q) params.q = source.q;
+        if (source.from) params.from = source.from;
+        if (source.to) params.to = source.to;
+        const data = source.formId
+            ? await api.getFormSubmissions(source.formId, params, { signal })
+            : await api.getClientSubmissions(source.clientId, params, { signal });
+        return normalizeSubmissionPage(data, offset);
+    }, [sort]);
+
+    const listKey = useCallback((source) => JSON.stringify([source, sort]), [sort]);
+
+    // Source of the table's list: the routed form, or All Forms
+    const listSource = useCallback((clientId, formId) => (
+        formId ? { formId: String(formId), q: listQuery } : { clientId: String(clientId), q: listQuery }
+    ), [listQuery]);
+
+    const fetchSubmissionsForForm = useCallback(async (form, signal) => {
         if (!form?.id) return;
+        const source = listSource(null, form.id);
         setLoading(true);
-        setExpandedMessages(new Set());
+        setPaging(EMPTY_PAGING);
+        loadedList.current = '';
         try {
-            const res = await axios.get(`${API_URL}/api/forms/${form.id}/submissions`, { headers });
-            setSubmissions(Array.isArray(res.data) ? res.data : []);
+            const { rows, ...page } = await fetchSubmissionPage(source, 0, null, signal);
+            setSubmissions(rows);
+            setPaging(page);
+            loadedList.current = listKey(source);
         } catch (err) {
+            if (api.isCancel(err)) return;
             setSubmissions([]);
-            setError(`Failed to load submissions: ${getAxiosErrorMessage(err)}`);
+            setError(`Failed to load submissions: ${api.getErrorMessage(err)}`);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
-    }, [headers]);
+    }, [fetchSubmissionPage, listSource, listKey]);
 
-    const fetchAllSubmissionsForClient = useCallback(async (clientId) => {
+    const fetchAllSubmissionsForClient = useCallback(async (clientId, signal) => {
         if (!clientId) return;
+        const source = listSource(clientId, null);
         setLoading(true);
-        setExpandedMessages(new Set());
+        setPaging(EMPTY_PAGING);
+        loadedList.current = '';
         try {
-            const res = await axios.get(`${API_URL}/api/submissions/client/${clientId}`, { headers });
-            setAllSubmissions(Array.isArray(res.data) ? res.data : []);
+            const { rows, ...page } = await fetchSubmissionPage(source, 0, null, signal);
+            setAllSubmissions(rows);
+            setPaging(page);
+            loadedList.current = listKey(source);
         } catch (err) {
+            if (api.isCancel(err)) return;
             setAllSubmissions([]);
-            setError(`Failed to load submissions: ${getAxiosErrorMessage(err)}`);
+            setError(`Failed to load submissions: ${api.getErrorMessage(err)}`);
         } finally {
-            setLoading(false);
+            if (!signal?.aborted) setLoading(false);
         }
-    }, [headers]);
+    }, [fetchSubmissionPage, listSource, listKey]);
 
     // ── Initial load ─────────────────────────────────────────
     useEffect(() => {
@@ -209,17 +462,171 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
         fetchRecentSubmissions();
     }, [fetchClients, fetchStats, fetchRecentSubmissions]);
 
+    useEffect(() => {
+        const controller = new AbortController();
+        fetchClientsHealth(controller.signal);
+        const timer = setInterval(() => fetchClientsHealth(controller.signal), HEALTH_REFRESH_MS);
+        return () => {
+            clearInterval(timer);
+            controller.abort();
+        };
+    }, [fetchClientsHealth]);
+
+    // Health for one client; before a report arrives, whatever the client row carries
+    const healthFor = (client) => clientHealth[String(client.id)]
+        || { status: client.connection_status, last_sync_at: client.last_sync_at };
+
+    const updateClientHealth = (clientId, report) => {
+        setClientHealth((prev) => ({ ...prev, [String(clientId)]: { ...prev[String(clientId)], ...report } }));
+    };
+
+    // ── Live submissions ─────────────────────────────────────
+    // The channel stays open for the whole session; what the pushed row
+    // touches depends on where the user is, read through a ref.
+    const liveContext = useRef(null);
+    liveContext.current = {
+        view, clientId: route.clientId, formId: selectedForm?.id ?? null, permissions, spamRulesByClient,
+    };
+
+    const handleLiveSubmission = useCallback((sub) => {
+        const ctx = liveContext.current;
+        if (!canAccessClient(ctx.permissions, sub.client_id)) return;
+        // Likely spam is still listed (in the Spam bucket) but never counted or announced
+        const likelySpam = spamReport(sub, { rules: ctx.spamRulesByClient[String(sub.client_id)] }).quarantined;
+        setRecentSubmissions((prev) => addLiveSubmission(prev, sub));
+        if (!likelySpam) setStats((prev) => bumpStats(prev, sub));
+
+        const viewing = ctx.view === 'client' && sameId(ctx.clientId, sub.client_id);
+        if (viewing) {
+            setAllSubmissions((prev) => addLiveSubmission(prev, sub));
+            if (ctx.formId !== null && sameId(ctx.formId, sub.form_id)) setSubmissions((prev) => addLiveSubmission(prev, sub));
+            if (ctx.formId === null || sameId(ctx.formId, sub.form_id)) setPaging((prev) => ({ ...prev, total: prev.total + 1 }));
+            if (!likelySpam) setClientStats((prev) => bumpStats(prev, sub));
+        } else if (!likelySpam) {
+            const key = String(sub.client_id);
+            setUnread((prev) => ({ ...prev, [key]: (prev[key] || 0) + 1 }));
+        }
+        if (!likelySpam) notifySubmission(sub);
+    }, []);
+
+    // Reopened when the token changes (sign-in, silent refresh) so the stream
+    // is always authorized by the current session
+    useEffect(
+        () => openLiveChannel({ onSubmission: handleLiveSubmission, onStatus: setLiveStatus }),
+        [token, handleLiveSubmission]
+    );
+
+    // Opening a client marks its pushed submissions as seen
+    useEffect(() => {
+        if (view !== 'client' || !route.clientId) return;
+        setUnread((prev) => {
+            if (!prev[String(route.clientId)]) return prev;
+            const { [String(route.clientId)]: _seen, ...rest } = prev;
+            return rest;
+        });
+    }, [view, route.clientId]);
+
+    const handleToggleNotifications = async () => {
+        setNotifyOn(await setNotificationsEnabled(!notifyOn));
+    };
+
     // Reload home stats when returning to home
     useEffect(() => {
+        const controller = new AbortController();
         if (view === 'home') {
-            fetchStats();
-            fetchRecentSubmissions();
+            fetchStats(controller.signal);
+            fetchRecentSubmissions(controller.signal);
         }
         if (view === 'consent') {
-            fetchConsentSubmissions();
+            fetchConsentSubmissions(controller.signal);
         }
+        return () => controller.abort();
     }, [view]); // eslint-disable-line react-hooks/exhaustive-deps
 
+    // ── Load client data when the routed client changes ─────
+    useEffect(() => {
+        if (view !== 'client' || !route.clientId || !canAccessClient(permissions, route.clientId)) return;
+        const clientId = route.clientId;
+        setExpandedClientIds((prev) => { const next = new Set(prev); next.add(String(clientId)); return next; });
+        setForms([]);
+        setSubmissions([]);
+        setAllSubmissions([]);
+        setSyncResult(null);
+        setShowSyncHistory(false);
+        setSpamBucket(false);
+        setDuplicatesOnly(false);
+        const controller = new AbortController();
+        fetchFormsForClient(clientId, controller.signal);
+        fetchClientStats(clientId, controller.signal);
+        fetchSpamRules(clientId, controller.signal);
+        return () => {
+            controller.abort();
+            setLoading(false);
+        };
+    }, [view, route.clientId, permissions, fetchFormsForClient, fetchClientStats, fetchSpamRules]);
+
+    // Column filters belong to one form's columns — drop them when switching
+    useEffect(() => {
+        setColumnFilters([]);
+    }, [route.clientId, route.formId]);
+
+    // ── Column layout, saved per form (All Forms: per client) ──
+    const layoutScope = view !== 'client' ? null : route.formId ? `form:${route.formId}` : `client:${route.clientId}`;
+
+    useEffect(() => {
+        setColumnLayout(layoutScope ? normalizeLayout(loadScoped(COLUMN_LAYOUTS_KEY, layoutScope, EMPTY_LAYOUT)) : EMPTY_LAYOUT);
+    }, [layoutScope]);
+
+    const updateColumnLayout = (patch, { persist = true } = {}) => {
+        const next = { ...columnLayout, ...patch };
+        setColumnLayout(next);
+        if (persist && layoutScope) saveScoped(COLUMN_LAYOUTS_KEY, layoutScope, next);
+    };
+
+    const resetColumnLayout = () => {
+        setColumnLayout(EMPTY_LAYOUT);
+        if (layoutScope) saveScoped(COLUMN_LAYOUTS_KEY, layoutScope, undefined);
+    };
+
+    // Drag updates live; only the final width (mouseup) is saved
+    const handleColumnResize = (key, width, persist) => {
+        const widths = { ...columnLayout.widths, [key]: Math.max(MIN_COLUMN_WIDTH, Math.round(width)) };
+        updateColumnLayout({ widths }, { persist });
+    };
+
+    // ── Load the first page when the routed form or sort changes ──
+    useEffect(() => {
+        setSelectedIds(new Set());
+        if (view !== 'client' || !route.clientId) return;
+        const controller = new AbortController();
+        listRequest.current = controller;
+        if (route.formId) {
+            setSubmissions([]);
+            fetchSubmissionsForForm({ id: route.formId }, controller.signal);
+        } else {
+            fetchAllSubmissionsForClient(route.clientId, controller.signal);
+        }
+        return () => {
+            controller.abort();
+            setLoading(false);
+        };
+    }, [view, route.clientId, route.formId, fetchSubmissionsForForm, fetchAllSubmissionsForClient]);
+
+    useEffect(() => {
+        if (view !== 'home') return;
+        const controller = new AbortController();
+        fetchTrendSubmissions(trendBounds, controller.signal);
+        return () => controller.abort();
+    }, [view, trendBounds, fetchTrendSubmissions]);
+
+    useEffect(() => {
+        setClientAnalytics(null);
+        if (view !== 'client' || route.tab !== 'analytics') return;
+        const controller = new AbortController();
+        fetchClientAnalytics(route.clientId, controller.signal);
+        return () => controller.abort();
+    }, [view, route.tab, route.clientId, fetchClientAnalytics]);
+
     // ── Close avatar dropdown on outside click ───────────────
     useEffect(() => {
         const handler = (e) => {
@@ -233,76 +640,71 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
 
     // ── Handlers ─────────────────────────────────────────────
     const handleHomeClick = () => {
-        setView('home');
-        setSelectedClient(null);
-        setSelectedForm(null);
+        navigate({ view: 'home' });
         setSubmissions([]);
         setError('');
     };
 
     const handleConsentFormClick = () => {
-        setView('consent');
-        setSelectedClient(null);
-        setSelectedConsentSubmission(null);
+        navigate({ view: 'consent' });
+        setError('');
+    };
+
+    const handleUsersClick = () => {
+        navigate({ view: 'users' });
         setError('');
     };
 
-    const fetchConsentSubmissions = useCallback(async () => {
+    const handleConsentSubmissionSelect = (submission) => {
+        navigate({ view: 'consent', consentId: submission ? submission.id : null });
+    };
+
+    const fetchConsentSubmissions = useCallback(async (signal) => {
         try {
-            const res = await axios.get(`${API_URL}/api/consent-form/submissions`, { headers });
-            setConsentSubmissions(Array.isArray(res.data) ? res.data : []);
+            setConsentSubmissions(await api.getConsentSubmissions({ signal }));
         } catch (err) {
-            setError(`Failed to load consent form submissions: ${getAxiosErrorMessage(err)}`);
+            if (api.isCancel(err)) return;
+            setError(`Failed to load consent form submissions: ${api.getErrorMessage(err)}`);
         }
-    }, [headers]);
+    }, []);
 
     const handleClientToggle = (clientId) => {
+        const key = String(clientId);
         setExpandedClientIds((prev) => {
             const next = new Set(prev);
-            if (next.has(clientId)) {
-                next.delete(clientId);
+            if (next.has(key)) {
+                next.delete(key);
             } else {
-                next.add(clientId);
+                next.add(key);
             }
             return next;
         });
     };
 
-    const handleClientSelect = (client) => {
-        setExpandedClientIds((prev) => { const next = new Set(prev); next.add(client.id); return next; });
-        setView('client');
-        setSelectedClient(client);
-        setSelectedForm(null);
-        setSubmissions([]);
-        setStartDate('');
-        setEndDate('');
+    // Data for the client and form is loaded by the route effects above
+    const handleClientSelect = (client, tab = 'submissions') => {
+        setExpandedClientIds((prev) => { const next = new Set(prev); next.add(String(client.id)); return next; });
         setError('');
-        setSyncResult(null);
-        fetchFormsForClient(client);
-        fetchClientStats(client.id);
-        fetchAllSubmissionsForClient(client.id);
+        navigate({ view: 'client', clientId: client.id, tab });
     };
 
-    const handleFormSelect = async (form) => {
-        setSelectedForm(form);
-        setStartDate('');
-        setEndDate('');
-        setSelectedIds(new Set());
-        if (form === null) {
-            // "All Forms" — already loaded in allSubmissions
-        } else {
-            await fetchSubmissionsForForm(form);
-        }
+    // form === null means "All Forms" — already loaded in allSubmissions
+    const handleFormSelect = (form) => {
+        navigate({ view: 'client', clientId: route.clientId, formId: form ? form.id : null });
+    };
+
+    const handleClientTabChange = (tab) => {
+        navigate({ view: 'client', clientId: route.clientId, tab });
     };
 
     const handleDelete = async (id) => {
         if (!window.confirm('Delete this submission?')) return;
         try {
-            await axios.delete(`${API_URL}/api/forms/submissions/${id}`, { headers });
+            await api.deleteSubmission(id);
             setSubmissions((prev) => prev.filter((s) => s.id !== id));
             setAllSubmissions((prev) => prev.filter((s) => s.id !== id));
         } catch (err) {
-            alert(getAxiosErrorMessage(err));
+            alert(api.getErrorMessage(err));
         }
     };
 
@@ -311,110 +713,440 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
         if (!window.confirm(`Delete ${selectedIds.size} selected submission${selectedIds.size === 1 ? '' : 's'}?`)) return;
         try {
             const ids = Array.from(selectedIds);
-            await axios.delete(`${API_URL}/api/forms/submissions/bulk`, { data: { ids }, headers });
+            await api.deleteSubmissions(ids);
             setSubmissions((prev) => prev.filter((s) => !selectedIds.has(s.id)));
             setAllSubmissions((prev) => prev.filter((s) => !selectedIds.has(s.id)));
             setSelectedIds(new Set());
         } catch (err) {
-            alert(getAxiosErrorMessage(err));
+            alert(api.getErrorMessage(err));
+        }
+    };
+
+    // Optimistic row edits: rows change right away, then take the server's copy
+    // (authoritative history) when it sends one, or roll back if the API refuses
+    const saveRows = async (ids, change, save) => {
+        const idSet = new Set(ids);
+        const prev = [submissions, allSubmissions, recentSubmissions];
+        const apply = (list) => list.map((s) => (idSet.has(s.id) ? change(s) : s));
+        setSubmissions(apply);
+        setAllSubmissions(apply);
+        setRecentSubmissions(apply);
+        try {
+            const saved = await save();
+            const byId = new Map((Array.isArray(saved) ? saved : [saved]).filter((s) => s?.id != null).map((s) => [s.id, s]));
+            if (byId.size) {
+                const merge = (list) => list.map((s) => (byId.has(s.id) ? { ...s, ...byId.get(s.id) } : s));
+                setSubmissions(merge);
+                setAllSubmissions(merge);
+                setRecentSubmissions(merge);
+            }
+        } catch (err) {
+            setSubmissions(prev[0]);
+            setAllSubmissions(prev[1]);
+            setRecentSubmissions(prev[2]);
+            throw err;
+        }
+    };
+
+    const handleStatusChange = async (ids, status) => {
+        try {
+            await saveRows(ids, (s) => withStatus(s, status, user), () => (
+                ids.length === 1 ? api.updateSubmissionStatus(ids[0], status) : api.updateSubmissionsStatus(ids, status)
+            ));
+        } catch (err) {
+            alert(api.getErrorMessage(err));
+        }
+    };
+
+    // fields: { tags } or { assignee: member | null }
+    const handleAnnotate = async (id, fields) => {
+        const isTags = 'tags' in fields;
+        const change = isTags ? (s) => withTags(s, fields.tags) : (s) => withAssignee(s, fields.assignee);
+        const body = isTags ? { tags: normalizeTags(fields.tags) } : { assignee_id: fields.assignee?.id ?? null };
+        try {
+            await saveRows([id], change, () => api.updateSubmission(id, body));
+        } catch (err) {
+            alert(api.getErrorMessage(err));
+        }
+    };
+
+    // Throws so the note form can keep the draft and show the error
+    const handleAddNote = async (id, text) => {
+        try {
+            await saveRows([id], (s) => withNote(s, text, user), () => api.addSubmissionNote(id, text.trim()));
+        } catch (err) {
+            throw new Error(api.getErrorMessage(err));
+        }
+    };
+
+    const handleBulkStatus = async (status) => {
+        if (selectedIds.size === 0) return;
+        await handleStatusChange(Array.from(selectedIds), status);
+        setSelectedIds(new Set());
+    };
+
+    // Manual verdicts also teach the client's spam rules
+    const handleMarkSpam = async (ids, spam) => {
+        const idSet = new Set(ids);
+        const marked = activeSubmissions.filter((s) => idSet.has(s.id));
+        try {
+            await saveRows(ids, (s) => withSpamVerdict(s, spam), () => api.markSubmissionsSpam(ids, spam));
+            const next = learnVerdict(spamRules, marked, spam);
+            storeSpamRules(selectedClient.id, next);
+            await api.updateSpamRules(selectedClient.id, next);
+        } catch (err) {
+            alert(api.getErrorMessage(err));
+        }
+    };
+
+    const handleBulkSpam = async (spam) => {
+        if (selectedIds.size === 0) return;
+        await handleMarkSpam(Array.from(selectedIds), spam);
+        setSelectedIds(new Set());
+    };
+
+    // Empties the Spam bucket in one request. Every page is loaded first, so
+    // rows past the loaded ones are included and repeated bodies scored in full.
+    const handleDeleteSpam = async () => {
+        if (loadingMore) { alert('Still loading submissions — try again in a moment'); return; }
+        const rows = paging.hasMore ? await loadAllSubmissions() : activeSubmissions;
+        if (!rows) return;
+        const ids = splitQuarantine(rows, spamRules).quarantined.map((s) => s.id);
+        if (!ids.length) return;
+        const count = `${ids.length} ${ids.length === 1 ? 'submission' : 'submissions'}`;
+        const scope = selectedForm ? `"${selectedForm.form_name}"` : 'all forms';
+        if (!window.confirm(`Permanently delete all ${count} in Spam across ${scope}, including pages not shown yet?`)) return;
+        try {
+            await api.deleteSubmissions(ids);
+            const idSet = new Set(ids);
+            setSubmissions((prev) => prev.filter((s) => !idSet.has(s.id)));
+            setAllSubmissions((prev) => prev.filter((s) => !idSet.has(s.id)));
+            setSelectedIds(new Set());
+        } catch (err) {
+            alert(api.getErrorMessage(err));
+        }
+    };
+
+    // The primary takes the merged fields; the server deletes the duplicates
+    const handleMergeDuplicates = async (primary, others) => {
+        const merged = mergeSubmissions(primary, others);
+        try {
+            const saved = await api.mergeSubmissions(primary.id, others.map((s) => s.id), {
+                submission_data: merged.submission_data,
+                tags: merged.tags,
+                notes: merged.notes,
+                assignee_id: merged.assignee?.id ?? null,
+            });
+            const next = saved?.id != null ? { ...merged, ...saved } : merged;
+            const gone = new Set(others.map((s) => s.id));
+            const apply = (list) => list.filter((s) => !gone.has(s.id)).map((s) => (s.id === primary.id ? next : s));
+            setSubmissions(apply);
+            setAllSubmissions(apply);
+        } catch (err) {
+            throw new Error(api.getErrorMessage(err));
+        }
+    };
+
+    // Confirmed by the compare dialog, which also shows the error
+    const handleDeleteDuplicate = async (sub) => {
+        try {
+            await api.deleteSubmission(sub.id);
+            setSubmissions((prev) => prev.filter((s) => s.id !== sub.id));
+            setAllSubmissions((prev) => prev.filter((s) => s.id !== sub.id));
+        } catch (err) {
+            throw new Error(api.getErrorMessage(err));
+        }
+    };
+
+    const handleSaveSpamRules = async (rules) => {
+        try {
+            const saved = await api.updateSpamRules(selectedClient.id, rules);
+            storeSpamRules(selectedClient.id, normalizeSpamRules(saved?.allow ? saved : rules));
+        } catch (err) {
+            throw new Error(api.getErrorMessage(err));
         }
     };
 
     const handleDeleteForm = async (form) => {
         if (!window.confirm(`Delete "${form.form_name}" and all its submissions?`)) return;
         try {
-            await axios.delete(`${API_URL}/api/forms/${form.id}`, { headers });
+            await api.deleteForm(form.id);
             setForms((prev) => prev.filter((f) => f.id !== form.id));
-            if (selectedForm?.id === form.id) {
-                setSelectedForm(null);
+            if (sameId(selectedForm?.id, form.id)) {
+                navigate({ view: 'client', clientId: route.clientId }, { replace: true });
                 setSubmissions([]);
             }
         } catch (err) {
-            alert(getAxiosErrorMessage(err));
+            alert(api.getErrorMessage(err));
         }
     };
 
     const handleSaveClient = async ({ name, wordpress_url }) => {
         try {
-            const res = await axios.patch(
-                `${API_URL}/api/clients/${selectedClient.id}`,
-                { name, wordpress_url },
-                { headers }
-            );
-            const updated = res.data;
+            const updated = await api.updateClient(selectedClient.id, { name, wordpress_url });
             setClients((prev) => prev.map((c) => (c.id === updated.id ? { ...c, ...updated } : c)));
-            setSelectedClient((prev) => ({ ...prev, ...updated }));
             setShowEditClient(false);
         } catch (err) {
-            throw new Error(getAxiosErrorMessage(err));
+            throw new Error(api.getErrorMessage(err));
         }
     };
 
     const handleDeleteClient = async () => {
-        if (!selectedClient) return;
+        if (!selectedClient || !can(permissions, ACTIONS.deleteClient, selectedClient.id)) return;
         if (!window.confirm(`Delete "${selectedClient.name}"? This will permanently remove all their forms and submissions.`)) return;
         try {
-            await axios.delete(`${API_URL}/api/clients/${selectedClient.id}`, { headers });
+            await api.deleteClient(selectedClient.id);
             setClients((prev) => prev.filter((c) => c.id !== selectedClient.id));
-            setExpandedClientIds((prev) => { const next = new Set(prev); next.delete(selectedClient.id); return next; });
-            setView('home');
-            setSelectedClient(null);
+            setExpandedClientIds((prev) => { const next = new Set(prev); next.delete(String(selectedClient.id)); return next; });
+            navigate({ view: 'home' }, { replace: true });
             setForms([]);
             setSubmissions([]);
             fetchStats();
         } catch (err) {
-            alert(getAxiosErrorMessage(err));
+            alert(api.getErrorMessage(err));
         }
     };
 
     const handleSync = async () => {
-        if (!selectedClient) return;
+        if (!selectedClient || !can(permissions, ACTIONS.syncClient, selectedClient.id)) return;
         setSyncing(true);
         setSyncResult(null);
         if (syncResultTimer.current) clearTimeout(syncResultTimer.current);
 
         try {
-            const res = await axios.post(`${API_URL}/api/sync/client/${selectedClient.id}`, {}, { headers });
-            setSyncResult({ synced: res.data.synced ?? 0, skipped: res.data.skipped ?? 0 });
-            // Refresh submissions and stats
-            if (selectedForm) await fetchSubmissionsForForm(selectedForm);
-            await fetchAllSubmissionsForClient(selectedClient.id);
-            await fetchClientStats(selectedClient.id);
+            const result = await api.syncClient(selectedClient.id);
+            setSyncResult({ synced: result.synced ?? 0, skipped: result.skipped ?? 0 });
+            updateClientHealth(selectedClient.id, { status: 'connected', last_sync_at: new Date().toISOString() });
+            // Refresh the active submissions list and stats
+            const signal = listRequest.current?.signal;
+            if (selectedForm) await fetchSubmissionsForForm(selectedForm, signal);
+            else await fetchAllSubmissionsForClient(selectedClient.id, signal);
+            await fetchClientStats(selectedClient.id, signal);
         } catch (err) {
-            setSyncResult(getAxiosErrorMessage(err));
+            setSyncResult(api.getErrorMessage(err));
+            fetchClientsHealth();
         } finally {
             setSyncing(false);
+            setSyncHistoryVersion((v) => v + 1);
             syncResultTimer.current = setTimeout(() => setSyncResult(null), 5000);
         }
     };
 
-    const handleClientAdded = (newClient) => {
-        setClients((prev) => [...prev, newClient]);
+    // Every visible client the user may sync, SYNC_ALL_CONCURRENCY at a time
+    const handleSyncAll = async () => {
+        const targets = shownClients.filter((c) => can(permissions, ACTIONS.syncClient, c.id));
+        if (!targets.length || syncAllRequest.current) return;
+        const controller = new AbortController();
+        syncAllRequest.current = controller;
+        const patchRow = (id, fields) => setSyncAllRows((prev) => prev.map((r) => (r.id === id ? { ...r, ...fields } : r)));
+        setSyncAllRows(initialSyncRows(targets));
+        setSyncAllRunning(true);
+
+        await runPool(targets, SYNC_ALL_CONCURRENCY, async (client) => {
+            patchRow(client.id, { status: 'running' });
+            try {
+                const result = await api.syncClient(client.id, { signal: controller.signal });
+                patchRow(client.id, { status: 'done', synced: result.synced ?? 0, skipped: result.skipped ?? 0 });
+                updateClientHealth(client.id, { status: 'connected', last_sync_at: new Date().toISOString() });
+            } catch (err) {
+                patchRow(client.id, api.isCancel(err)
+                    ? { status: 'cancelled' }
+                    : { status: 'failed', error: api.getErrorMessage(err) });
+            }
+        }, controller.signal);
+
+        setSyncAllRows((prev) => prev.map((r) => (r.status === 'queued' ? { ...r, status: 'cancelled' } : r)));
+        setSyncAllRunning(false);
+        setSyncHistoryVersion((v) => v + 1);
+        syncAllRequest.current = null;
         fetchStats();
+        fetchRecentSubmissions();
+        fetchClientsHealth();
     };
 
-    const toggleMessage = (id) => {
-        setExpandedMessages((prev) => {
-            const next = new Set(prev);
-            next.has(id) ? next.delete(id) : next.add(id);
-            return next;
-        });
+    // Stops queued syncs and cancels the requests in flight
+    const handleCancelSyncAll = () => syncAllRequest.current?.abort();
+
+    useEffect(() => () => syncAllRequest.current?.abort(), []);
+
+    const handleClientAdded = (newClient) => {
+        setClients((prev) => [...prev, newClient]);
+        fetchStats();
+        fetchClientsHealth();
     };
 
     // ── Active submissions (all forms or single form) ─────────
     const activeSubmissions = selectedForm === null ? allSubmissions : submissions;
 
-    // ── Filtered submissions ──────────────────────────────────
-    const filteredSubmissions = useMemo(() => {
-        if (!startDate && !endDate) return activeSubmissions;
-        return activeSubmissions.filter((sub) => {
-            const d = new Date(sub.submitted_at);
+    // Inbox vs Spam bucket; analytics, reports and exports only see the inbox
+    const quarantine = useMemo(() => splitQuarantine(activeSubmissions, spamRules), [activeSubmissions, spamRules]);
+
+    // Likely duplicates across the whole client (any form), spam left out
+    const duplicates = useMemo(
+        () => duplicateLookup(findDuplicateGroups(splitQuarantine(allSubmissions, spamRules).inbox)),
+        [allSubmissions, spamRules]
+    );
+
+    const loadMoreSubmissions = async () => {
+        if (!paging.hasMore || loadingMore || loading || !route.clientId) return;
+        const isAllForms = selectedForm === null;
+        const source = listSource(route.clientId, selectedForm?.id);
+        if (loadedList.current !== listKey(source)) return;
+        setLoadingMore(true);
+        try {
+            const { rows, ...page } = await fetchSubmissionPage(
+                source, activeSubmissions.length, paging.nextCursor, listRequest.current?.signal
+            );
+            (isAllForms ? setAllSubmissions : setSubmissions)((prev) => mergeSubmissionPages(prev, rows));
+            setPaging(page);
+        } catch (err) {
+            if (api.isCancel(err)) return;
+            setPaging((prev) => ({ ...prev, hasMore: false }));
+            setError(`Failed to load more submissions: ${api.getErrorMessage(err)}`);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const handleSortChange = (key) => setSort((prev) => nextSort(prev, key));
+
+    // Pulls every remaining page of the active list: for analytics, select-all,
+    // and searches or filters that have to see more than the loaded pages.
+    // → the complete list, or null when it couldn't be loaded
+    const loadAllSubmissions = useCallback(async () => {
+        if (!route.clientId || loadingMore) return null;
+        const isAllForms = selectedForm === null;
+        const source = listSource(route.clientId, selectedForm?.id);
+        if (loadedList.current !== listKey(source)) return null;
+        const setRows = isAllForms ? setAllSubmissions : setSubmissions;
+        const signal = listRequest.current?.signal;
+        let rows = isAllForms ? allSubmissions : submissions;
+        let offset = rows.length;
+        let cursor = paging.nextCursor;
+        let more = paging.hasMore;
+        setLoadingMore(true);
+        try {
+            while (more) {
+                const { rows: page, ...meta } = await fetchSubmissionPage(source, offset, cursor, signal);
+                rows = mergeSubmissionPages(rows, page);
+                setRows((prev) => mergeSubmissionPages(prev, page));
+                setPaging(meta);
+                offset += page.length;
+                cursor = meta.nextCursor;
+                more = meta.hasMore;
+            }
+            return rows;
+        } catch (err) {
+            if (api.isCancel(err)) return null;
+            setPaging((prev) => ({ ...prev, hasMore: false }));
+            setError(`Failed to load submissions: ${api.getErrorMessage(err)}`);
+            return null;
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [
+        route.clientId, selectedForm, loadingMore, allSubmissions, submissions, paging, listSource, listKey,
+        fetchSubmissionPage,
+    ]);
+
+    // Client PDF report — built from every submission in the report's range,
+    // independent of what the table has paged in so far
+    const handleGenerateReport = async ({ period, includeAppendix }) => {
+        const source = { clientId: String(selectedClient.id), ...reportRange(period) };
+        let rows = [];
+        try {
+            let offset = 0;
+            let cursor = null;
+            let more = true;
+            while (more) {
+                const { rows: page, ...meta } = await fetchSubmissionPage(source, offset, cursor);
+                const known = rows.length;
+                rows = mergeSubmissionPages(rows, page);
+                offset += page.length;
+                cursor = meta.nextCursor;
+                // A page of only repeats means the server isn't advancing
+                more = meta.hasMore && rows.length > known;
+            }
+        } catch (err) {
+            throw new Error(`Failed to load submissions: ${api.getErrorMessage(err)}`);
+        }
+        const { inbox } = splitQuarantine(rows, spamRules);
+        await downloadClientReport({ client: selectedClient, submissions: inbox, period, includeAppendix });
+    };
+
+    const analyticsFromApi = Boolean(clientAnalytics) && ANALYTICS_FIELDS.every((field) => field in clientAnalytics);
+    const analytics = useMemo(() => {
+        if (route.tab !== 'analytics') return null;
+        if (analyticsFromApi) return clientAnalytics;
+        return { ...computeClientAnalytics(splitQuarantine(allSubmissions, spamRules).inbox), ...clientAnalytics };
+    }, [route.tab, analyticsFromApi, clientAnalytics, allSubmissions, spamRules]);
+
+    // ── Filtered submissions (date range + search + column filters) ──
+    const terms = useMemo(() => searchTerms(searchQuery), [searchQuery]);
+
+    // Searches and filters have to see every row, not just the loaded pages;
+    // until the rest is in, the count says so
+    const needsAllRows = terms.length > 0 || Boolean(startDate || endDate) || spamBucket || duplicatesOnly
+        || columnFilters.some(isFilterComplete) || statusFilter.length > 0
+        || annotationFilter.tags.length > 0 || annotationFilter.assignee !== ANY_ASSIGNEE;
+
+    useEffect(() => {
+        if (needsAllRows && paging.hasMore && !loading && !loadingMore) loadAllSubmissions();
+    }, [needsAllRows, paging.hasMore, loading, loadingMore, loadAllSubmissions]);
+
+    // The table's filters over the inbox or Spam bucket rows; `dupes` is the
+    // duplicate lookup the "duplicates only" toggle checks against
+    const narrowRows = useCallback((rows, dupes) => {
+        let filtered = rows;
+        if (startDate || endDate) {
             const start = startDate ? new Date(startDate) : new Date('1970-01-01');
             const end = endDate ? new Date(endDate) : new Date('2099-12-31');
             end.setHours(23, 59, 59, 999);
-            return d >= start && d <= end;
-        });
-    }, [activeSubmissions, startDate, endDate]);
+            filtered = filtered.filter((sub) => {
+                const d = new Date(sub.submitted_at);
+                return d >= start && d <= end;
+            });
+        }
+        if (terms.length) {
+            const includeFormName = selectedForm === null;
+            filtered = filtered.filter((sub) => matchesSearch(sub, terms, { includeFormName }));
+        }
+        filtered = applyColumnFilters(filtered, columnFilters);
+        filtered = filterByStatus(filtered, statusFilter);
+        filtered = filterByAnnotations(filtered, annotationFilter);
+        if (duplicatesOnly) filtered = filtered.filter((sub) => dupes.has(sub.id));
+        return sortSubmissions(filtered, sort);
+    }, [startDate, endDate, terms, selectedForm, columnFilters, statusFilter, annotationFilter, duplicatesOnly, sort]);
+
+    const filteredSubmissions = useMemo(
+        () => narrowRows(spamBucket ? quarantine.quarantined : quarantine.inbox, duplicates),
+        [narrowRows, spamBucket, quarantine, duplicates]
+    );
+
+    // Every row of the active list matching the table's filters, all pages
+    // loaded first → null when they couldn't be
+    const loadMatchingRows = async () => {
+        if (!paging.hasMore) return filteredSubmissions;
+        const rows = await loadAllSubmissions();
+        if (!rows) return null;
+        const split = splitQuarantine(rows, spamRules);
+        const dupes = selectedForm === null ? duplicateLookup(findDuplicateGroups(split.inbox)) : duplicates;
+        return narrowRows(spamBucket ? split.quarantined : split.inbox, dupes);
+    };
+
+    const handleSelectAll = async () => {
+        const rows = await loadMatchingRows();
+        if (rows) setSelectedIds(new Set(rows.map((s) => s.id)));
+    };
+
+    const tagSuggestions = useMemo(() => allTags(activeSubmissions), [activeSubmissions]);
+
+    // Counts over the loaded rows of the bucket on screen (inbox or Spam), so
+    // each chip matches the rows it filters to
+    const leadCounts = useMemo(
+        () => statusCounts(spamBucket ? quarantine.quarantined : quarantine.inbox),
+        [spamBucket, quarantine]
+    );
 
     // ── Column detection (Gravity Forms vs others) ────────────
     const hasCompoundName = useMemo(
@@ -441,42 +1173,77 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
         return [...nameKeys, ...emailKeys, ...rest];
     }, [activeSubmissions, hasCompoundName]);
 
+    // Keep the bulk selection to rows that are still visible after filtering
+    useEffect(() => {
+        setSelectedIds((prev) => {
+            if (!prev.size) return prev;
+            const visible = new Set(filteredSubmissions.map((s) => s.id));
+            const next = new Set([...prev].filter((id) => visible.has(id)));
+            return next.size === prev.size ? prev : next;
+        });
+    }, [filteredSubmissions]);
+
+    // Columns offered by the filter builder (compound Name is split in the table)
+    const filterableKeys = useMemo(
+        () => (hasCompoundName ? ['Name', ...dataKeys] : dataKeys),
+        [dataKeys, hasCompoundName]
+    );
+
+    // submission_data columns after the saved layout (order + hidden) is applied
+    const shownKeys = useMemo(() => visibleKeys(dataKeys, columnLayout), [dataKeys, columnLayout]);
+
+    // Table columns: { id, label, sortKey (null = not sortable), dataKey? }
     const columns = useMemo(() => {
         if (!activeSubmissions.length) return [];
-        if (selectedForm === null) return ['Submitted', 'Form', ...dataKeys, ''];
-        if (hasCompoundName) return ['Submitted', 'First Name', 'Last Name', ...dataKeys, ''];
-        return ['Submitted', ...dataKeys, ''];
-    }, [activeSubmissions, dataKeys, hasCompoundName, selectedForm]);
-
-    // ── CSV export ────────────────────────────────────────────
-    const downloadCSV = () => {
-        if (!filteredSubmissions.length) { alert('No submissions to download'); return; }
-        const isAllForms = selectedForm === null;
-        const csvHeaders = isAllForms
-            ? ['Submitted', 'Form', ...dataKeys]
+        const submitted = { id: 'submitted', label: 'Submitted', sortKey: 'submitted_at' };
+        const lead = selectedForm === null
+            ? [submitted, { id: 'form', label: 'Form', sortKey: 'form_name' }]
             : hasCompoundName
-                ? ['Submitted', 'First Name', 'Last Name', ...dataKeys]
-                : ['Submitted', ...dataKeys];
-        const rows = filteredSubmissions.map((sub) => {
-            const data = sub?.submission_data || {};
-            const { first, last } = splitName(data?.Name);
-            const vals = isAllForms
-                ? [new Date(sub.submitted_at).toLocaleString(), sub.form_name, ...dataKeys.map((k) => data?.[k] ?? '')]
-                : [
-                    new Date(sub.submitted_at).toLocaleString(),
-                    ...(hasCompoundName ? [first, last] : []),
-                    ...dataKeys.map((k) => data?.[k] ?? ''),
-                ];
-            return vals.map((v) => `"${String(v).replace(/"/g, '""')}"`).join(',');
-        });
-        const csv = [csvHeaders.join(','), ...rows].join('\n');
-        const el = document.createElement('a');
-        el.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodeURIComponent(csv));
-        el.setAttribute('download', `${selectedForm ? selectedForm.form_name : 'all-submissions'}.csv`);
-        el.style.display = 'none';
-        document.body.appendChild(el);
-        el.click();
-        document.body.removeChild(el);
+                ? [submitted, { id: 'first', label: 'First Name', sortKey: 'data:Name' }, { id: 'last', label: 'Last Name', sortKey: null }]
+                : [submitted];
+        const dataCols = shownKeys.map((key) => ({
+            id: `data:${key}`, label: columnLabel(key, columnLayout), sortKey: `data:${key}`, dataKey: key,
+        }));
+        const spam = spamBucket ? [{ id: 'spam', label: 'Spam score', sortKey: null }] : [];
+        const followUp = [
+            { id: 'status', label: 'Status', sortKey: 'status' },
+            { id: 'tags', label: 'Tags', sortKey: null },
+            { id: 'assignee', label: 'Assignee', sortKey: 'assignee' },
+            { id: 'notes', label: 'Notes', sortKey: null },
+        ];
+        return [...lead, ...spam, ...followUp, ...dataCols, { id: 'actions', label: '', sortKey: null }];
+    }, [activeSubmissions, shownKeys, columnLayout, hasCompoundName, selectedForm, spamBucket]);
+
+    // ── Export (CSV / XLSX / JSON) ────────────────────────────
+    // Exports the checked rows, or else every row matching the table's filters
+    // (remaining pages are loaded first, like the PDF report)
+    const handleExport = async (format) => {
+        if (loadingMore) { alert('Still loading submissions — try again in a moment'); return; }
+        const rows = selectedIds.size > 0
+            ? filteredSubmissions.filter((s) => selectedIds.has(s.id))
+            : await loadMatchingRows();
+        if (!rows) return; // the load error is already shown
+        if (!rows.length) { alert('No submissions to download'); return; }
+        const isAllForms = selectedForm === null;
+        // Exports follow the table's column layout (visible keys, order, renames)
+        const columnOptions = {
+            isAllForms, hasCompoundName, dataKeys: shownKeys, labels: columnLayout.labels,
+            includeStatus: true, includeAnnotations: true,
+        };
+        const base = selectedForm ? selectedForm.form_name : 'all-submissions';
+        try {
+            if (format === 'csv') downloadCSV(rows, exportColumns(columnOptions), exportFileName(base, 'csv'));
+            if (format === 'json') downloadJSON(rows, exportFileName(base, 'json'));
+            if (format === 'xlsx') {
+                await downloadXLSX(
+                    rows,
+                    { columnOptions, groupByForm: isAllForms, sheetTitle: base },
+                    exportFileName(base, 'xlsx')
+                );
+            }
+        } catch (err) {
+            alert(`Export failed: ${err.message}`);
+        }
     };
 
     // ── Render ────────────────────────────────────────────────
@@ -512,6 +1279,16 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
                         Client Consent Form
                     </div>
 
+                    {canManageUsers && (
+                        <div
+                            className={`nav-item${view === 'users' ? ' active' : ''}`}
+                            onClick={handleUsersClick}
+                        >
+                            <span className="nav-icon"><i className="ph-light ph-user-gear"></i></span>
+                            Users
+                        </div>
+                    )}
+
                     <div
                         className={`nav-item${clientsOpen ? ' clients-open' : ''}${view === 'client' ? ' active' : ''}`}
                         onClick={() => setClientsOpen((o) => !o)}
@@ -522,29 +1299,40 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
                     </div>
 
                     <div className={`client-sub-list${clientsOpen ? ' open' : ''}`}>
-                        {clients.map((c) => (
+                        {shownClients.map((c) => (
                             <div key={c.id}>
                                 <div
-                                    className={`client-sub-item${expandedClientIds.has(c.id) ? ' expanded' : ''}`}
+                                    className={`client-sub-item${expandedClientIds.has(String(c.id)) ? ' expanded' : ''}`}
                                     onClick={() => handleClientToggle(c.id)}
                                 >
-                                    <i className={`ph-light ${expandedClientIds.has(c.id) ? 'ph-caret-down' : 'ph-caret-right'}`}></i>
+                                    <i className={`ph-light ${expandedClientIds.has(String(c.id)) ? 'ph-caret-down' : 'ph-caret-right'}`}></i>
                                     {c.name}
+                                    {unread[String(c.id)] > 0 && (
+                                        <span className="unread-badge" title="New since you last looked">{unread[String(c.id)]}</span>
+                                    )}
+                                    <ConnectionStatus health={healthFor(c)} compact />
                                 </div>
-                                <div className={`client-page-list${expandedClientIds.has(c.id) ? ' open' : ''}`}>
+                                <div className={`client-page-list${expandedClientIds.has(String(c.id)) ? ' open' : ''}`}>
                                     <div
-                                        className={`client-page-item${selectedClient?.id === c.id && view === 'client' ? ' active' : ''}`}
+                                        className={`client-page-item${selectedClient?.id === c.id && route.tab !== 'analytics' ? ' active' : ''}`}
                                         onClick={() => handleClientSelect(c)}
                                     >
                                         <i className="ph-light ph-list-bullets"></i>
                                         Form Submissions
                                     </div>
+                                    <div
+                                        className={`client-page-item${selectedClient?.id === c.id && route.tab === 'analytics' ? ' active' : ''}`}
+                                        onClick={() => handleClientSelect(c, 'analytics')}
+                                    >
+                                        <i className="ph-light ph-chart-bar"></i>
+                                        Analytics
+                                    </div>
                                 </div>
                             </div>
                         ))}
-                        {clients.length === 0 && (
+                        {shownClients.length === 0 && (
                             <div className="client-sub-item" style={{ color: 'rgba(255,255,255,0.25)', cursor: 'default' }}>
-                                No clients yet
+                                {clients.length === 0 ? 'No clients yet' : 'No clients assigned'}
                             </div>
                         )}
                     </div>
@@ -558,23 +1346,39 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
                     {view === 'client' && selectedClient ? (
                         <div className="topbar-client-section">
                             <span className="topbar-client-name">{selectedClient.name}</span>
+                            <ConnectionStatus health={healthFor(selectedClient)} />
                             <div className="topbar-client-actions">
-                                <button className="delete-client-btn" onClick={() => setShowEditClient(true)}>
-                                    <i className="ph-light ph-pencil-simple"></i> Edit
-                                </button>
-                                <button className="delete-client-btn" onClick={handleDeleteClient}>
-                                    <i className="ph-light ph-trash"></i> Delete
-                                </button>
+                                {can(permissions, ACTIONS.editClient, selectedClient.id) && (
+                                    <button className="delete-client-btn" onClick={() => setShowEditClient(true)}>
+                                        <i className="ph-light ph-pencil-simple"></i> Edit
+                                    </button>
+                                )}
+                                {can(permissions, ACTIONS.deleteClient, selectedClient.id) && (
+                                    <button className="delete-client-btn" onClick={handleDeleteClient}>
+                                        <i className="ph-light ph-trash"></i> Delete
+                                    </button>
+                                )}
                             </div>
                         </div>
                     ) : (
                         <div className="topbar-title"></div>
                     )}
 
-                    <button className="add-client-btn" onClick={() => setShowAddClient(true)}>
-                        <span style={{ fontSize: 18, lineHeight: 1, marginTop: -1 }}>+</span> Add Client
+                    <button
+                        className="live-toggle"
+                        onClick={handleToggleNotifications}
+                        title={`${LIVE_LABELS[liveStatus]} · Browser notifications ${notifyOn ? 'on' : 'off'}`}
+                    >
+                        <i className={`ph-light ${notifyOn ? 'ph-bell-ringing' : 'ph-bell-slash'}`}></i>
+                        <span className={`live-dot ${liveStatus}`} />
                     </button>
 
+                    {can(permissions, ACTIONS.createClient) && (
+                        <button className="add-client-btn" onClick={() => setShowAddClient(true)}>
+                            <span style={{ fontSize: 18, lineHeight: 1, marginTop: -1 }}>+</span> Add Client
+                        </button>
+                    )}
+
                     <div className="avatar-wrap" ref={avatarRef} onClick={() => setAvatarOpen((o) => !o)}>
                         <div className="avatar">
                             {user?.avatar_url
@@ -590,7 +1394,7 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
                                 <div className="dropdown-item" onClick={(e) => { e.stopPropagation(); setAvatarOpen(false); setShowAccountSettings(true); }}>
                                     <i className="ph-light ph-gear"></i> Account Settings
                                 </div>
-                                {user?.is_admin && (
+                                {canManageUsers && (
                                     <div className="dropdown-item" onClick={(e) => { e.stopPropagation(); setAvatarOpen(false); setShowCreateUser(true); }}>
                                         <i className="ph-light ph-user-plus"></i> Create User
                                     </div>
@@ -609,46 +1413,124 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
                 {/* ── CONTENT ── */}
                 <div className="content">
                     {error && <div className="error-banner">{error}</div>}
+                    {needsTwoFactor && (
+                        <div className="notice-banner">
+                            <i className="ph-light ph-shield-check"></i>
+                            Two-factor authentication is required for your account.
+                            <button className="filter-link-btn" onClick={() => setShowAccountSettings(true)}>Set it up now</button>
+                        </div>
+                    )}
 
                     {view === 'home' ? (
                         <HomeView
                             stats={stats}
-                            recentSubmissions={recentSubmissions}
+                            recentSubmissions={shownRecentSubmissions}
+                            trendRange={trendRange}
+                            setTrendRange={setTrendRange}
+                            trendBounds={trendBounds}
+                            trendSubmissions={shownTrendSubmissions}
+                            trendLoading={trendLoading}
                             loading={loading}
                             onClientClick={handleClientSelect}
                             user={user}
+                            canSyncAll={shownClients.some((c) => can(permissions, ACTIONS.syncClient, c.id))}
+                            onSyncAll={handleSyncAll}
+                            onCancelSyncAll={handleCancelSyncAll}
+                            onDismissSyncAll={() => setSyncAllRows(null)}
+                            syncAllRows={syncAllRows}
+                            syncAllRunning={syncAllRunning}
                         />
                     ) : view === 'consent' ? (
                         <ConsentFormView
                             submissions={consentSubmissions}
                             selectedSubmission={selectedConsentSubmission}
-                            onSelectSubmission={setSelectedConsentSubmission}
+                            onSelectSubmission={handleConsentSubmissionSelect}
+                            canDelete={canDeleteConsent}
                             onDelete={async (id) => {
-                                if (!window.confirm('Delete this submission?')) return;
+                                if (!canDeleteConsent || !window.confirm('Delete this submission?')) return;
                                 try {
-                                    await axios.delete(`${API_URL}/api/forms/submissions/${id}`, { headers });
+                                    await api.deleteSubmission(id);
                                     setConsentSubmissions((prev) => prev.filter((s) => s.id !== id));
                                 } catch (err) {
-                                    alert(getAxiosErrorMessage(err));
+                                    alert(api.getErrorMessage(err));
                                 }
                             }}
                         />
+                    ) : view === 'users' ? (
+                        canManageUsers ? (
+                            <UsersView
+                                currentUser={user}
+                                clients={clients}
+                                reloadKey={usersVersion}
+                                onCreateUser={() => setShowCreateUser(true)}
+                                onSelfUpdate={onUpdateUser}
+                            />
+                        ) : (
+                            <div className="empty-state">You need administrator access to manage users.</div>
+                        )
+                    ) : route.clientId && !canAccessClient(permissions, route.clientId) ? (
+                        <div className="empty-state">You don't have access to this client.</div>
                     ) : (
                         <ClientView
                             client={selectedClient}
+                            tab={route.tab}
+                            onTabChange={handleClientTabChange}
+                            analytics={analytics}
+                            analyticsFromApi={analyticsFromApi}
+                            allSubmissionCount={allSubmissions.length}
+                            onLoadAllSubmissions={loadAllSubmissions}
                             clientStats={clientStats}
                             forms={forms}
                             selectedForm={selectedForm}
                             onFormSelect={handleFormSelect}
                             filteredSubmissions={filteredSubmissions}
                             submissions={activeSubmissions}
+                            totalSubmissions={Math.max(paging.total, activeSubmissions.length)}
+                            hasMore={paging.hasMore}
+                            loadingMore={loadingMore}
+                            partialResults={needsAllRows && (paging.hasMore || loadingMore)}
+                            onLoadMore={loadMoreSubmissions}
+                            onSelectAll={handleSelectAll}
+                            sort={sort}
+                            onSortChange={handleSortChange}
                             columns={columns}
                             hasCompoundName={hasCompoundName}
                             dataKeys={dataKeys}
-                            expandedMessages={expandedMessages}
-                            onToggleMessage={toggleMessage}
+                            shownKeys={shownKeys}
+                            columnLayout={columnLayout}
+                            onColumnLayoutChange={updateColumnLayout}
+                            onColumnLayoutReset={resetColumnLayout}
+                            onColumnResize={handleColumnResize}
+                            showColumns={showColumns}
+                            setShowColumns={setShowColumns}
                             onDelete={handleDelete}
                             onBulkDelete={handleBulkDelete}
+                            onStatusChange={handleStatusChange}
+                            onBulkStatus={handleBulkStatus}
+                            leadCounts={leadCounts}
+                            statusFilter={statusFilter}
+                            setStatusFilter={setStatusFilter}
+                            annotationFilter={annotationFilter}
+                            setAnnotationFilter={setAnnotationFilter}
+                            onAnnotate={handleAnnotate}
+                            onAddNote={handleAddNote}
+                            teamMembers={teamMembers}
+                            tagSuggestions={tagSuggestions}
+                            currentUserId={user?.id}
+                            spamBucket={spamBucket}
+                            setSpamBucket={setSpamBucket}
+                            inboxCount={quarantine.inbox.length}
+                            spamCount={quarantine.quarantined.length}
+                            spamReports={quarantine.reports}
+                            onMarkSpam={handleMarkSpam}
+                            onBulkSpam={handleBulkSpam}
+                            onDeleteSpam={handleDeleteSpam}
+                            onShowSpamRules={() => setShowSpamRules(true)}
+                            duplicates={duplicates}
+                            duplicatesOnly={duplicatesOnly}
+                            setDuplicatesOnly={setDuplicatesOnly}
+                            onMergeDuplicates={handleMergeDuplicates}
+                            onDeleteDuplicate={handleDeleteDuplicate}
                             selectedIds={selectedIds}
                             setSelectedIds={setSelectedIds}
                             onDeleteForm={handleDeleteForm}
@@ -656,12 +1538,22 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
                             endDate={endDate}
                             setStartDate={setStartDate}
                             setEndDate={setEndDate}
-                            onDownloadCSV={downloadCSV}
+                            searchQuery={searchQuery}
+                            setSearchQuery={setSearchQuery}
+                            searchTerms={terms}
+                            filterableKeys={filterableKeys}
+                            columnFilters={columnFilters}
+                            setColumnFilters={setColumnFilters}
+                            showFilters={showFilters}
+                            setShowFilters={setShowFilters}
+                            onExport={handleExport}
+                            onGenerateReport={() => setShowReport(true)}
                             onSync={handleSync}
+                            onShowSyncHistory={() => setShowSyncHistory(true)}
                             syncing={syncing}
                             syncResult={syncResult}
                             loading={loading}
-                            user={user}
+                            permissions={permissions}
                         />
                     )}
                 </div>
@@ -669,7 +1561,6 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
 
             {showAddClient && (
                 <AddClient
-                    token={token}
                     onClientAdded={handleClientAdded}
                     onClose={() => setShowAddClient(false)}
                 />
@@ -678,15 +1569,41 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
             {showEditClient && selectedClient && (
                 <EditClient
                     client={selectedClient}
+                    onTested={(report) => updateClientHealth(selectedClient.id, report)}
                     onSave={handleSaveClient}
                     onClose={() => setShowEditClient(false)}
                 />
             )}
 
+            {showSyncHistory && selectedClient && (
+                <SyncHistory
+                    client={selectedClient}
+                    reloadKey={syncHistoryVersion}
+                    onClose={() => setShowSyncHistory(false)}
+                />
+            )}
+
+            {showSpamRules && selectedClient && (
+                <SpamRules
+                    client={selectedClient}
+                    rules={spamRules}
+                    onSave={handleSaveSpamRules}
+                    onClose={() => setShowSpamRules(false)}
+                />
+            )}
+
+            {showReport && selectedClient && (
+                <ReportDialog
+                    client={selectedClient}
+                    onGenerate={handleGenerateReport}
+                    onClose={() => setShowReport(false)}
+                />
+            )}
+
             {showAccountSettings && (
                 <AccountSettings
                     user={user}
-                    token={token}
+                    canManageUsers={canManageUsers}
                     onSave={onUpdateUser}
                     onClose={() => setShowAccountSettings(false)}
                 />
@@ -694,7 +1611,8 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
 
             {showCreateUser && (
                 <CreateUser
-                    token={token}
+                    clients={clients}
+                    onCreated={() => setUsersVersion((v) => v + 1)}
                     onClose={() => setShowCreateUser(false)}
                 />
             )}
@@ -703,9 +1621,12 @@ function Dashboard({ user, token, onLogout, onUpdateUser }) {
 }
 
 // ── HOME VIEW ─────────────────────────────────────────────────
-function HomeView({ stats, recentSubmissions, loading, onClientClick, user }) {
+function HomeView({
+    stats, recentSubmissions, trendRange, setTrendRange, trendBounds, trendSubmissions, trendLoading,
+    loading, onClientClick, user, canSyncAll, onSyncAll, onCancelSyncAll, onDismissSyncAll, syncAllRows, syncAllRunning,
+}) {
     const firstName = user?.name ? user.name.split(' ')[0] : null;
-    const dailyTrend = stats.dailyTrend ?? [];
+    const dailyTrend = useMemo(() => normalizeDailyTrend(stats.dailyTrend), [stats.dailyTrend]);
 
     const lastMonth = stats.lastMonthSubmissions ?? 0;
     const thisMonth = stats.submissionsThisMonth ?? 0;
@@ -719,18 +1640,36 @@ function HomeView({ stats, recentSubmissions, loading, onClientClick, user }) {
 
     return (
         <>
-            <div className="page-heading">
-                <h1>Welcome back{firstName ? `, ${firstName}` : ''}.</h1>
-                <p>Here's what's happening across your clients.</p>
+            <div className="page-heading home-heading">
+                <div>
+                    <h1>Welcome back{firstName ? `, ${firstName}` : ''}.</h1>
+                    <p>Here's what's happening across your clients.</p>
+                </div>
+                {canSyncAll && (
+                    <button className="sync-btn" onClick={onSyncAll} disabled={syncAllRunning}>
+                        <i className={`ph-light ${syncAllRunning ? 'ph-circle-notch' : 'ph-arrows-clockwise'}`}></i>
+                        {syncAllRunning ? 'Syncing…' : 'Sync all'}
+                    </button>
+                )}
             </div>
 
+            {syncAllRows && (
+                <SyncAllPanel
+                    rows={syncAllRows}
+                    running={syncAllRunning}
+                    onCancel={onCancelSyncAll}
+                    onDismiss={onDismissSyncAll}
+                    onClientClick={onClientClick}
+                />
+            )}
+
+            {/* The only series we have is submissions per day, so only the card it describes gets a sparkline */}
             <div className="stat-grid-home">
                 <StatCardHome
                     label="Total Submissions"
                     value={stats.totalSubmissions ?? '—'}
                     iconClass="ph-light ph-tray-arrow-down"
                     color="teal"
-                    sparklineData={dailyTrend}
                 />
                 <StatCardHome
                     label="Submissions This Month"
@@ -745,17 +1684,23 @@ function HomeView({ stats, recentSubmissions, loading, onClientClick, user }) {
                     value={stats.activeClients ?? '—'}
                     iconClass="ph-light ph-buildings"
                     color="blue"
-                    sparklineData={dailyTrend}
                 />
                 <StatCardHome
                     label="Active Forms"
                     value={stats.activeForms ?? '—'}
                     iconClass="ph-light ph-clipboard-text"
                     color="orange"
-                    sparklineData={dailyTrend}
                 />
             </div>
 
+            <SubmissionsOverTime
+                range={trendRange}
+                setRange={setTrendRange}
+                bounds={trendBounds}
+                submissions={trendSubmissions}
+                loading={trendLoading}
+            />
+
             <div className="section-card">
                 <div className="section-header">
                     <div>
@@ -776,6 +1721,9 @@ function HomeView({ stats, recentSubmissions, loading, onClientClick, user }) {
                                     <th>Form</th>
                                     <th>Plugin</th>
                                     <th>Submitted</th>
+                                    <th>Tags</th>
+                                    <th>Assignee</th>
+                                    <th>Notes</th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -793,6 +1741,9 @@ function HomeView({ stats, recentSubmissions, loading, onClientClick, user }) {
                                         <td>{sub.form_name}</td>
                                         <td>{pluginBadge(sub.form_plugin)}</td>
                                         <td>{formatDate(sub.submitted_at)}</td>
+                                        <td><TagList tags={tagsOf(sub)} max={2} /></td>
+                                        <td className="assignee-cell">{assigneeOf(sub)?.name || '—'}</td>
+                                        <td><NoteCount notes={notesOf(sub)} /></td>
                                     </tr>
                                 ))}
                             </tbody>
@@ -804,6 +1755,70 @@ function HomeView({ stats, recentSubmissions, loading, onClientClick, user }) {
     );
 }
 
+const TREND_PRESETS = [
+    { value: '7', label: '7 days' },
+    { value: '30', label: '30 days' },
+    { value: '90', label: '90 days' },
+    { value: 'custom', label: 'Custom' },
+];
+
+function SubmissionsOverTime({ range, setRange, bounds, submissions, loading }) {
+    const [byClient, setByClient] = useState(false);
+
+    const points = useMemo(
+        () => bucketByDay(submissions, bounds.from, bounds.to, byClient ? (s) => s.client_name : null),
+        [submissions, bounds, byClient]
+    );
+    const series = useMemo(() => (byClient ? topSeries(points, 6) : null), [points, byClient]);
+    const total = points.reduce((sum, p) => sum + p.count, 0);
+
+    return (
+        <div className="section-card trend-card">
+            <div className="section-header">
+                <div>
+                    <h2>Submissions over time</h2>
+                    <p>{total} {total === 1 ? 'submission' : 'submissions'} · {bounds.from.toLocaleDateString()} – {bounds.to.toLocaleDateString()}</p>
+                </div>
+                <div className="header-actions">
+                    <label className="trend-breakdown-toggle">
+                        <input type="checkbox" checked={byClient} onChange={(e) => setByClient(e.target.checked)} />
+                        By client
+                    </label>
+                    <div className="range-tabs">
+                        {TREND_PRESETS.map((p) => (
+                            <button
+                                key={p.value}
+                                className={range.preset === p.value ? 'active' : ''}
+                                onClick={() => setRange((prev) => ({
+                                    ...prev,
+                                    preset: p.value,
+                                    from: p.value === 'custom' && !prev.from ? dayKey(bounds.from) : prev.from,
+                                }))}
+                            >
+                                {p.label}
+                            </button>
+                        ))}
+                    </div>
+                    {range.preset === 'custom' && (
+                        <div className="date-filter">
+                            From
+                            <input type="date" value={range.from} max={range.to || dayKey(new Date())}
+                                onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))} />
+                            To
+                            <input type="date" value={range.to} min={range.from} max={dayKey(new Date())}
+                                onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))} />
+                        </div>
+                    )}
+                </div>
+            </div>
+            {loading && !submissions.length ? (
+                <div className="loading-state">Loading…</div>
+            ) : (
+                <TrendChart points={points} series={series} />
+            )}
+        </div>
+    );
+}
 
 function StatCardHome({ label, value, iconClass, color, sparklineData, trend }) {
     return (
@@ -820,26 +1835,192 @@ function StatCardHome({ label, value, iconClass, color, sparklineData, trend })
                     {trend.direction === 'up' ? '↑' : '↓'} {trend.label}
                 </div>
             )}
+            <Sparkline data={sparklineData} color={CHART_COLORS[color]} />
         </div>
     );
 }
 
 // ── CLIENT VIEW ───────────────────────────────────────────────
+function ExportMenu({ onExport, selectedCount }) {
+    const [open, setOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return;
+        const handler = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handler);
+        return () => document.removeEventListener('mousedown', handler);
+    }, [open]);
+
+    const choose = (format) => {
+        setOpen(false);
+        onExport(format);
+    };
+
+    return (
+        <div className="export-menu" ref={menuRef}>
+            <button className="csv-btn" onClick={() => setOpen((o) => !o)}>
+                <i className="ph-light ph-download-simple"></i>
+                Export{selectedCount > 0 ? ` ${selectedCount} selected` : ''}
+                <i className="ph-light ph-caret-down"></i>
+            </button>
+            {open && (
+                <div className="export-dropdown">
+                    <div className="export-item" onClick={() => choose('xlsx')}>
+                        <i className="ph-light ph-microsoft-excel-logo"></i> Excel (.xlsx)
+                    </div>
+                    <div className="export-item" onClick={() => choose('csv')}>
+                        <i className="ph-light ph-file-csv"></i> CSV (UTF-8)
+                    </div>
+                    <div className="export-item" onClick={() => choose('json')}>
+                        <i className="ph-light ph-brackets-curly"></i> JSON
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
 function ClientView({
-    client, clientStats, forms, selectedForm, onFormSelect,
-    filteredSubmissions, submissions, columns, hasCompoundName, dataKeys,
-    expandedMessages, onToggleMessage, onDelete, onBulkDelete, selectedIds, setSelectedIds, onDeleteForm,
-    startDate, endDate, setStartDate, setEndDate, onDownloadCSV,
-    onSync, syncing, syncResult, loading, user,
+    client, tab, onTabChange, analytics, analyticsFromApi, allSubmissionCount, onLoadAllSubmissions, clientStats, forms, selectedForm, onFormSelect,
+    filteredSubmissions, submissions, totalSubmissions, hasMore, loadingMore, partialResults, onLoadMore, onSelectAll,
+    sort, onSortChange, columns, hasCompoundName, dataKeys, shownKeys,
+    columnLayout, onColumnLayoutChange, onColumnLayoutReset, onColumnResize, showColumns, setShowColumns,
+    onDelete, onBulkDelete, selectedIds, setSelectedIds, onDeleteForm,
+    onStatusChange, onBulkStatus, leadCounts, statusFilter, setStatusFilter,
+    annotationFilter, setAnnotationFilter, onAnnotate, onAddNote, teamMembers, tagSuggestions, currentUserId,
+    spamBucket, setSpamBucket, inboxCount, spamCount, spamReports, onMarkSpam, onBulkSpam, onDeleteSpam, onShowSpamRules,
+    duplicates, duplicatesOnly, setDuplicatesOnly, onMergeDuplicates, onDeleteDuplicate,
+    startDate, endDate, setStartDate, setEndDate, searchQuery, setSearchQuery, searchTerms,
+    filterableKeys, columnFilters, setColumnFilters, showFilters, setShowFilters, onExport, onGenerateReport,
+    onSync, onShowSyncHistory, syncing, syncResult, loading, permissions,
 }) {
+    const canExport = can(permissions, ACTIONS.exportSubmissions, client?.id);
+    const canDeleteForm = can(permissions, ACTIONS.deleteForm, client?.id);
+    const canDeleteSubmission = can(permissions, ACTIONS.deleteSubmission, client?.id);
+    const canBulkDelete = can(permissions, ACTIONS.bulkDelete, client?.id);
+    const canUpdateStatus = can(permissions, ACTIONS.updateStatus, client?.id);
+    const canAnnotate = can(permissions, ACTIONS.annotate, client?.id);
+    const canMarkSpam = can(permissions, ACTIONS.markSpam, client?.id);
+    const canEditClient = can(permissions, ACTIONS.editClient, client?.id);
+    const canMerge = can(permissions, ACTIONS.mergeSubmissions, client?.id);
+
+    const toggleStatusFilter = (id) => setStatusFilter((prev) => (
+        prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]
+    ));
+    const toggleTagFilter = (tag) => setAnnotationFilter((prev) => ({
+        ...prev,
+        tags: prev.tags.includes(tag) ? prev.tags.filter((t) => t !== tag) : [...prev.tags, tag],
+    }));
+    const annotationFilterActive = annotationFilter.tags.length > 0 || annotationFilter.assignee !== ANY_ASSIGNEE;
+
+    // ── Virtualized rows: only render what's near the viewport ──
+    const scrollRef = useRef(null);
+    const [viewport, setViewport] = useState({ scrollTop: 0, height: 600 });
+
+    const handleTableScroll = () => {
+        const el = scrollRef.current;
+        if (!el) return;
+        setViewport({ scrollTop: el.scrollTop, height: el.clientHeight });
+        if (hasMore && el.scrollHeight - el.scrollTop - el.clientHeight < ROW_HEIGHT * ROW_OVERSCAN) {
+            onLoadMore();
+        }
+    };
+
+    // Jump back to the top when switching lists or re-sorting
+    useEffect(() => {
+        if (scrollRef.current) scrollRef.current.scrollTop = 0;
+        setViewport((prev) => ({ ...prev, scrollTop: 0 }));
+    }, [selectedForm?.id, sort]);
+
+    // ── Column resizing (drag the right edge of a header) ──
+    const justResized = useRef(false);
+
+    const startResize = (e, key) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const startWidth = e.currentTarget.parentElement.getBoundingClientRect().width;
+        const widthAt = (ev) => startWidth + ev.clientX - startX;
+        const handleMove = (ev) => onColumnResize(key, widthAt(ev), false);
+        const handleUp = (ev) => {
+            document.removeEventListener('mousemove', handleMove);
+            document.removeEventListener('mouseup', handleUp);
+            onColumnResize(key, widthAt(ev), true);
+            // The mouseup also fires a click on the header — don't let it sort
+            justResized.current = true;
+            setTimeout(() => { justResized.current = false; }, 0);
+        };
+        document.addEventListener('mousemove', handleMove);
+        document.addEventListener('mouseup', handleUp);
+    };
+
+    const widthStyle = (key) => {
+        const width = key ? columnLayout.widths[key] : null;
+        return width ? { width, minWidth: width, maxWidth: width } : undefined;
+    };
+
+    // ── Detail drawer ──
+    const [openSubmissionId, setOpenSubmissionId] = useState(null);
+    const openIndex = openSubmissionId === null ? -1 : filteredSubmissions.findIndex((s) => s.id === openSubmissionId);
+    const openSubmission = openIndex === -1 ? null : filteredSubmissions[openIndex];
+
+    useEffect(() => {
+        setOpenSubmissionId(null);
+    }, [selectedForm?.id]);
+
+    // Keep the drawer's row inside the virtualized window while paging through
+    useEffect(() => {
+        const el = scrollRef.current;
+        if (!el || openIndex === -1) return;
+        const rowTop = openIndex * ROW_HEIGHT;
+        if (rowTop < el.scrollTop || rowTop + ROW_HEIGHT > el.scrollTop + el.clientHeight) {
+            el.scrollTop = Math.max(0, rowTop - el.clientHeight / 2);
+        }
+    }, [openIndex]);
+
+    const openSibling = (offset) => {
+        const next = filteredSubmissions[openIndex + offset];
+        if (next) setOpenSubmissionId(next.id);
+    };
+
+    // ── Duplicate compare (keyed by the row whose badge was clicked) ──
+    const [compareId, setCompareId] = useState(null);
+    const compareGroup = compareId === null ? null : duplicates.get(compareId) || null;
+    const duplicateRows = useMemo(() => submissions.filter((s) => duplicates.has(s.id)).length, [submissions, duplicates]);
+
+    const deleteDuplicate = async (sub) => {
+        await onDeleteDuplicate(sub);
+        if (sub.id === compareId) setCompareId(compareGroup.members.find((m) => m.id !== sub.id)?.id ?? null);
+    };
+
     if (!client) return null;
 
+    const firstRow = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - ROW_OVERSCAN);
+    const lastRow = Math.min(
+        filteredSubmissions.length,
+        Math.ceil((viewport.scrollTop + viewport.height) / ROW_HEIGHT) + ROW_OVERSCAN
+    );
+    const visibleSubmissions = filteredSubmissions.slice(firstRow, lastRow);
+    const colSpan = columns.length + 1;
+    const activeFilterCount = columnFilters.filter(isFilterComplete).length;
+
     return (
         <>
             {/* Page top: heading + stats + sync */}
             <div className="page-top">
                 <div className="page-top-left">
-                    <h1>Form Submissions</h1>
+                    <h1>{tab === 'analytics' ? 'Analytics' : 'Form Submissions'}</h1>
+                    <div className="client-tabs">
+                        <button className={tab !== 'analytics' ? 'active' : ''} onClick={() => onTabChange('submissions')}>
+                            <i className="ph-light ph-list-bullets"></i> Submissions
+                        </button>
+                        <button className={tab === 'analytics' ? 'active' : ''} onClick={() => onTabChange('analytics')}>
+                            <i className="ph-light ph-chart-bar"></i> Analytics
+                        </button>
+                    </div>
                 </div>
                 <div className="page-top-right">
                     <div className="stat-grid-client">
@@ -863,16 +2044,28 @@ function ClientView({
                         </div>
                     </div>
 
-                    {user?.is_admin && (
+                    {canExport && (
+                        <button className="sync-btn report-btn" onClick={onGenerateReport}>
+                            <i className="ph-light ph-file-pdf"></i>
+                            Generate report
+                        </button>
+                    )}
+
+                    {can(permissions, ACTIONS.syncClient, client.id) && (
                         <>
                             <button className="sync-btn" onClick={onSync} disabled={syncing}>
                                 <i className={`ph-light ${syncing ? 'ph-circle-notch' : 'ph-arrows-clockwise'}`}></i>
                                 {syncing ? 'Syncing…' : 'Sync'}
                             </button>
+                            <button className="sync-btn report-btn" onClick={onShowSyncHistory} title="Sync history">
+                                <i className="ph-light ph-clock-counter-clockwise"></i>
+                                History
+                            </button>
 
                             {syncResult && typeof syncResult === 'object' && (
                                 <div className="sync-result success">
                                     {syncResult.synced} new {syncResult.synced === 1 ? 'submission' : 'submissions'} added
+                                    {syncResult.skipped > 0 && `, ${syncResult.skipped} already imported`}
                                 </div>
                             )}
                             {syncResult && typeof syncResult === 'string' && (
@@ -883,190 +2076,445 @@ function ClientView({
                 </div>
             </div>
 
-            {/* Forms + Submissions grid */}
-            <div className="client-body">
-                {/* Forms list */}
-                <div className="forms-card">
-                    <div className="forms-card-header">Forms</div>
-                    {loading && !forms.length ? (
-                        <div className="loading-state">Loading…</div>
-                    ) : forms.length === 0 ? (
-                        <div className="forms-empty">No forms found</div>
-                    ) : (
-                        <>
-                            <div
-                                className={`form-item${selectedForm === null ? ' active' : ''}`}
-                                onClick={() => onFormSelect(null)}
-                            >
-                                <i className="ph-light ph-stack"></i>
-                                <div className="form-item-text">
-                                    All Forms
-                                    <span className="form-plugin">{forms.length} forms</span>
-                                </div>
-                            </div>
-                            {forms.map((form) => (
+            {/* Lead status counts; each chip toggles a status filter */}
+            {tab !== 'analytics' && (
+                <div className="status-strip">
+                    {LEAD_STATUSES.map((st) => (
+                        <button
+                            key={st.id}
+                            className={`status-chip${statusFilter.includes(st.id) ? ' active' : ''}`}
+                            style={{ '--status-color': st.color }}
+                            onClick={() => toggleStatusFilter(st.id)}
+                        >
+                            <span className="status-chip-dot" />
+                            {st.label}
+                            <strong>{leadCounts[st.id] ?? 0}</strong>
+                        </button>
+                    ))}
+                    <span className="status-strip-divider" />
+                    {tagSuggestions.map((tag) => (
+                        <button
+                            key={tag}
+                            className={`status-chip tag-chip${annotationFilter.tags.includes(tag) ? ' active' : ''}`}
+                            style={{ '--status-color': tagColor(tag) }}
+                            onClick={() => toggleTagFilter(tag)}
+                        >
+                            <i className="ph-light ph-tag"></i>
+                            {tag}
+                        </button>
+                    ))}
+                    <select
+                        className={`assignee-filter${annotationFilter.assignee !== ANY_ASSIGNEE ? ' active' : ''}`}
+                        value={annotationFilter.assignee}
+                        onChange={(e) => setAnnotationFilter((prev) => ({ ...prev, assignee: e.target.value }))}
+                    >
+                        <option value={ANY_ASSIGNEE}>Any assignee</option>
+                        <option value={UNASSIGNED}>Unassigned</option>
+                        {currentUserId != null && <option value={String(currentUserId)}>Assigned to me</option>}
+                        {teamMembers.filter((m) => String(m.id) !== String(currentUserId)).map((m) => (
+                            <option key={m.id} value={String(m.id)}>{m.name || m.email}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            {tab === 'analytics' ? (
+                analytics && (
+                    <ClientAnalytics
+                        analytics={analytics}
+                        fromApi={analyticsFromApi}
+                        loadedCount={allSubmissionCount}
+                        totalCount={totalSubmissions}
+                        hasMore={hasMore}
+                        loadingAll={loadingMore}
+                        onLoadAll={onLoadAllSubmissions}
+                    />
+                )
+            ) : (
+                /* Forms + Submissions grid */
+                <div className="client-body">
+                    {/* Forms list */}
+                    <div className="forms-card">
+                        <div className="forms-card-header">Forms</div>
+                        {loading && !forms.length ? (
+                            <div className="loading-state">Loading…</div>
+                        ) : forms.length === 0 ? (
+                            <div className="forms-empty">No forms found</div>
+                        ) : (
+                            <>
                                 <div
-                                    key={form.id}
-                                    className={`form-item${selectedForm?.id === form.id ? ' active' : ''}`}
-                                    onClick={() => onFormSelect(form)}
+                                    className={`form-item${selectedForm === null ? ' active' : ''}`}
+                                    onClick={() => onFormSelect(null)}
                                 >
-                                    <i className="ph-light ph-file-text"></i>
+                                    <i className="ph-light ph-stack"></i>
                                     <div className="form-item-text">
-                                        {form.form_name}
-                                        <span className="form-plugin">{pluginLabel(form.form_plugin)}</span>
+                                        All Forms
+                                        <span className="form-plugin">{forms.length} forms</span>
                                     </div>
-                                    <button
-                                        className="form-delete-btn"
-                                        title="Delete form"
-                                        onClick={(e) => { e.stopPropagation(); onDeleteForm(form); }}
-                                    >
-                                        <i className="ph-light ph-trash"></i>
-                                    </button>
                                 </div>
-                            ))}
-                        </>
-                    )}
-                </div>
+                                {forms.map((form) => (
+                                    <div
+                                        key={form.id}
+                                        className={`form-item${selectedForm?.id === form.id ? ' active' : ''}`}
+                                        onClick={() => onFormSelect(form)}
+                                    >
+                                        <i className="ph-light ph-file-text"></i>
+                                        <div className="form-item-text">
+                                            {form.form_name}
+                                            <span className="form-plugin">{pluginLabel(form.form_plugin)}</span>
+                                        </div>
+                                        {canDeleteForm && (
+                                            <button
+                                                className="form-delete-btn"
+                                                title="Delete form"
+                                                onClick={(e) => { e.stopPropagation(); onDeleteForm(form); }}
+                                            >
+                                                <i className="ph-light ph-trash"></i>
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                            </>
+                        )}
+                    </div>
 
-                {/* Submissions table */}
-                <div className="submissions-card">
-                    {(selectedForm !== null || submissions.length > 0) ? (
-                        <>
-                            <div className="submissions-header">
-                                <div>
-                                    <h2>{selectedForm ? selectedForm.form_name : 'All Forms'}</h2>
-                                    <p>{selectedForm ? 'Showing submissions for this form' : 'Showing submissions across all forms'}</p>
-                                </div>
-                                <div className="header-actions">
-                                    <div className="date-filter">
-                                        From
-                                        <input
-                                            type="date"
-                                            value={startDate}
-                                            onChange={(e) => setStartDate(e.target.value)}
-                                        />
-                                        To
-                                        <input
-                                            type="date"
-                                            value={endDate}
-                                            onChange={(e) => setEndDate(e.target.value)}
-                                        />
+                    {/* Submissions table */}
+                    <div className="submissions-card">
+                        {(selectedForm !== null || submissions.length > 0) ? (
+                            <>
+                                <div className="submissions-header">
+                                    <div>
+                                        <h2>{selectedForm ? selectedForm.form_name : 'All Forms'}</h2>
+                                        <p>{selectedForm ? 'Showing submissions for this form' : 'Showing submissions across all forms'}</p>
+                                        <div className="client-tabs bucket-tabs">
+                                            <button className={spamBucket ? '' : 'active'} onClick={() => setSpamBucket(false)}>
+                                                <i className="ph-light ph-tray"></i> Inbox <span>{inboxCount}</span>
+                                            </button>
+                                            <button className={spamBucket ? 'active' : ''} onClick={() => setSpamBucket(true)}>
+                                                <i className="ph-light ph-warning-octagon"></i> Spam <span>{spamCount}</span>
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div className="header-actions">
+                                        <div className="search-box">
+                                            <i className="ph-light ph-magnifying-glass"></i>
+                                            <input
+                                                type="search"
+                                                value={searchQuery}
+                                                onChange={(e) => setSearchQuery(e.target.value)}
+                                                placeholder="Search submissions"
+                                            />
+                                        </div>
+                                        <div className="date-filter">
+                                            From
+                                            <input
+                                                type="date"
+                                                value={startDate}
+                                                onChange={(e) => setStartDate(e.target.value)}
+                                            />
+                                            To
+                                            <input
+                                                type="date"
+                                                value={endDate}
+                                                onChange={(e) => setEndDate(e.target.value)}
+                                            />
+                                        </div>
+                                        <button
+                                            className={`csv-btn filter-toggle-btn${showFilters || activeFilterCount ? ' active' : ''}`}
+                                            onClick={() => setShowFilters((o) => !o)}
+                                        >
+                                            <i className="ph-light ph-funnel"></i> Filters{activeFilterCount ? ` (${activeFilterCount})` : ''}
+                                        </button>
+                                        <button
+                                            className={`csv-btn filter-toggle-btn${showColumns ? ' active' : ''}`}
+                                            onClick={() => setShowColumns((o) => !o)}
+                                        >
+                                            <i className="ph-light ph-columns"></i> Columns
+                                        </button>
+                                        {canExport && <ExportMenu onExport={onExport} selectedCount={selectedIds.size} />}
                                     </div>
-                                    <button className="csv-btn" onClick={onDownloadCSV}>
-                                        <i className="ph-light ph-download-simple"></i> CSV
-                                    </button>
                                 </div>
-                            </div>
 
-                            <div className="submission-count">
-                                Showing {filteredSubmissions.length} of {submissions.length} submissions
-                                {selectedIds.size > 0 && (
-                                    <button className="bulk-delete-btn" onClick={onBulkDelete}>
-                                        <i className="ph-light ph-trash"></i> Delete {selectedIds.size} selected
-                                    </button>
+                                {showColumns && (
+                                    <ColumnChooser
+                                        dataKeys={dataKeys}
+                                        layout={columnLayout}
+                                        onChange={onColumnLayoutChange}
+                                        onReset={onColumnLayoutReset}
+                                        onClose={() => setShowColumns(false)}
+                                    />
+                                )}
+
+                                {showFilters && (
+                                    <FilterBuilder
+                                        key={selectedForm ? `form:${selectedForm.id}` : `client:${client.id}`}
+                                        scope={selectedForm ? `form:${selectedForm.id}` : `client:${client.id}`}
+                                        columns={filterableKeys}
+                                        filters={columnFilters}
+                                        onChange={setColumnFilters}
+                                        onClose={() => setShowFilters(false)}
+                                    />
                                 )}
-                            </div>
 
-                            <div className="submissions-table-scroll">
-                                {loading ? (
-                                    <div className="loading-state">Loading…</div>
-                                ) : filteredSubmissions.length === 0 ? (
-                                    <div className="empty-state">No submissions found</div>
-                                ) : (
-                                    <table>
-                                        <thead>
-                                            <tr>
-                                                <th>
-                                                    <input
-                                                        type="checkbox"
-                                                        checked={filteredSubmissions.length > 0 && filteredSubmissions.every((s) => selectedIds.has(s.id))}
-                                                        onChange={(e) => {
-                                                            if (e.target.checked) {
-                                                                setSelectedIds(new Set(filteredSubmissions.map((s) => s.id)));
-                                                            } else {
-                                                                setSelectedIds(new Set());
+                                <div className="submission-count">
+                                    {partialResults ? (
+                                        <>
+                                            Showing {filteredSubmissions.length} found in the first {submissions.length} of{' '}
+                                            {totalSubmissions} submissions — loading the rest…
+                                        </>
+                                    ) : (
+                                        <>Showing {filteredSubmissions.length} of {totalSubmissions} submissions</>
+                                    )}
+                                    {statusFilter.length > 0 && (
+                                        <button className="filter-link-btn" onClick={() => setStatusFilter([])}>
+                                            Clear status filter
+                                        </button>
+                                    )}
+                                    {annotationFilterActive && (
+                                        <button
+                                            className="filter-link-btn"
+                                            onClick={() => setAnnotationFilter({ tags: [], assignee: ANY_ASSIGNEE })}
+                                        >
+                                            Clear tag &amp; assignee filter
+                                        </button>
+                                    )}
+                                    {(duplicatesOnly || (!spamBucket && duplicateRows > 0)) && (
+                                        <button className="filter-link-btn" onClick={() => setDuplicatesOnly((on) => !on)}>
+                                            {duplicatesOnly ? 'Show all submissions' : `Show ${duplicateRows} possible duplicates`}
+                                        </button>
+                                    )}
+                                    {spamBucket && canEditClient && (
+                                        <button className="filter-link-btn" onClick={onShowSpamRules}>Spam rules</button>
+                                    )}
+                                    {selectedIds.size > 0 && canMarkSpam && (
+                                        <button className="bulk-action-btn" onClick={() => onBulkSpam(!spamBucket)}>
+                                            <i className={`ph-light ${spamBucket ? 'ph-tray' : 'ph-warning-octagon'}`}></i>
+                                            {spamBucket ? `Not spam (${selectedIds.size})` : `Mark ${selectedIds.size} as spam`}
+                                        </button>
+                                    )}
+                                    {selectedIds.size > 0 && canUpdateStatus && (
+                                        <StatusSelect
+                                            onChange={onBulkStatus}
+                                            placeholder={`Set status for ${selectedIds.size} selected…`}
+                                        />
+                                    )}
+                                    {selectedIds.size > 0 && canBulkDelete && (
+                                        <button className="bulk-delete-btn" onClick={onBulkDelete}>
+                                            <i className="ph-light ph-trash"></i> Delete {selectedIds.size} selected
+                                        </button>
+                                    )}
+                                    {spamBucket && selectedIds.size === 0 && spamCount > 0 && canBulkDelete && (
+                                        <button className="bulk-delete-btn" onClick={onDeleteSpam}>
+                                            <i className="ph-light ph-trash"></i> Delete all spam
+                                        </button>
+                                    )}
+                                </div>
+
+                                <div className="submissions-table-scroll" ref={scrollRef} onScroll={handleTableScroll}>
+                                    {loading ? (
+                                        <div className="loading-state">Loading…</div>
+                                    ) : filteredSubmissions.length === 0 ? (
+                                        <div className="empty-state">{spamBucket ? 'Nothing in Spam' : 'No submissions found'}</div>
+                                    ) : (
+                                        <table>
+                                            <thead>
+                                                <tr>
+                                                    <th>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={
+                                                                !hasMore && filteredSubmissions.length > 0
+                                                                && filteredSubmissions.every((s) => selectedIds.has(s.id))
                                                             }
-                                                        }}
-                                                    />
-                                                </th>
-                                                {columns.map((col, i) => (
-                                                    <th key={i}>{col}</th>
-                                                ))}
-                                            </tr>
-                                        </thead>
-                                        <tbody>
-                                            {filteredSubmissions.map((sub) => {
-                                                const data = sub?.submission_data || {};
-                                                const { first, last } = splitName(data?.Name);
-                                                const isExpanded = expandedMessages.has(sub.id);
-
-                                                return (
-                                                    <tr key={sub.id} className={selectedIds.has(sub.id) ? 'row-selected' : ''}>
-                                                        <td>
-                                                            <input
-                                                                type="checkbox"
-                                                                checked={selectedIds.has(sub.id)}
-                                                                onChange={(e) => {
-                                                                    setSelectedIds((prev) => {
-                                                                        const next = new Set(prev);
-                                                                        e.target.checked ? next.add(sub.id) : next.delete(sub.id);
-                                                                        return next;
-                                                                    });
-                                                                }}
-                                                            />
-                                                        </td>
-                                                        {selectedForm === null && <td>{formatDateOnly(sub.submitted_at)}</td>}
-                                                        {selectedForm === null && <td>{sub.form_name}</td>}
-                                                        {selectedForm !== null && <td>{formatDate(sub.submitted_at)}</td>}
-                                                        {hasCompoundName && <td>{first}</td>}
-                                                        {hasCompoundName && <td>{last}</td>}
-
-                                                        {dataKeys.map((key) => {
-                                                            const val = String(data?.[key] ?? '');
-                                                            const isLong = val.length > 100;
-                                                            if (isLong) {
+                                                            disabled={loadingMore}
+                                                            title={hasMore ? 'Select every match (loads the remaining pages)' : undefined}
+                                                            onChange={(e) => {
+                                                                if (e.target.checked) {
+                                                                    onSelectAll();
+                                                                } else {
+                                                                    setSelectedIds(new Set());
+                                                                }
+                                                            }}
+                                                        />
+                                                    </th>
+                                                    {columns.map((col) => {
+                                                        if (!col.sortKey) return <th key={col.id}>{col.label}</th>;
+                                                        const isSorted = sort.key === col.sortKey;
+                                                        return (
+                                                            <th
+                                                                key={col.id}
+                                                                className={`sortable-th${isSorted ? ' sorted' : ''}`}
+                                                                style={widthStyle(col.dataKey)}
+                                                                title={col.dataKey && col.label !== col.dataKey ? col.dataKey : undefined}
+                                                                onClick={() => { if (!justResized.current) onSortChange(col.sortKey); }}
+                                                            >
+                                                                {col.label}
+                                                                <i className={`ph-light ${isSorted && sort.dir === 'asc' ? 'ph-caret-up' : 'ph-caret-down'}`}></i>
+                                                                {col.dataKey && (
+                                                                    <span
+                                                                        className="column-resize-handle"
+                                                                        onMouseDown={(e) => startResize(e, col.dataKey)}
+                                                                        onClick={(e) => e.stopPropagation()}
+                                                                    />
+                                                                )}
+                                                            </th>
+                                                        );
+                                                    })}
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {firstRow > 0 && (
+                                                    <tr className="virtual-spacer" style={{ height: firstRow * ROW_HEIGHT }}>
+                                                        <td colSpan={colSpan}></td>
+                                                    </tr>
+                                                )}
+                                                {visibleSubmissions.map((sub) => {
+                                                    const data = sub?.submission_data || {};
+                                                    const { first, last } = splitName(data?.Name);
+                                                    const dupGroup = duplicates.get(sub.id);
+                                                    const dupBadge = dupGroup && (
+                                                        <DuplicateBadge group={dupGroup} onClick={() => setCompareId(sub.id)} />
+                                                    );
+
+                                                    return (
+                                                        <tr
+                                                            key={sub.id}
+                                                            className={`submission-row${selectedIds.has(sub.id) ? ' row-selected' : ''}${sub.id === openSubmissionId ? ' row-open' : ''}`}
+                                                            onClick={() => setOpenSubmissionId(sub.id)}
+                                                        >
+                                                            <td onClick={(e) => e.stopPropagation()}>
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={selectedIds.has(sub.id)}
+                                                                    onChange={(e) => {
+                                                                        setSelectedIds((prev) => {
+                                                                            const next = new Set(prev);
+                                                                            e.target.checked ? next.add(sub.id) : next.delete(sub.id);
+                                                                            return next;
+                                                                        });
+                                                                    }}
+                                                                />
+                                                            </td>
+                                                            {selectedForm === null && <td>{formatDateOnly(sub.submitted_at)}{dupBadge}</td>}
+                                                            {selectedForm === null && <td><Highlight text={sub.form_name} terms={searchTerms} /></td>}
+                                                            {selectedForm !== null && <td>{formatDate(sub.submitted_at)}{dupBadge}</td>}
+                                                            {hasCompoundName && <td><Highlight text={first} terms={searchTerms} /></td>}
+                                                            {hasCompoundName && <td><Highlight text={last} terms={searchTerms} /></td>}
+                                                            {spamBucket && <td><SpamScore report={spamReports.get(sub.id)} /></td>}
+                                                            <td onClick={(e) => e.stopPropagation()}>
+                                                                <StatusSelect
+                                                                    submission={sub}
+                                                                    disabled={!canUpdateStatus}
+                                                                    onChange={(status) => onStatusChange([sub.id], status)}
+                                                                />
+                                                            </td>
+                                                            <td><TagList tags={tagsOf(sub)} max={2} /></td>
+                                                            <td className="assignee-cell">{assigneeOf(sub)?.name || '—'}</td>
+                                                            <td><NoteCount notes={notesOf(sub)} /></td>
+
+                                                            {shownKeys.map((key) => {
+                                                                const val = String(data?.[key] ?? '');
+                                                                const isLong = val.length > 100;
+                                                                const sized = widthStyle(key);
+                                                                if (isLong) {
+                                                                    return (
+                                                                        <td key={key} className="msg-cell" style={sized} title={val}>
+                                                                            <span className="msg-short"><Highlight text={val.slice(0, 80)} terms={searchTerms} />…</span>
+                                                                            <button
+                                                                                className="msg-toggle"
+                                                                                onClick={(e) => { e.stopPropagation(); setOpenSubmissionId(sub.id); }}
+                                                                            >
+                                                                                more
+                                                                            </button>
+                                                                        </td>
+                                                                    );
+                                                                }
                                                                 return (
-                                                                    <td key={key} className={`msg-cell${isExpanded ? ' expanded' : ''}`}>
-                                                                        <span className="msg-short">{val.slice(0, 80)}…</span>
-                                                                        <span className="msg-full">{val}</span>
-                                                                        <button
-                                                                            className="msg-toggle"
-                                                                            onClick={() => onToggleMessage(sub.id)}
-                                                                        >
-                                                                            {isExpanded ? 'less' : 'more'}
-                                                                        </button>
+                                                                    <td key={key} className={sized ? 'sized-cell' : undefined} style={sized}>
+                                                                        <Highlight text={val} terms={searchTerms} />
                                                                     </td>
                                                                 );
-                                                            }
-                                                            return <td key={key}>{val}</td>;
-                                                        })}
-
-                                                        <td>
-                                                            <button
-                                                                className="delete-btn"
-                                                                onClick={() => onDelete(sub.id)}
-                                                            >
-                                                                Delete
-                                                            </button>
+                                                            })}
+
+                                                            <td onClick={(e) => e.stopPropagation()}>
+                                                                {canDeleteSubmission && (
+                                                                    <button
+                                                                        className="delete-btn"
+                                                                        onClick={() => onDelete(sub.id)}
+                                                                    >
+                                                                        Delete
+                                                                    </button>
+                                                                )}
+                                                            </td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                                {lastRow < filteredSubmissions.length && (
+                                                    <tr className="virtual-spacer" style={{ height: (filteredSubmissions.length - lastRow) * ROW_HEIGHT }}>
+                                                        <td colSpan={colSpan}></td>
+                                                    </tr>
+                                                )}
+                                                {(hasMore || loadingMore) && (
+                                                    <tr className="load-more-row">
+                                                        <td colSpan={colSpan}>
+                                                            {loadingMore ? 'Loading more…' : (
+                                                                <button className="load-more-btn" onClick={onLoadMore}>Load more</button>
+                                                            )}
                                                         </td>
                                                     </tr>
-                                                );
-                                            })}
-                                        </tbody>
-                                    </table>
-                                )}
-                            </div>
-                        </>
-                    ) : (
-                        <div className="empty-state">No forms found for this client.</div>
-                    )}
+                                                )}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                </div>
+                            </>
+                        ) : (
+                            <div className="empty-state">No forms found for this client.</div>
+                        )}
+                    </div>
                 </div>
-            </div>
+            )}
+
+            {openSubmission && (
+                <SubmissionDrawer
+                    submission={openSubmission}
+                    formName={openSubmission.form_name || selectedForm?.form_name}
+                    pluginName={pluginLabel(
+                        openSubmission.form_plugin
+                        || selectedForm?.form_plugin
+                        || forms.find((f) => f.id === openSubmission.form_id)?.form_plugin
+                    )}
+                    position={openIndex + 1}
+                    total={filteredSubmissions.length}
+                    onPrev={() => openSibling(-1)}
+                    onNext={() => openSibling(1)}
+                    onClose={() => setOpenSubmissionId(null)}
+                    onStatusChange={canUpdateStatus ? (id, status) => onStatusChange([id], status) : null}
+                    teamMembers={teamMembers}
+                    tagSuggestions={tagSuggestions}
+                    onAnnotate={canAnnotate ? onAnnotate : null}
+                    onAddNote={canAnnotate ? onAddNote : null}
+                    spamReport={spamReports.get(openSubmission.id)}
+                    onMarkSpam={canMarkSpam ? (id, spam) => onMarkSpam([id], spam) : null}
+                />
+            )}
+
+            {compareGroup && (
+                <DuplicateCompare
+                    key={compareGroup.id}
+                    group={compareGroup}
+                    canMerge={canMerge}
+                    canDelete={canDeleteSubmission}
+                    onMerge={onMergeDuplicates}
+                    onDelete={deleteDuplicate}
+                    onClose={() => setCompareId(null)}
+                />
+            )}
         </>
     );
 }
 
-function EditClient({ client, onSave, onClose }) {
+function EditClient({ client, onTested, onSave, onClose }) {
     const [name, setName] = useState(client.name || '');
     const [wordpressUrl, setWordpressUrl] = useState(client.wordpress_url || '');
     const [saving, setSaving] = useState(false);
@@ -1087,7 +2535,7 @@ function EditClient({ client, onSave, onClose }) {
 
     return (
         <div className="modal-overlay">
-            <div className="modal-box">
+            <div className="modal-box modal-scroll">
                 <div className="modal-header">
                     <h2>Edit Client</h2>
                     <button className="close-btn" onClick={onClose}>×</button>
@@ -1111,6 +2559,11 @@ function EditClient({ client, onSave, onClose }) {
                             onChange={(e) => setWordpressUrl(e.target.value)}
                             required
                         />
+                        <TestConnection
+                            clientId={client.id}
+                            wordpressUrl={wordpressUrl}
+                            onResult={(report) => { if (wordpressUrl === client.wordpress_url) onTested(report); }}
+                        />
                     </div>
                     <div className="modal-actions">
                         <button type="button" className="modal-cancel-btn" onClick={onClose}>Cancel</button>
@@ -1119,12 +2572,13 @@ function EditClient({ client, onSave, onClose }) {
                         </button>
                     </div>
                 </form>
+                <ApiKeySection client={client} />
             </div>
         </div>
     );
 }
 
-function AccountSettings({ user, token, onSave, onClose }) {
+function AccountSettings({ user, canManageUsers, onSave, onClose }) {
     const [name, setName] = useState(user?.name || '');
     const [email, setEmail] = useState(user?.email || '');
     const [avatarUrl, setAvatarUrl] = useState(user?.avatar_url || '');
@@ -1136,13 +2590,11 @@ function AccountSettings({ user, token, onSave, onClose }) {
         setSaving(true);
         setError('');
         try {
-            const res = await axios.patch(`${API_URL}/api/auth/me`, { name, email, avatar_url: avatarUrl || null }, {
-                headers: { Authorization: `Bearer ${token}` },
-            });
-            onSave(res.data.user);
+            const data = await api.updateMe({ name, email, avatar_url: avatarUrl || null });
+            onSave(data.user);
             onClose();
         } catch (err) {
-            setError(getAxiosErrorMessage(err));
+            setError(api.getErrorMessage(err));
         } finally {
             setSaving(false);
         }
@@ -1150,7 +2602,7 @@ function AccountSettings({ user, token, onSave, onClose }) {
 
     return (
         <div className="modal-overlay">
-            <div className="modal-box">
+            <div className="modal-box modal-scroll">
                 <div className="modal-header">
                     <h2>Account Settings</h2>
                     <button className="close-btn" onClick={onClose}>×</button>
@@ -1191,35 +2643,121 @@ function AccountSettings({ user, token, onSave, onClose }) {
                         </button>
                     </div>
                 </form>
+                <ChangePassword user={user} />
+                <TwoFactorSetup user={user} onChange={(fields) => onSave({ ...user, ...fields })} />
+                {canManageUsers && <TwoFactorPolicy />}
             </div>
         </div>
     );
 }
 
+function ChangePassword({ user }) {
+    const [current, setCurrent] = useState('');
+    const [next, setNext] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSuccess('');
+        const invalid = passwordError(next, user);
+        if (invalid) return setError(invalid);
+        if (next !== confirm) return setError('New passwords do not match');
+        if (next === current) return setError('Choose a password different from your current one');
+        setSaving(true);
+        try {
+            await api.changePassword(current, next);
+            setSuccess('Password updated');
+            setCurrent('');
+            setNext('');
+            setConfirm('');
+        } catch (err) {
+            setError(api.getErrorMessage(err));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="modal-section" onSubmit={handleSubmit}>
+            <h3 className="modal-section-title">Change Password</h3>
+            {error && <div className="modal-error">{error}</div>}
+            {success && <div className="modal-success">{success}</div>}
+            <div className="modal-form-group">
+                <label>Current Password</label>
+                <input
+                    type="password"
+                    value={current}
+                    onChange={(e) => setCurrent(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                />
+            </div>
+            <div className="modal-form-group">
+                <label>New Password</label>
+                <input
+                    type="password"
+                    value={next}
+                    onChange={(e) => setNext(e.target.value)}
+                    autoComplete="new-password"
+                    required
+                />
+                <PasswordStrength password={next} context={user} />
+            </div>
+            <div className="modal-form-group">
+                <label>Confirm New Password</label>
+                <input
+                    type="password"
+                    value={confirm}
+                    onChange={(e) => setConfirm(e.target.value)}
+                    autoComplete="new-password"
+                    required
+                />
+            </div>
+            <div className="modal-actions">
+                <button type="submit" className="modal-save-btn" disabled={saving}>
+                    {saving ? 'Updating…' : 'Update Password'}
+                </button>
+            </div>
+        </form>
+    );
+}
+
 // ── CREATE USER ───────────────────────────────────────────────
-function CreateUser({ token, onClose }) {
+const NEW_USER_ACCESS = { role: 'viewer', clientIds: [] };
+
+function CreateUser({ clients, onCreated, onClose }) {
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [avatarUrl, setAvatarUrl] = useState('');
+    const [access, setAccess] = useState(NEW_USER_ACCESS);
     const [saving, setSaving] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        setSaving(true);
         setError('');
         setSuccess('');
+        const invalid = passwordError(password, { name, email });
+        if (invalid) return setError(invalid);
+        setSaving(true);
         try {
-            await axios.post(`${API_URL}/api/admin/users`, { name, email, password, avatar_url: avatarUrl || null }, {
-                headers: { Authorization: `Bearer ${token}` },
+            await api.createUser({
+                name, email, password, avatar_url: avatarUrl || null,
+                role: access.role, is_admin: access.role === 'admin', client_ids: access.role === 'admin' ? null : access.clientIds,
             });
             setSuccess(`Account created for ${email}`);
+            onCreated?.();
             setName('');
             setEmail('');
             setPassword('');
             setAvatarUrl('');
+            setAccess(NEW_USER_ACCESS);
         } catch (err) {
             setError(err?.response?.data?.error || 'Failed to create user');
         } finally {
@@ -1229,7 +2767,7 @@ function CreateUser({ token, onClose }) {
 
     return (
         <div className="modal-overlay">
-            <div className="modal-box">
+            <div className="modal-box modal-scroll">
                 <div className="modal-header">
                     <h2>Create User</h2>
                     <button className="close-btn" onClick={onClose}>×</button>
@@ -1247,12 +2785,20 @@ function CreateUser({ token, onClose }) {
                     </div>
                     <div className="modal-form-group">
                         <label>Password</label>
-                        <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required minLength={8} />
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            autoComplete="new-password"
+                            required
+                        />
+                        <PasswordStrength password={password} context={{ name, email }} />
                     </div>
                     <div className="modal-form-group">
                         <label>Profile Photo URL</label>
                         <input type="url" value={avatarUrl} onChange={(e) => setAvatarUrl(e.target.value)} placeholder="https://..." />
                     </div>
+                    <RoleFields role={access.role} clientIds={access.clientIds} clients={clients} onChange={setAccess} />
                     <div className="modal-actions">
                         <button type="button" className="modal-cancel-btn" onClick={onClose}>Cancel</button>
                         <button type="submit" className="modal-save-btn" disabled={saving}>
@@ -1314,21 +2860,6 @@ function getCompanyName(submissionData) {
     return key ? (submissionData[key] || 'Unknown') : 'Unknown';
 }
 
-async function fetchImageAsDataURL(url) {
-    try {
-        const res = await fetch(url);
-        const blob = await res.blob();
-        return await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
-    } catch {
-        return null;
-    }
-}
-
 async function downloadConsentPDF(submission) {
     const doc = new jsPDF();
     const companyName = getCompanyName(submission.submission_data);
@@ -1408,7 +2939,7 @@ function ConsentFieldRow({ label, strVal, sigUrl, isAgreement }) {
 }
 
 // ── CONSENT FORM VIEW ──────────────────────────────────────────
-function ConsentFormView({ submissions, selectedSubmission, onSelectSubmission, onDelete }) {
+function ConsentFormView({ submissions, selectedSubmission, onSelectSubmission, canDelete, onDelete }) {
     if (selectedSubmission) {
         const companyName = getCompanyName(selectedSubmission.submission_data);
         return (
@@ -1477,7 +3008,7 @@ function ConsentFormView({ submissions, selectedSubmission, onSelectSubmission,
                                 <tr>
                                     <th>Company Name</th>
                                     <th>Submitted</th>
-                                    <th></th>
+                                    {canDelete && <th></th>}
                                 </tr>
                             </thead>
                             <tbody>
@@ -1489,14 +3020,16 @@ function ConsentFormView({ submissions, selectedSubmission, onSelectSubmission,
                                     >
                                         <td>{getCompanyName(sub.submission_data)}</td>
                                         <td>{formatDateOnly(sub.submitted_at)}</td>
-                                        <td onClick={(e) => e.stopPropagation()}>
-                                            <button
-                                                className="delete-btn"
-                                                onClick={() => onDelete(sub.id)}
-                                            >
-                                                Delete
-                                            </button>
-                                        </td>
+                                        {canDelete && (
+                                            <td onClick={(e) => e.stopPropagation()}>
+                                                <button
+                                                    className="delete-btn"
+                                                    onClick={() => onDelete(sub.id)}
+                                                >
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        )}
                                     </tr>
                                 ))}
                             </tbody>
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { MATCH_LABELS, compareKeys, mergeSubmissions } from '../duplicates';
+import { formatDate } from '../format';
+import './DuplicateCompare.css';
+
+// Table badge for a row in a duplicate group
+export function DuplicateBadge({ group, onClick }) {
+    const others = group.members.length - 1;
+    const matched = group.matchedOn.map((t) => MATCH_LABELS[t]).join(', ');
+    return (
+        <button
+            className="dup-badge"
+            title={`Possible duplicate of ${others} other ${others === 1 ? 'submission' : 'submissions'} (same ${matched})`}
+            onClick={(e) => { e.stopPropagation(); onClick(); }}
+        >
+            <i className="ph-light ph-copy"></i> Duplicate
+        </button>
+    );
+}
+
+// Side-by-side view of one duplicate group. onMerge(primary, others) and
+// onDelete(sub) return promises; errors are shown in the dialog.
+function DuplicateCompare({ group, onMerge, onDelete, canMerge, canDelete, onClose }) {
+    const { members } = group;
+    const [primaryId, setPrimaryId] = useState(members[0].id);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const primary = members.find((s) => s.id === primaryId) || members[0];
+    const others = members.filter((s) => s !== primary);
+    const keys = compareKeys(members);
+    const merged = mergeSubmissions(primary, others).submission_data;
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        try {
+            await action();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleMerge = () => {
+        const count = others.length;
+        const what = `${count} ${count === 1 ? 'duplicate' : 'duplicates'}`;
+        if (!window.confirm(`Merge ${what} into the selected submission? The ${what} will be deleted.`)) return;
+        run(async () => {
+            await onMerge(primary, others);
+            onClose();
+        });
+    };
+
+    const handleDelete = (sub) => {
+        if (!window.confirm('Delete this duplicate?')) return;
+        run(() => onDelete(sub));
+    };
+
+    // Rows where the members disagree (blanks don't count)
+    const differs = (key) => new Set(
+        members.map((s) => String(s.submission_data?.[key] ?? '').trim().toLowerCase()).filter(Boolean)
+    ).size > 1;
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-box modal-scroll dup-compare">
+                <div className="modal-header">
+                    <h2>Compare {members.length} possible duplicates</h2>
+                    <button className="close-btn" onClick={onClose}>×</button>
+                </div>
+                <p className="dup-compare-intro">
+                    Matched on {group.matchedOn.map((t) => MATCH_LABELS[t]).join(', ')}.
+                    {canMerge && ' Merging keeps the selected submission, fills its empty fields from the others and deletes the rest.'}
+                </p>
+                {error && <div className="modal-error">{error}</div>}
+                <div className="dup-compare-scroll">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                {members.map((sub) => (
+                                    <th key={sub.id} className={sub === primary ? 'dup-primary' : ''}>
+                                        <label className="dup-keep">
+                                            {canMerge && (
+                                                <input
+                                                    type="radio"
+                                                    name="dup-primary"
+                                                    checked={sub === primary}
+                                                    onChange={() => setPrimaryId(sub.id)}
+                                                />
+                                            )}
+                                            <span>
+                                                {sub.form_name || 'Submission'}
+                                                <em>{formatDate(sub.submitted_at)}</em>
+                                            </span>
+                                        </label>
+                                    </th>
+                                ))}
+                                {canMerge && <th>After merge</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {keys.map((key) => (
+                                <tr key={key} className={differs(key) ? 'dup-differs' : ''}>
+                                    <td className="dup-field">{key}</td>
+                                    {members.map((sub) => (
+                                        <td key={sub.id} className={sub === primary ? 'dup-primary' : ''}>
+                                            {String(sub.submission_data?.[key] ?? '') || <span className="dup-blank">—</span>}
+                                        </td>
+                                    ))}
+                                    {canMerge && <td className="dup-merged">{String(merged[key] ?? '') || '—'}</td>}
+                                </tr>
+                            ))}
+                            {canDelete && (
+                                <tr className="dup-actions">
+                                    <td></td>
+                                    {members.map((sub) => (
+                                        <td key={sub.id}>
+                                            <button className="delete-btn" onClick={() => handleDelete(sub)} disabled={busy}>
+                                                Delete
+                                            </button>
+                                        </td>
+                                    ))}
+                                    {canMerge && <td></td>}
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="modal-actions">
+                    <button type="button" className="modal-cancel-btn" onClick={onClose}>Close</button>
+                    {canMerge && (
+                        <button type="button" className="modal-save-btn" onClick={handleMerge} disabled={busy}>
+                            {busy ? 'Working…' : 'Merge into selected'}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default DuplicateCompare;
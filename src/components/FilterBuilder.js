@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { FILTER_OPERATORS, operatorNeedsValue, isFilterComplete } from '../submissions';
+import { loadScoped, saveScoped } from '../storage';
+import './FilterBuilder.css';
+
+// Saved views live in localStorage, keyed per form (or per client for All Forms)
+const SAVED_VIEWS_KEY = 'savedFilterViews';
+
+function loadSavedViews(scope) {
+    const views = loadScoped(SAVED_VIEWS_KEY, scope, []);
+    return Array.isArray(views) ? views : [];
+}
+
+let nextFilterId = 1;
+function filterId() {
+    return `f${nextFilterId++}`;
+}
+
+// Render with key={scope} so switching forms re-reads that form's saved views
+function FilterBuilder({ columns, filters, onChange, scope, onClose }) {
+    const [savedViews, setSavedViews] = useState(() => loadSavedViews(scope));
+    const [activeView, setActiveView] = useState('');
+
+    const updateFilter = (id, patch) => {
+        onChange(filters.map((f) => (f.id === id ? { ...f, ...patch } : f)));
+    };
+
+    const removeFilter = (id) => onChange(filters.filter((f) => f.id !== id));
+
+    const handleApplyView = (name) => {
+        setActiveView(name);
+        const view = savedViews.find((v) => v.name === name);
+        onChange(view ? view.filters.map((f) => ({ ...f, id: filterId() })) : []);
+    };
+
+    const handleSaveView = () => {
+        const complete = filters.filter(isFilterComplete);
+        if (!complete.length) { alert('Add at least one complete filter to save a view'); return; }
+        const name = window.prompt('Name this view', activeView || '');
+        if (!name || !name.trim()) return;
+        const trimmed = name.trim();
+        const stored = complete.map(({ key, op, value }) => ({ key, op, value }));
+        const next = [...savedViews.filter((v) => v.name !== trimmed), { name: trimmed, filters: stored }];
+        setSavedViews(next);
+        saveScoped(SAVED_VIEWS_KEY, scope, next);
+        setActiveView(trimmed);
+    };
+
+    const handleDeleteView = () => {
+        if (!activeView) return;
+        if (!window.confirm(`Delete saved view "${activeView}"?`)) return;
+        const next = savedViews.filter((v) => v.name !== activeView);
+        setSavedViews(next);
+        saveScoped(SAVED_VIEWS_KEY, scope, next);
+        setActiveView('');
+    };
+
+    return (
+        <div className="filter-panel">
+            <div className="filter-panel-header">
+                <div className="filter-views">
+                    <select value={activeView} onChange={(e) => handleApplyView(e.target.value)}>
+                        <option value="">{savedViews.length ? 'Saved views…' : 'No saved views'}</option>
+                        {savedViews.map((v) => (
+                            <option key={v.name} value={v.name}>{v.name}</option>
+                        ))}
+                    </select>
+                    <button type="button" className="filter-link-btn" onClick={handleSaveView}>Save view</button>
+                    {activeView && (
+                        <button type="button" className="filter-link-btn danger" onClick={handleDeleteView}>Delete view</button>
+                    )}
+                </div>
+                <button type="button" className="filter-close-btn" onClick={onClose} title="Close filters">×</button>
+            </div>
+
+            {filters.length === 0 && <div className="filter-empty">No filters — showing every submission.</div>}
+
+            {filters.map((f, i) => (
+                <div key={f.id} className="filter-row">
+                    <span className="filter-join">{i === 0 ? 'Where' : 'and'}</span>
+                    <select value={f.key} onChange={(e) => updateFilter(f.id, { key: e.target.value })}>
+                        <option value="">Column…</option>
+                        {columns.map((col) => (
+                            <option key={col} value={col}>{col}</option>
+                        ))}
+                    </select>
+                    <select value={f.op} onChange={(e) => updateFilter(f.id, { op: e.target.value })}>
+                        {FILTER_OPERATORS.map((o) => (
+                            <option key={o.op} value={o.op}>{o.label}</option>
+                        ))}
+                    </select>
+                    {operatorNeedsValue(f.op) ? (
+                        <input
+                            type="text"
+                            value={f.value}
+                            onChange={(e) => updateFilter(f.id, { value: e.target.value })}
+                            placeholder={f.op === 'in' || f.op === 'not_in' ? 'TN, MS, AL' : 'Value'}
+                        />
+                    ) : (
+                        <span className="filter-value-spacer" />
+                    )}
+                    <button type="button" className="filter-remove-btn" onClick={() => removeFilter(f.id)} title="Remove filter">
+                        <i className="ph-light ph-x"></i>
+                    </button>
+                </div>
+            ))}
+
+            <div className="filter-panel-footer">
+                <button type="button" className="filter-link-btn" onClick={() => onChange([...filters, { id: filterId(), key: '', op: 'equals', value: '' }])}>
+                    <i className="ph-light ph-plus"></i> Add filter
+                </button>
+                {filters.length > 0 && (
+                    <button type="button" className="filter-link-btn" onClick={() => { setActiveView(''); onChange([]); }}>
+                        Clear all
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default FilterBuilder;
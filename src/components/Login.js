@@ -1,22 +1,56 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import { login, verifyTwoFactor, requestPasswordReset, resetPassword } from '../api';
+import { passwordError } from '../password';
+import PasswordStrength from './PasswordStrength';
 import './Login.css';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+const TITLES = {
+    signin: 'Sign In', twoFactor: 'Two-Factor Authentication', forgot: 'Reset Password', reset: 'Choose a New Password',
+};
 
-function Login({ onLogin }) {
+// Accounts under an enforced 2FA policy that haven't enrolled yet get a
+// session plus a flag; Dashboard sends them to AccountSettings
+function signedInUser(data) {
+    return data.two_factor_setup_required ? { ...data.user, two_factor_required: true } : data.user;
+}
+
+// mode: 'signin' | 'twoFactor' (code after password) | 'forgot' (request an
+// emailed link) | 'reset' (resetToken from that link)
+function Login({ onLogin, notice, resetToken, onResetDone }) {
+    const [mode, setMode] = useState(resetToken ? 'reset' : 'signin');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
     const [error, setError] = useState('');
+    const [sent, setSent] = useState('');
+    const [challenge, setChallenge] = useState(null);
+    const [code, setCode] = useState('');
+    const [useRecovery, setUseRecovery] = useState(false);
     const [loading, setLoading] = useState(false);
 
+    const switchMode = (next) => {
+        setMode(next);
+        setError('');
+        setSent('');
+        setPassword('');
+        setConfirm('');
+        setChallenge(null);
+        setCode('');
+        setUseRecovery(false);
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
         setLoading(true);
         try {
-            const response = await axios.post(`${API_URL}/api/auth/login`, { email, password });
-            onLogin(response.data.token, response.data.user);
+            const data = await login(email, password);
+            if (data.two_factor_required) {
+                setChallenge(data.challenge_token);
+                setMode('twoFactor');
+                return;
+            }
+            onLogin(data.token, signedInUser(data));
         } catch (err) {
             setError(err.response?.data?.error || 'An error occurred');
         } finally {
@@ -24,41 +58,207 @@ function Login({ onLogin }) {
         }
     };
 
+    const handleVerify = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+        try {
+            const data = await verifyTwoFactor(challenge, useRecovery ? { recoveryCode: code.trim() } : { code });
+            onLogin(data.token, signedInUser(data));
+        } catch (err) {
+            setCode('');
+            setError(err.response?.data?.error || 'That code didn\'t work. Try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleForgot = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+        try {
+            await requestPasswordReset(email);
+            // Same message whether or not the account exists
+            setSent(`If an account exists for ${email}, we've emailed a link to reset its password.`);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Could not send the reset email');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleReset = async (e) => {
+        e.preventDefault();
+        const invalid = passwordError(password);
+        if (invalid) return setError(invalid);
+        if (password !== confirm) return setError('Passwords do not match');
+        setError('');
+        setLoading(true);
+        try {
+            await resetPassword(resetToken, password);
+            onResetDone();
+        } catch (err) {
+            setError(err.response?.data?.error || 'This reset link is invalid or has expired');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     return (
         <div className="login-container">
             <div className="login-logo">
                 <img src="https://trade-craft.com/wp-content/uploads/2025/01/TRADECRAFT_LOGO_PRIMARY_rev.png" alt="TradeCraft" />
             </div>
             <div className="login-box">
-                <h1>Sign In</h1>
+                <h1>{TITLES[mode]}</h1>
 
+                {mode === 'signin' && notice && !error && <div className="login-notice">{notice}</div>}
                 {error && <div className="error-message">{error}</div>}
 
-                <form onSubmit={handleSubmit}>
-                    <div className="form-group">
-                        <label>Email</label>
-                        <input
-                            type="email"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            placeholder="your@email.com"
-                            required
-                        />
-                    </div>
-                    <div className="form-group">
-                        <label>Password</label>
-                        <input
-                            type="password"
-                            value={password}
-                            onChange={(e) => setPassword(e.target.value)}
-                            placeholder="••••••••"
-                            required
-                        />
-                    </div>
-                    <button type="submit" disabled={loading}>
-                        {loading ? 'Signing in…' : 'Sign In'}
-                    </button>
-                </form>
+                {mode === 'signin' && (
+                    <form onSubmit={handleSubmit}>
+                        <div className="form-group">
+                            <label>Email</label>
+                            <input
+                                type="email"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                placeholder="your@email.com"
+                                required
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label>Password</label>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                placeholder="••••••••"
+                                required
+                            />
+                        </div>
+                        <button type="submit" disabled={loading}>
+                            {loading ? 'Signing in…' : 'Sign In'}
+                        </button>
+                        <button type="button" className="login-link" onClick={() => switchMode('forgot')}>
+                            Forgot password?
+                        </button>
+                    </form>
+                )}
+
+                {mode === 'twoFactor' && (
+                    <form onSubmit={handleVerify}>
+                        <p className="login-hint">
+                            {useRecovery
+                                ? 'Enter one of the recovery codes you saved when you set up two-factor.'
+                                : 'Enter the 6-digit code from your authenticator app.'}
+                        </p>
+                        <div className="form-group">
+                            <label>{useRecovery ? 'Recovery Code' : 'Authentication Code'}</label>
+                            {useRecovery ? (
+                                <input
+                                    type="text"
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value)}
+                                    autoComplete="off"
+                                    autoFocus
+                                    required
+                                />
+                            ) : (
+                                <input
+                                    type="text"
+                                    inputMode="numeric"
+                                    autoComplete="one-time-code"
+                                    pattern="[0-9]{6}"
+                                    maxLength={6}
+                                    value={code}
+                                    onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                                    placeholder="123456"
+                                    className="login-code-input"
+                                    autoFocus
+                                    required
+                                />
+                            )}
+                        </div>
+                        <button type="submit" disabled={loading}>
+                            {loading ? 'Verifying…' : 'Verify'}
+                        </button>
+                        <button
+                            type="button"
+                            className="login-link"
+                            onClick={() => { setUseRecovery((r) => !r); setCode(''); setError(''); }}
+                        >
+                            {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+                        </button>
+                        <button type="button" className="login-link" onClick={() => switchMode('signin')}>
+                            Back to sign in
+                        </button>
+                    </form>
+                )}
+
+                {mode === 'forgot' && (
+                    sent ? (
+                        <>
+                            <div className="login-notice">{sent}</div>
+                            <button type="button" className="login-link" onClick={() => switchMode('signin')}>
+                                Back to sign in
+                            </button>
+                        </>
+                    ) : (
+                        <form onSubmit={handleForgot}>
+                            <p className="login-hint">Enter your account email and we'll send you a link to choose a new password.</p>
+                            <div className="form-group">
+                                <label>Email</label>
+                                <input
+                                    type="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    placeholder="your@email.com"
+                                    required
+                                />
+                            </div>
+                            <button type="submit" disabled={loading}>
+                                {loading ? 'Sending…' : 'Send Reset Link'}
+                            </button>
+                            <button type="button" className="login-link" onClick={() => switchMode('signin')}>
+                                Back to sign in
+                            </button>
+                        </form>
+                    )
+                )}
+
+                {mode === 'reset' && (
+                    <form onSubmit={handleReset}>
+                        <div className="form-group">
+                            <label>New Password</label>
+                            <input
+                                type="password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                                autoComplete="new-password"
+                                required
+                            />
+                            <PasswordStrength password={password} />
+                        </div>
+                        <div className="form-group">
+                            <label>Confirm New Password</label>
+                            <input
+                                type="password"
+                                value={confirm}
+                                onChange={(e) => setConfirm(e.target.value)}
+                                autoComplete="new-password"
+                                required
+                            />
+                        </div>
+                        <button type="submit" disabled={loading}>
+                            {loading ? 'Saving…' : 'Set New Password'}
+                        </button>
+                        <button type="button" className="login-link" onClick={() => switchMode('forgot')}>
+                            Request a new link
+                        </button>
+                    </form>
+                )}
             </div>
         </div>
     );
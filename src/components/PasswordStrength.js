@@ -0,0 +1,28 @@
+import React from 'react';
+import { passwordStrength } from '../password';
+import './PasswordStrength.css';
+
+// Meter + rule checklist under a new-password input
+function PasswordStrength({ password, context }) {
+    if (!password) return null;
+    const { score, label, rules } = passwordStrength(password, context);
+
+    return (
+        <div className={`password-strength score-${score}`}>
+            <div className="password-meter">
+                {[1, 2, 3, 4].map((n) => <span key={n} className={n <= score ? 'filled' : ''} />)}
+                <em>{label}</em>
+            </div>
+            <ul className="password-rules">
+                {rules.map((r) => (
+                    <li key={r.id} className={r.ok ? 'ok' : ''}>
+                        <i className={`ph-light ${r.ok ? 'ph-check-circle' : 'ph-circle'}`}></i>
+                        {r.label}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default PasswordStrength;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { REPORT_PRESETS, reportPeriod, previousPeriod } from '../report';
+import './ReportDialog.css';
+
+// Period picker for the client PDF report. onGenerate({ period, includeAppendix })
+// returns a promise; errors are shown in the dialog.
+function ReportDialog({ client, onGenerate, onClose }) {
+    const [preset, setPreset] = useState('last_month');
+    const [custom, setCustom] = useState({ from: '', to: '' });
+    const [includeAppendix, setIncludeAppendix] = useState(false);
+    const [generating, setGenerating] = useState(false);
+    const [error, setError] = useState('');
+
+    const period = reportPeriod(preset, custom);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!period) return;
+        setGenerating(true);
+        setError('');
+        try {
+            await onGenerate({ period, includeAppendix });
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-box">
+                <div className="modal-header">
+                    <h2>Generate Report</h2>
+                    <button className="close-btn" onClick={onClose}>×</button>
+                </div>
+                {error && <div className="modal-error">{error}</div>}
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-form-group">
+                        <label>Period</label>
+                        <div className="report-presets">
+                            {REPORT_PRESETS.map((p) => (
+                                <button
+                                    key={p.id}
+                                    type="button"
+                                    className={preset === p.id ? 'active' : ''}
+                                    onClick={() => setPreset(p.id)}
+                                >
+                                    {p.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    {preset === 'custom' && (
+                        <div className="modal-form-group report-custom-range">
+                            <input
+                                type="date"
+                                value={custom.from}
+                                onChange={(e) => setCustom((c) => ({ ...c, from: e.target.value }))}
+                                required
+                            />
+                            to
+                            <input
+                                type="date"
+                                value={custom.to}
+                                min={custom.from || undefined}
+                                onChange={(e) => setCustom((c) => ({ ...c, to: e.target.value }))}
+                                required
+                            />
+                        </div>
+                    )}
+                    <div className="modal-form-group">
+                        <label className="report-checkbox">
+                            <input
+                                type="checkbox"
+                                checked={includeAppendix}
+                                onChange={(e) => setIncludeAppendix(e.target.checked)}
+                            />
+                            Include appendix table of submissions
+                        </label>
+                    </div>
+                    {period && (
+                        <p className="report-summary">
+                            {client.name}: <strong>{period.label}</strong>, compared with {previousPeriod(period).label}.
+                        </p>
+                    )}
+                    <div className="modal-actions">
+                        <button type="button" className="modal-cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="modal-save-btn" disabled={generating || !period}>
+                            {generating ? 'Generating…' : 'Download PDF'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default ReportDialog;
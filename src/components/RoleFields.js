@@ -0,0 +1,79 @@
+import React from 'react';
+import { ROLES, ROLE_OPTIONS } from '../permissions';
+import './RoleFields.css';
+
+// Role picker plus client assignments, shared by CreateUser and EditUser.
+// clientIds are strings; admins see every client so the list is hidden.
+function RoleFields({ role, clientIds, clients, onChange, roleLocked }) {
+    const assigned = new Set(clientIds);
+
+    const toggleClient = (id) => {
+        const next = new Set(assigned);
+        next.has(id) ? next.delete(id) : next.add(id);
+        onChange({ role, clientIds: [...next] });
+    };
+
+    const allSelected = clients.length > 0 && clients.every((c) => assigned.has(String(c.id)));
+
+    return (
+        <>
+            <div className="modal-form-group">
+                <label>Role</label>
+                <div className="role-options">
+                    {ROLE_OPTIONS.map((key) => (
+                        <label key={key} className={`role-option${role === key ? ' selected' : ''}`}>
+                            <input
+                                type="radio"
+                                name="role"
+                                value={key}
+                                checked={role === key}
+                                disabled={roleLocked}
+                                onChange={() => onChange({ role: key, clientIds })}
+                            />
+                            <span>
+                                {ROLES[key].label}
+                                <small>{ROLES[key].description}</small>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+                {roleLocked && <small className="role-hint">You can't change your own role</small>}
+            </div>
+
+            {role !== 'admin' && (
+                <div className="modal-form-group">
+                    <label>
+                        Assigned Clients
+                        {clients.length > 0 && (
+                            <button
+                                type="button"
+                                className="filter-link-btn role-select-all"
+                                onClick={() => onChange({ role, clientIds: allSelected ? [] : clients.map((c) => String(c.id)) })}
+                            >
+                                {allSelected ? 'Clear' : 'Select all'}
+                            </button>
+                        )}
+                    </label>
+                    <div className="role-clients">
+                        {clients.map((c) => (
+                            <label key={c.id}>
+                                <input
+                                    type="checkbox"
+                                    checked={assigned.has(String(c.id))}
+                                    onChange={() => toggleClient(String(c.id))}
+                                />
+                                {c.name}
+                            </label>
+                        ))}
+                        {clients.length === 0 && <span className="role-hint">No clients yet</span>}
+                    </div>
+                    {clients.length > 0 && assigned.size === 0 && (
+                        <small className="role-hint">Without clients this user won't see any submissions.</small>
+                    )}
+                </div>
+            )}
+        </>
+    );
+}
+
+export default RoleFields;
@@ -0,0 +1,29 @@
+import React from 'react';
+import './SessionWarning.css';
+
+function formatRemaining(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Countdown banner shown before an idle sign-out or token expiry.
+// warning: { reason: 'idle' | 'expired', remaining }
+function SessionWarning({ warning, onStay, onLogout }) {
+    if (!warning) return null;
+    const idle = warning.reason === 'idle';
+
+    return (
+        <div className="session-warning" role="alert">
+            <i className="ph-light ph-clock-countdown"></i>
+            <span>
+                {idle
+                    ? <>You'll be signed out for inactivity in <strong>{formatRemaining(warning.remaining)}</strong>.</>
+                    : <>Your session expires in <strong>{formatRemaining(warning.remaining)}</strong>. Save your work and sign in again.</>}
+            </span>
+            {idle && <button className="session-warning-stay" onClick={onStay}>Stay signed in</button>}
+            <button className="session-warning-logout" onClick={onLogout}>{idle ? 'Sign out' : 'Sign in again'}</button>
+        </div>
+    );
+}
+
+export default SessionWarning;
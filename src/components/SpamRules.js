@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { parseRuleList, spamVerdictLabel, SPAM_THRESHOLD } from '../spam';
+import './SpamRules.css';
+
+// Score pill; the tooltip lists what counted
+export function SpamScore({ report }) {
+    const lines = report.reasons.map((r) => `${r.weight > 0 ? '+' : ''}${r.weight} ${r.label}`);
+    const verdict = spamVerdictLabel(report);
+    return (
+        <span className={`spam-score${report.quarantined ? ' high' : ''}`} title={[verdict, ...lines].filter(Boolean).join('\n')}>
+            {report.score}
+        </span>
+    );
+}
+
+// Allow/deny lists for one client, plus what mark-as-spam / not-spam has
+// learned. onSave(rules) returns a promise; errors are shown in the dialog.
+function SpamRules({ client, rules, onSave, onClose }) {
+    const [allow, setAllow] = useState(rules.allow.join('\n'));
+    const [deny, setDeny] = useState(rules.deny.join('\n'));
+    const [learned, setLearned] = useState(rules.learned);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const learnedCount = learned.spam.length + learned.ham.length;
+
+    const handleForget = () => {
+        if (!window.confirm('Forget every sender learned from spam / not spam marks?')) return;
+        setLearned({ spam: [], ham: [] });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await onSave({ allow: parseRuleList(allow), deny: parseRuleList(deny), learned });
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-box modal-scroll">
+                <div className="modal-header">
+                    <h2>Spam Rules — {client.name}</h2>
+                    <button className="close-btn" onClick={onClose}>×</button>
+                </div>
+                {error && <div className="modal-error">{error}</div>}
+                <form onSubmit={handleSubmit}>
+                    <p className="spam-rules-intro">
+                        Submissions scoring {SPAM_THRESHOLD} or more go to the Spam bucket. Enter one email address
+                        or domain per line; a domain also covers its subdomains.
+                    </p>
+                    <div className="modal-form-group">
+                        <label>Always allow</label>
+                        <textarea
+                            className="spam-rules-list"
+                            value={allow}
+                            onChange={(e) => setAllow(e.target.value)}
+                            placeholder={'partner@example.com\nexample.org'}
+                            rows={4}
+                        />
+                    </div>
+                    <div className="modal-form-group">
+                        <label>Always spam</label>
+                        <textarea
+                            className="spam-rules-list"
+                            value={deny}
+                            onChange={(e) => setDeny(e.target.value)}
+                            placeholder={'seo-offers.biz'}
+                            rows={4}
+                        />
+                    </div>
+                    <div className="modal-form-group">
+                        <label>Learned from your marks</label>
+                        <div className="spam-rules-learned">
+                            {learnedCount === 0 ? (
+                                <span>Nothing yet — mark submissions as spam or not spam to teach the filter.</span>
+                            ) : (
+                                <>
+                                    <span>
+                                        {learned.spam.length} spam {learned.spam.length === 1 ? 'sender' : 'senders'},
+                                        {' '}{learned.ham.length} trusted {learned.ham.length === 1 ? 'sender' : 'senders'}
+                                    </span>
+                                    <button type="button" className="filter-link-btn" onClick={handleForget}>Forget all</button>
+                                </>
+                            )}
+                        </div>
+                    </div>
+                    <div className="modal-actions">
+                        <button type="button" className="modal-cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="modal-save-btn" disabled={saving}>
+                            {saving ? 'Saving…' : 'Save Rules'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default SpamRules;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { LEAD_STATUSES, leadStatusOf } from '../leadStatus';
+import './StatusSelect.css';
+
+// Lead status dropdown. Without `submission` it is an action picker
+// (bulk changes) that shows `placeholder` and resets after each choice.
+function StatusSelect({ submission, onChange, disabled, placeholder }) {
+    const value = submission ? leadStatusOf(submission) : '';
+    const color = LEAD_STATUSES.find((s) => s.id === value)?.color;
+
+    return (
+        <span className={`status-select${submission ? '' : ' picker'}`} style={color ? { '--status-color': color } : undefined}>
+            <select
+                value={value}
+                disabled={disabled}
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) => { if (e.target.value) onChange(e.target.value); }}
+            >
+                {!submission && <option value="">{placeholder || 'Set status…'}</option>}
+                {LEAD_STATUSES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+        </span>
+    );
+}
+
+export default StatusSelect;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import StatusSelect from './StatusSelect';
+import { TagEditor } from './Tags';
+import { SpamScore } from './SpamRules';
+import { LEAD_STATUSES } from '../leadStatus';
+import { tagsOf, notesOf, assigneeOf } from '../annotations';
+import { spamVerdictLabel } from '../spam';
+import { formatDate } from '../format';
+import './SubmissionDrawer.css';
+
+const statusLabel = (id) => LEAD_STATUSES.find((s) => s.id === id)?.label || id;
+
+function DrawerFieldRow({ label, value }) {
+    const [copied, setCopied] = useState(false);
+    const strVal = String(value ?? '');
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(strVal);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch {
+            // clipboard can fail depending on browser permissions
+        }
+    };
+
+    return (
+        <div className="drawer-field-row">
+            <div className="drawer-field-label">{label}</div>
+            <div className="drawer-field-value">{strVal || '—'}</div>
+            <button className="drawer-copy-btn" onClick={handleCopy} disabled={!strVal} title="Copy value">
+                <i className={`ph-light ${copied ? 'ph-check' : 'ph-copy'}`}></i>
+            </button>
+        </div>
+    );
+}
+
+function NoteForm({ onAdd }) {
+    const [text, setText] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        setSaving(true);
+        setError('');
+        try {
+            await onAdd(text);
+            setText('');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="drawer-note-form" onSubmit={handleSubmit}>
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="Add an internal note — only your team sees it"
+                rows={3}
+            />
+            {error && <div className="modal-error">{error}</div>}
+            <button type="submit" className="modal-save-btn" disabled={saving || !text.trim()}>
+                {saving ? 'Saving…' : 'Add note'}
+            </button>
+        </form>
+    );
+}
+
+// Side drawer for one submission; prev/next walk the list it was opened from.
+// Without onStatusChange / onAnnotate / onAddNote / onMarkSpam those parts are read-only.
+function SubmissionDrawer({
+    submission, formName, pluginName, position, total, onPrev, onNext, onClose, onStatusChange,
+    teamMembers = [], tagSuggestions = [], onAnnotate, onAddNote, spamReport, onMarkSpam,
+}) {
+    const [tab, setTab] = useState('fields'); // 'fields' | 'notes' | 'history' | 'json'
+
+    useEffect(() => {
+        const handler = (e) => {
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target?.tagName)) return;
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowUp' || e.key === 'k') { e.preventDefault(); onPrev(); }
+            if (e.key === 'ArrowDown' || e.key === 'j') { e.preventDefault(); onNext(); }
+        };
+        document.addEventListener('keydown', handler);
+        return () => document.removeEventListener('keydown', handler);
+    }, [onPrev, onNext, onClose]);
+
+    if (!submission) return null;
+
+    const entries = Object.entries(submission.submission_data || {});
+    const history = [...(submission.status_history || [])].reverse();
+    const notes = [...notesOf(submission)].reverse();
+    const assignee = assigneeOf(submission);
+    // Keep a former member selectable so the current assignee still shows
+    const members = assignee && !teamMembers.some((m) => String(m.id) === String(assignee.id))
+        ? [...teamMembers, assignee]
+        : teamMembers;
+
+    return (
+        <>
+            <div className="drawer-backdrop" onClick={onClose} />
+            <aside className="submission-drawer">
+                <div className="drawer-header">
+                    <div>
+                        <h2>{formName || 'Submission'}</h2>
+                        <p>
+                            {pluginName && <span>{pluginName} · </span>}
+                            Submitted {new Date(submission.submitted_at).toLocaleString()}
+                        </p>
+                    </div>
+                    <div className="drawer-nav">
+                        <button onClick={onPrev} disabled={position <= 1} title="Previous (↑)">
+                            <i className="ph-light ph-caret-up"></i>
+                        </button>
+                        <span>{position} of {total}</span>
+                        <button onClick={onNext} disabled={position >= total} title="Next (↓)">
+                            <i className="ph-light ph-caret-down"></i>
+                        </button>
+                        <button className="drawer-close-btn" onClick={onClose} title="Close (Esc)">×</button>
+                    </div>
+                </div>
+
+                <div className="drawer-meta">
+                    <div className="drawer-meta-row">
+                        <span>Status</span>
+                        <StatusSelect
+                            submission={submission}
+                            disabled={!onStatusChange}
+                            onChange={(status) => onStatusChange(submission.id, status)}
+                        />
+                    </div>
+                    <div className="drawer-meta-row">
+                        <span>Assignee</span>
+                        <select
+                            className="drawer-assignee"
+                            value={assignee ? String(assignee.id) : ''}
+                            disabled={!onAnnotate}
+                            onChange={(e) => {
+                                const member = members.find((m) => String(m.id) === e.target.value) || null;
+                                onAnnotate(submission.id, { assignee: member });
+                            }}
+                        >
+                            <option value="">Unassigned</option>
+                            {members.map((m) => <option key={m.id} value={String(m.id)}>{m.name || m.email}</option>)}
+                        </select>
+                    </div>
+                    <div className="drawer-meta-row">
+                        <span>Tags</span>
+                        <TagEditor
+                            tags={tagsOf(submission)}
+                            suggestions={tagSuggestions}
+                            disabled={!onAnnotate}
+                            onChange={(tags) => onAnnotate(submission.id, { tags })}
+                        />
+                    </div>
+                    {spamReport && (
+                        <div className="drawer-meta-row">
+                            <span>Spam</span>
+                            <SpamScore report={spamReport} />
+                            <em className="drawer-spam-verdict">
+                                {spamVerdictLabel(spamReport) || (spamReport.quarantined ? 'Likely spam' : 'Looks fine')}
+                            </em>
+                            {onMarkSpam && (
+                                <button
+                                    className="filter-link-btn"
+                                    onClick={() => onMarkSpam(submission.id, !spamReport.quarantined)}
+                                >
+                                    {spamReport.quarantined ? 'Not spam' : 'Mark as spam'}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                <div className="drawer-tabs">
+                    <button className={tab === 'fields' ? 'active' : ''} onClick={() => setTab('fields')}>
+                        Fields <span>{entries.length}</span>
+                    </button>
+                    <button className={tab === 'notes' ? 'active' : ''} onClick={() => setTab('notes')}>
+                        Notes <span>{notes.length}</span>
+                    </button>
+                    <button className={tab === 'history' ? 'active' : ''} onClick={() => setTab('history')}>
+                        History <span>{history.length}</span>
+                    </button>
+                    <button className={tab === 'json' ? 'active' : ''} onClick={() => setTab('json')}>
+                        Raw JSON
+                    </button>
+                </div>
+
+                <div className="drawer-body">
+                    {tab === 'fields' ? (
+                        entries.length === 0 ? (
+                            <div className="empty-state">This submission has no fields.</div>
+                        ) : (
+                            entries.map(([key, value]) => <DrawerFieldRow key={key} label={key} value={value} />)
+                        )
+                    ) : tab === 'notes' ? (
+                        <>
+                            {onAddNote && <NoteForm key={submission.id} onAdd={(text) => onAddNote(submission.id, text)} />}
+                            {notes.length === 0 ? (
+                                <div className="empty-state">No notes yet.</div>
+                            ) : (
+                                <ul className="drawer-history drawer-notes">
+                                    {notes.map((n, i) => (
+                                        <li key={n.id ?? i}>
+                                            <div><strong>{n.author?.name || 'Someone'}</strong></div>
+                                            <p>{n.text}</p>
+                                            <span>{formatDate(n.created_at)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </>
+                    ) : tab === 'history' ? (
+                        history.length === 0 ? (
+                            <div className="empty-state">The status hasn't been changed yet.</div>
+                        ) : (
+                            <ul className="drawer-history">
+                                {history.map((h, i) => (
+                                    <li key={`${h.at}-${i}`}>
+                                        <div>
+                                            <strong>{h.by?.name || 'Someone'}</strong> changed the status
+                                            {h.from && <> from <em>{statusLabel(h.from)}</em></>} to <em>{statusLabel(h.status)}</em>
+                                        </div>
+                                        <span>{formatDate(h.at)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )
+                    ) : (
+                        <pre className="drawer-json">{JSON.stringify(submission, null, 2)}</pre>
+                    )}
+                </div>
+            </aside>
+        </>
+    );
+}
+
+export default SubmissionDrawer;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { syncAllSummary } from '../syncAll';
+import './SyncAllPanel.css';
+
+const ROW_STATUS = {
+    queued: { label: 'Queued', icon: 'ph-clock' },
+    running: { label: 'Syncing…', icon: 'ph-circle-notch' },
+    done: { label: 'Done', icon: 'ph-check-circle' },
+    failed: { label: 'Failed', icon: 'ph-x-circle' },
+    cancelled: { label: 'Cancelled', icon: 'ph-minus-circle' },
+};
+
+// Live progress for "Sync all" on Home; rows come from ../syncAll.js
+function SyncAllPanel({ rows, running, onCancel, onDismiss, onClientClick }) {
+    const summary = syncAllSummary(rows);
+    const pct = summary.total ? Math.round((summary.finished / summary.total) * 100) : 0;
+
+    return (
+        <div className="section-card sync-all-panel">
+            <div className="section-header">
+                <div>
+                    <h2>{running ? 'Syncing all clients' : 'Sync all finished'}</h2>
+                    <p>
+                        {summary.finished} of {summary.total} clients · {summary.synced} new
+                        {summary.skipped > 0 && `, ${summary.skipped} already imported`}
+                        {summary.failed > 0 && ` · ${summary.failed} failed`}
+                        {summary.cancelled > 0 && ` · ${summary.cancelled} cancelled`}
+                    </p>
+                </div>
+                {running ? (
+                    <button className="sync-btn report-btn" onClick={onCancel}>
+                        <i className="ph-light ph-stop-circle"></i> Cancel
+                    </button>
+                ) : (
+                    <button className="filter-link-btn" onClick={onDismiss}>Dismiss</button>
+                )}
+            </div>
+
+            <div className="sync-all-progress">
+                <div className={`sync-all-bar${summary.failed ? ' has-failures' : ''}`} style={{ width: `${pct}%` }} />
+            </div>
+
+            <ul className="sync-all-list">
+                {rows.map((row) => (
+                    <li key={row.id} className={`sync-all-row ${row.status}`}>
+                        <i className={`ph-light ${ROW_STATUS[row.status].icon}`}></i>
+                        <button className="sync-all-name" onClick={() => onClientClick({ id: row.id, name: row.name })}>
+                            {row.name}
+                        </button>
+                        <span className="sync-all-result">
+                            {row.status === 'done'
+                                ? `${row.synced} new${row.skipped ? `, ${row.skipped} skipped` : ''}`
+                                : row.status === 'failed' ? row.error : ROW_STATUS[row.status].label}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default SyncAllPanel;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import * as api from '../api';
+import { RUN_STATUSES, normalizeRun, summarizeRuns, formatDuration } from '../syncHistory';
+import { formatDate } from '../format';
+import './SyncHistory.css';
+
+const PAGE_SIZE = 25;
+
+// Runs without an id fall back to their position; older pages only append
+const runKey = (run, index) => run.id ?? `run-${index}`;
+
+function RunRow({ run, expanded, onToggle }) {
+    const { label, tone, icon } = RUN_STATUSES[run.status];
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async (e) => {
+        e.stopPropagation();
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(run, null, 2));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch {
+            // clipboard can fail depending on browser permissions
+        }
+    };
+
+    return (
+        <li className={`sync-run ${tone}${expanded ? ' expanded' : ''}`}>
+            <div className="sync-run-summary" onClick={onToggle}>
+                <i className={`ph-light ${icon} sync-run-icon`}></i>
+                <div className="sync-run-main">
+                    <div className="sync-run-title">
+                        {label}
+                        <span>{formatDate(run.startedAt)}</span>
+                    </div>
+                    <div className="sync-run-meta">
+                        {run.trigger} · {formatDuration(run.durationMs)}
+                    </div>
+                </div>
+                <div className="sync-run-counts">
+                    <span title="New submissions">{run.synced} new</span>
+                    <span title="Already imported">{run.skipped} skipped</span>
+                    {run.failed > 0 && <span className="failed" title="Failed to import">{run.failed} failed</span>}
+                </div>
+                <i className={`ph-light ${expanded ? 'ph-caret-up' : 'ph-caret-down'}`}></i>
+            </div>
+
+            {expanded && (
+                <div className="sync-run-details">
+                    {run.error && <pre className="sync-run-error">{run.error}</pre>}
+                    {run.forms.length > 0 ? (
+                        <table className="sync-run-forms">
+                            <thead>
+                                <tr><th>Form</th><th>New</th><th>Skipped</th><th>Failed</th></tr>
+                            </thead>
+                            <tbody>
+                                {run.forms.map((f) => (
+                                    <React.Fragment key={f.id ?? f.name}>
+                                        <tr className={f.failed || f.error ? 'has-error' : ''}>
+                                            <td>{f.name}</td>
+                                            <td>{f.synced}</td>
+                                            <td>{f.skipped}</td>
+                                            <td>{f.failed}</td>
+                                        </tr>
+                                        {f.error && (
+                                            <tr className="sync-run-form-error">
+                                                <td colSpan={4}>{f.error}</td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <p className="sync-history-note">No per-form breakdown was recorded for this run.</p>
+                    )}
+                    <button className="filter-link-btn" onClick={handleCopy}>
+                        <i className={`ph-light ${copied ? 'ph-check' : 'ph-copy'}`}></i> {copied ? 'Copied' : 'Copy diagnostics'}
+                    </button>
+                </div>
+            )}
+        </li>
+    );
+}
+
+// ── Sync history drawer (client page) ────────────────────────
+// `reloadKey` changes after a sync from the toolbar so the new run shows up.
+function SyncHistory({ client, reloadKey, onClose }) {
+    const [runs, setRuns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [hasMore, setHasMore] = useState(false);
+    const [error, setError] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setLoading(true);
+        setError('');
+        api.getSyncHistory(client.id, { limit: PAGE_SIZE }, { signal: controller.signal })
+            .then((page) => {
+                const list = page.map(normalizeRun);
+                setRuns(list);
+                setHasMore(page.length === PAGE_SIZE);
+                // Open the latest run straight away when it went wrong
+                setExpandedId(list[0] && list[0].status !== 'success' ? runKey(list[0], 0) : null);
+                setLoading(false);
+            })
+            .catch((err) => {
+                if (api.isCancel(err)) return;
+                setError(`Failed to load sync history: ${api.getErrorMessage(err)}`);
+                setLoading(false);
+            });
+        return () => controller.abort();
+    }, [client.id, reloadKey]);
+
+    useEffect(() => {
+        const handler = (e) => { if (e.key === 'Escape') onClose(); };
+        document.addEventListener('keydown', handler);
+        return () => document.removeEventListener('keydown', handler);
+    }, [onClose]);
+
+    const loadOlder = async () => {
+        setLoading(true);
+        try {
+            const before = runs[runs.length - 1]?.startedAt;
+            const page = await api.getSyncHistory(client.id, { limit: PAGE_SIZE, before });
+            setRuns((prev) => [...prev, ...page.map(normalizeRun)]);
+            setHasMore(page.length === PAGE_SIZE);
+        } catch (err) {
+            setError(api.getErrorMessage(err));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const summary = summarizeRuns(runs);
+
+    return (
+        <>
+            <div className="sync-history-backdrop" onClick={onClose} />
+            <aside className="sync-history-drawer">
+                <div className="sync-history-header">
+                    <div>
+                        <h2>Sync History</h2>
+                        <p>{client.name}</p>
+                    </div>
+                    <button className="sync-history-close-btn" onClick={onClose} title="Close">×</button>
+                </div>
+
+                {runs.length > 0 && (
+                    <div className="sync-history-summary">
+                        <div>
+                            <strong>{summary.successRate === null ? '—' : `${Math.round(summary.successRate * 100)}%`}</strong>
+                            <span>of {summary.runs} runs succeeded</span>
+                        </div>
+                        <div>
+                            <strong>{summary.lastSuccessAt ? formatDate(summary.lastSuccessAt) : 'Never'}</strong>
+                            <span>last successful sync</span>
+                        </div>
+                        <div>
+                            <strong>{summary.longestFailStreak}</strong>
+                            <span>most failures in a row</span>
+                        </div>
+                    </div>
+                )}
+
+                <div className="sync-history-body">
+                    {error && <div className="modal-error">{error}</div>}
+                    {!loading && runs.length === 0 && !error && (
+                        <div className="empty-state">No syncs have run for this client yet.</div>
+                    )}
+                    <ul className="sync-run-list">
+                        {runs.map((run, i) => (
+                            <RunRow
+                                key={runKey(run, i)}
+                                run={run}
+                                expanded={expandedId === runKey(run, i)}
+                                onToggle={() => setExpandedId((id) => (id === runKey(run, i) ? null : runKey(run, i)))}
+                            />
+                        ))}
+                    </ul>
+                    {loading && <div className="loading-state">Loading…</div>}
+                    {!loading && hasMore && (
+                        <button className="load-more-btn sync-history-more" onClick={loadOlder}>Load older runs</button>
+                    )}
+                </div>
+            </aside>
+        </>
+    );
+}
+
+export default SyncHistory;
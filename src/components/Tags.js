@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { tagColor, normalizeTag } from '../annotations';
+import './Tags.css';
+
+function TagPill({ tag, onRemove }) {
+    return (
+        <span className="tag-pill" style={{ '--tag-color': tagColor(tag) }}>
+            {tag}
+            {onRemove && (
+                <button onClick={() => onRemove(tag)} title={`Remove "${tag}"`}>×</button>
+            )}
+        </span>
+    );
+}
+
+// Read-only pills; past `max` the rest collapse into "+n"
+function TagList({ tags, max = 3 }) {
+    if (!tags.length) return null;
+    const shown = tags.slice(0, max);
+    return (
+        <span className="tag-list" title={tags.length > max ? tags.join(', ') : undefined}>
+            {shown.map((tag) => <TagPill key={tag} tag={tag} />)}
+            {tags.length > max && <span className="tag-more">+{tags.length - max}</span>}
+        </span>
+    );
+}
+
+// Pills with remove buttons plus an input; Enter or comma adds a tag.
+// `suggestions` feed the input's autocomplete.
+export function TagEditor({ tags, suggestions, onChange, disabled }) {
+    const [draft, setDraft] = useState('');
+
+    const add = () => {
+        const tag = normalizeTag(draft);
+        setDraft('');
+        if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    };
+
+    if (disabled) return tags.length ? <TagList tags={tags} max={tags.length} /> : <span className="tag-none">No tags</span>;
+
+    return (
+        <div className="tag-editor">
+            {tags.map((tag) => (
+                <TagPill key={tag} tag={tag} onRemove={(t) => onChange(tags.filter((x) => x !== t))} />
+            ))}
+            <input
+                value={draft}
+                list="tag-suggestions"
+                placeholder={tags.length ? 'Add tag' : 'Add a tag (hot, follow-up…)'}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ',') { e.preventDefault(); add(); }
+                    if (e.key === 'Backspace' && !draft && tags.length) onChange(tags.slice(0, -1));
+                }}
+                onBlur={add}
+            />
+            <datalist id="tag-suggestions">
+                {suggestions.filter((t) => !tags.includes(t)).map((t) => <option key={t} value={t} />)}
+            </datalist>
+        </div>
+    );
+}
+
+export default TagList;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import * as api from '../api';
+import './TwoFactorSetup.css';
+
+const CODE_PATTERN = '[0-9]{6}';
+
+function CodeInput({ value, onChange }) {
+    return (
+        <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            pattern={CODE_PATTERN}
+            maxLength={6}
+            placeholder="123456"
+            value={value}
+            onChange={(e) => onChange(e.target.value.replace(/\D/g, ''))}
+            required
+        />
+    );
+}
+
+function downloadRecoveryCodes(codes, email) {
+    const text = [
+        'TradeCraft dashboard recovery codes',
+        email ? `Account: ${email}` : '',
+        'Each code can be used once if you lose access to your authenticator app.',
+        '',
+        ...codes,
+        '',
+    ].join('\n');
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'tradecraft-recovery-codes.txt';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ── Enrollment (AccountSettings) ─────────────────────────────
+// step: 'idle' → 'scan' (QR + confirm code) → 'codes' (recovery codes, once).
+// 2FA is on as soon as the code verifies; the codes step only shows them.
+function TwoFactorSetup({ user, onChange }) {
+    const enabled = Boolean(user?.two_factor_enabled);
+    const [step, setStep] = useState('idle');
+    const [setup, setSetup] = useState(null);
+    const [qr, setQr] = useState('');
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!setup?.otpauth_url) return;
+        QRCode.toDataURL(setup.otpauth_url, { width: 180, margin: 1, color: { dark: '#003c49' } })
+            .then(setQr)
+            .catch(() => setQr(''));
+    }, [setup]);
+
+    const run = async (fn) => {
+        setBusy(true);
+        setError('');
+        try {
+            await fn();
+        } catch (err) {
+            setError(api.getErrorMessage(err));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleStart = () => run(async () => {
+        setSetup(await api.startTwoFactorSetup());
+        setCode('');
+        setStep('scan');
+    });
+
+    const handleEnable = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const data = await api.enableTwoFactor(code);
+            setRecoveryCodes(Array.isArray(data?.recovery_codes) ? data.recovery_codes : []);
+            setSetup(null);
+            setCode('');
+            setStep('codes');
+            onChange({ two_factor_enabled: true });
+        });
+    };
+
+    const handleDisable = (e) => {
+        e.preventDefault();
+        if (!window.confirm('Turn off two-factor authentication for your account?')) return;
+        run(async () => {
+            await api.disableTwoFactor(code);
+            setCode('');
+            onChange({ two_factor_enabled: false });
+        });
+    };
+
+    const handleDone = () => {
+        setRecoveryCodes([]);
+        setStep('idle');
+    };
+
+    return (
+        <div className="modal-section">
+            <h3 className="modal-section-title">
+                Two-Factor Authentication
+                <span className={`two-factor-status${enabled ? ' on' : ''}`}>{enabled ? 'On' : 'Off'}</span>
+            </h3>
+            {error && <div className="modal-error">{error}</div>}
+
+            {step === 'idle' && !enabled && (
+                <div className="two-factor-body">
+                    <p>Require a code from an authenticator app (Google Authenticator, 1Password, Authy…) when you sign in.</p>
+                    <button type="button" className="modal-save-btn" onClick={handleStart} disabled={busy}>
+                        {busy ? 'Starting…' : 'Set Up Two-Factor'}
+                    </button>
+                </div>
+            )}
+
+            {step === 'idle' && enabled && (
+                user?.two_factor_required ? (
+                    <div className="two-factor-body">
+                        <p>Two-factor authentication is required for all users by an administrator.</p>
+                    </div>
+                ) : (
+                    <form className="two-factor-body" onSubmit={handleDisable}>
+                        <p>Enter a current code from your authenticator app to turn two-factor off.</p>
+                        <div className="two-factor-code-row">
+                            <CodeInput value={code} onChange={setCode} />
+                            <button type="submit" className="modal-cancel-btn" disabled={busy}>
+                                {busy ? 'Turning off…' : 'Turn Off'}
+                            </button>
+                        </div>
+                    </form>
+                )
+            )}
+
+            {step === 'scan' && setup && (
+                <form className="two-factor-body" onSubmit={handleEnable}>
+                    <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+                    <div className="two-factor-scan">
+                        {qr ? <img src={qr} alt="Authenticator QR code" /> : <div className="two-factor-qr-placeholder" />}
+                        <div>
+                            <div className="two-factor-label">Can't scan? Enter this key</div>
+                            <code className="two-factor-secret">{String(setup.secret || '').replace(/(.{4})/g, '$1 ').trim()}</code>
+                        </div>
+                    </div>
+                    <div className="two-factor-code-row">
+                        <CodeInput value={code} onChange={setCode} />
+                        <button type="submit" className="modal-save-btn" disabled={busy || code.length !== 6}>
+                            {busy ? 'Verifying…' : 'Verify & Turn On'}
+                        </button>
+                    </div>
+                    <button type="button" className="filter-link-btn" onClick={() => { setStep('idle'); setSetup(null); }}>
+                        Cancel setup
+                    </button>
+                </form>
+            )}
+
+            {step === 'codes' && (
+                <div className="two-factor-body">
+                    <p>
+                        Two-factor is on. Save these recovery codes somewhere safe — each works once if you lose
+                        your device, and they won't be shown again.
+                    </p>
+                    <ul className="recovery-codes">
+                        {recoveryCodes.map((c) => <li key={c}><code>{c}</code></li>)}
+                    </ul>
+                    <div className="two-factor-code-row">
+                        <button
+                            type="button"
+                            className="modal-cancel-btn"
+                            onClick={() => navigator.clipboard?.writeText(recoveryCodes.join('\n')).catch(() => {})}
+                        >
+                            <i className="ph-light ph-copy"></i> Copy
+                        </button>
+                        <button type="button" className="modal-cancel-btn" onClick={() => downloadRecoveryCodes(recoveryCodes, user?.email)}>
+                            <i className="ph-light ph-download-simple"></i> Download
+                        </button>
+                        <button type="button" className="modal-save-btn" onClick={handleDone}>I've Saved Them</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ── Admin policy: require 2FA for everyone ───────────────────
+export function TwoFactorPolicy() {
+    const [required, setRequired] = useState(null); // null while loading
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const controller = new AbortController();
+        api.getSecuritySettings({ signal: controller.signal })
+            .then((settings) => setRequired(Boolean(settings.require_two_factor)))
+            .catch((err) => {
+                if (!api.isCancel(err)) setError(`Failed to load security settings: ${api.getErrorMessage(err)}`);
+            });
+        return () => controller.abort();
+    }, []);
+
+    const handleToggle = async (e) => {
+        const next = e.target.checked;
+        const prompt = next
+            ? 'Require two-factor authentication for all users? Anyone without it will be asked to set it up at their next sign-in.'
+            : 'Stop requiring two-factor authentication? Users can then turn it off for their own accounts.';
+        if (!window.confirm(prompt)) return;
+        setSaving(true);
+        setError('');
+        try {
+            const settings = await api.updateSecuritySettings({ require_two_factor: next });
+            setRequired(Boolean(settings?.require_two_factor ?? next));
+        } catch (err) {
+            setError(api.getErrorMessage(err));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-section">
+            <h3 className="modal-section-title">Organization Security</h3>
+            {error && <div className="modal-error">{error}</div>}
+            <label className="two-factor-policy">
+                <input type="checkbox" checked={Boolean(required)} disabled={required === null || saving} onChange={handleToggle} />
+                <span>
+                    Require two-factor authentication for all users
+                    <small>Applies at each user's next sign-in.</small>
+                </span>
+            </label>
+        </div>
+    );
+}
+
+export default TwoFactorSetup;
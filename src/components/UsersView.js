@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import * as api from '../api';
+import { formatDate, getUserInitials } from '../format';
+import { roleOf, roleLabel } from '../permissions';
+import RoleFields from './RoleFields';
+import './UsersView.css';
+
+const isActive = (u) => u.is_active !== false;
+const lastLogin = (u) => u.last_login_at ?? u.last_login ?? null;
+const assignedClientIds = (u) => (u.permissions?.clients ?? u.client_ids ?? []);
+
+// Fields sent to updateUser for a role change; is_admin mirrors the role for
+// older API consumers
+function accessFields({ role, clientIds }) {
+    return { role, is_admin: role === 'admin', client_ids: role === 'admin' ? null : clientIds };
+}
+
+function EditUser({ user, isSelf, clients, onSave, onClose }) {
+    const [name, setName] = useState(user.name || '');
+    const [email, setEmail] = useState(user.email || '');
+    const [access, setAccess] = useState(() => {
+        const ids = assignedClientIds(user);
+        return { role: roleOf(user), clientIds: Array.isArray(ids) ? ids.map(String) : clients.map((c) => String(c.id)) };
+    });
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (roleOf(user) === 'admin' && access.role !== 'admin'
+            && !window.confirm(`Remove admin access from ${user.name || user.email}?`)) return;
+        setSaving(true);
+        setError('');
+        try {
+            await onSave({ name, email, ...accessFields(access) });
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay">
+            <div className="modal-box modal-scroll">
+                <div className="modal-header">
+                    <h2>Edit User</h2>
+                    <button className="close-btn" onClick={onClose}>×</button>
+                </div>
+                {error && <div className="modal-error">{error}</div>}
+                <form onSubmit={handleSubmit}>
+                    <div className="modal-form-group">
+                        <label>Name</label>
+                        <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
+                    </div>
+                    <div className="modal-form-group">
+                        <label>Email</label>
+                        <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required />
+                    </div>
+                    <RoleFields
+                        role={access.role}
+                        clientIds={access.clientIds}
+                        clients={clients}
+                        onChange={setAccess}
+                        roleLocked={isSelf}
+                    />
+                    <div className="modal-actions">
+                        <button type="button" className="modal-cancel-btn" onClick={onClose}>Cancel</button>
+                        <button type="submit" className="modal-save-btn" disabled={saving}>
+                            {saving ? 'Saving…' : 'Save Changes'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+// ── Users (admin) ─────────────────────────────────────────────
+// Owns its list; `reloadKey` changes when a user is created elsewhere.
+function UsersView({ currentUser, clients, reloadKey, onCreateUser, onSelfUpdate }) {
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [query, setQuery] = useState('');
+    const [busyId, setBusyId] = useState(null);
+    const [editing, setEditing] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setLoading(true);
+        api.getUsers({ signal: controller.signal })
+            .then((list) => { setUsers(list); setLoading(false); })
+            .catch((err) => {
+                if (api.isCancel(err)) return;
+                setError(`Failed to load users: ${api.getErrorMessage(err)}`);
+                setLoading(false);
+            });
+        return () => controller.abort();
+    }, [reloadKey]);
+
+    const shown = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        const list = q
+            ? users.filter((u) => `${u.name || ''} ${u.email || ''}`.toLowerCase().includes(q))
+            : users;
+        // Active first, then by name
+        return [...list].sort((a, b) => (isActive(b) - isActive(a))
+            || String(a.name || a.email).localeCompare(String(b.name || b.email)));
+    }, [users, query]);
+
+    const isSelf = (u) => String(u.id) === String(currentUser?.id);
+    const label = (u) => u.name || u.email;
+
+    const applyUpdate = async (u, fields) => {
+        const updated = await api.updateUser(u.id, fields);
+        const merged = { ...u, ...fields, ...(updated && typeof updated === 'object' ? updated.user || updated : {}) };
+        setUsers((prev) => prev.map((x) => (x.id === u.id ? merged : x)));
+        if (isSelf(u)) onSelfUpdate({ ...currentUser, ...fields });
+        return merged;
+    };
+
+    const runAction = async (u, fn, done) => {
+        setBusyId(u.id);
+        setError('');
+        setMessage('');
+        try {
+            await fn();
+            if (done) setMessage(done);
+        } catch (err) {
+            setError(api.getErrorMessage(err));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleToggleActive = (u) => {
+        const deactivate = isActive(u);
+        if (deactivate && !window.confirm(`Deactivate ${label(u)}? They will be signed out and can't sign in until reactivated.`)) return;
+        runAction(u, () => applyUpdate(u, { is_active: !deactivate }),
+            `${label(u)} ${deactivate ? 'deactivated' : 'reactivated'}`);
+    };
+
+    // Demoted admins become managers of every client; fine-tune in Edit
+    const handleToggleAdmin = (u) => {
+        const isAdmin = roleOf(u) === 'admin';
+        const prompt = isAdmin
+            ? `Remove admin access from ${label(u)}? They become a manager of all clients.`
+            : `Make ${label(u)} an admin? Admins can manage users, clients and settings.`;
+        if (!window.confirm(prompt)) return;
+        const fields = isAdmin
+            ? accessFields({ role: 'manager', clientIds: clients.map((c) => String(c.id)) })
+            : accessFields({ role: 'admin' });
+        runAction(u, () => applyUpdate(u, fields), `${label(u)} is ${isAdmin ? 'no longer' : 'now'} an admin`);
+    };
+
+    const handleReset = (u) => {
+        if (!window.confirm(`Reset the password for ${label(u)}? Their current password stops working and a reset link is emailed to ${u.email}.`)) return;
+        runAction(u, () => api.forcePasswordReset(u.id), `Password reset link sent to ${u.email}`);
+    };
+
+    const handleSaveEdit = async (fields) => {
+        try {
+            await applyUpdate(editing, fields);
+        } catch (err) {
+            throw new Error(api.getErrorMessage(err));
+        }
+    };
+
+    const clientSummary = (u) => {
+        const ids = assignedClientIds(u);
+        if (roleOf(u) === 'admin' || !Array.isArray(ids)) return 'All clients';
+        if (ids.length === 0) return 'None';
+        const names = ids.map((id) => clients.find((c) => String(c.id) === String(id))?.name).filter(Boolean);
+        return names.length > 2 ? `${names.slice(0, 2).join(', ')} +${names.length - 2}` : names.join(', ') || `${ids.length} assigned`;
+    };
+
+    const activeCount = users.filter(isActive).length;
+
+    return (
+        <>
+            <div className="page-top">
+                <div className="page-top-left">
+                    <h1>Users</h1>
+                    <p className="users-subtitle">
+                        {activeCount} active {activeCount === 1 ? 'account' : 'accounts'}
+                        {users.length > activeCount ? `, ${users.length - activeCount} deactivated` : ''}
+                    </p>
+                </div>
+                <div className="page-top-right">
+                    <button className="sync-btn" onClick={onCreateUser}>
+                        <i className="ph-light ph-user-plus"></i>
+                        Create User
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="modal-error users-alert">{error}</div>}
+            {message && <div className="modal-success users-alert">{message}</div>}
+
+            <div className="section-card">
+                <div className="section-header">
+                    <div>
+                        <h2>All users</h2>
+                        <p>Everyone with access to this dashboard</p>
+                    </div>
+                    <div className="search-box">
+                        <i className="ph-light ph-magnifying-glass"></i>
+                        <input
+                            type="search"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="Search name or email"
+                        />
+                    </div>
+                </div>
+                <div className="table-scroll">
+                    {loading ? (
+                        <div className="loading-state">Loading…</div>
+                    ) : shown.length === 0 ? (
+                        <div className="empty-state">{query ? 'No users match your search' : 'No users yet'}</div>
+                    ) : (
+                        <table className="users-table">
+                            <thead>
+                                <tr>
+                                    <th>User</th>
+                                    <th>Role</th>
+                                    <th>Clients</th>
+                                    <th>Status</th>
+                                    <th>Two-factor</th>
+                                    <th>Last login</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {shown.map((u) => (
+                                    <tr key={u.id} className={isActive(u) ? '' : 'user-inactive'}>
+                                        <td>
+                                            <div className="user-cell">
+                                                <div className="user-avatar">
+                                                    {u.avatar_url ? <img src={u.avatar_url} alt="" /> : getUserInitials(u)}
+                                                </div>
+                                                <div>
+                                                    <div className="client-name-cell">
+                                                        {u.name || '—'}{isSelf(u) && <span className="user-you">You</span>}
+                                                    </div>
+                                                    <div className="user-email">{u.email}</div>
+                                                </div>
+                                            </div>
+                                        </td>
+                                        <td>
+                                            <span className={`user-pill ${roleOf(u)}`}>{roleLabel(u)}</span>
+                                        </td>
+                                        <td>{clientSummary(u)}</td>
+                                        <td>
+                                            <span className={`user-pill ${isActive(u) ? 'active' : 'inactive'}`}>
+                                                {isActive(u) ? 'Active' : 'Deactivated'}
+                                            </span>
+                                        </td>
+                                        <td>{u.two_factor_enabled ? 'On' : 'Off'}</td>
+                                        <td>{lastLogin(u) ? formatDate(lastLogin(u)) : 'Never'}</td>
+                                        <td>
+                                            <div className="user-actions">
+                                                <button title="Edit" onClick={() => setEditing(u)} disabled={busyId === u.id}>
+                                                    <i className="ph-light ph-pencil-simple"></i>
+                                                </button>
+                                                <button title="Force password reset" onClick={() => handleReset(u)} disabled={busyId === u.id}>
+                                                    <i className="ph-light ph-key"></i>
+                                                </button>
+                                                <button
+                                                    title={roleOf(u) === 'admin' ? 'Remove admin' : 'Make admin'}
+                                                    onClick={() => handleToggleAdmin(u)}
+                                                    disabled={busyId === u.id || isSelf(u)}
+                                                >
+                                                    <i className={`ph-light ${roleOf(u) === 'admin' ? 'ph-shield-slash' : 'ph-shield-check'}`}></i>
+                                                </button>
+                                                <button
+                                                    title={isActive(u) ? 'Deactivate' : 'Reactivate'}
+                                                    className={isActive(u) ? 'danger' : ''}
+                                                    onClick={() => handleToggleActive(u)}
+                                                    disabled={busyId === u.id || isSelf(u)}
+                                                >
+                                                    <i className={`ph-light ${isActive(u) ? 'ph-prohibit' : 'ph-arrow-counter-clockwise'}`}></i>
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+
+            {editing && (
+                <EditUser
+                    user={editing}
+                    isSelf={isSelf(editing)}
+                    clients={clients}
+                    onSave={handleSaveEdit}
+                    onClose={() => setEditing(null)}
+                />
+            )}
+        </>
+    );
+}
+
+export default UsersView;
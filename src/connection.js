@@ -0,0 +1,46 @@
+// ── WordPress connection health ──────────────────────────────
+// The backend checks each client's site and plugin and reports
+// { status, plugin_version, latest_plugin_version, checked_at, last_sync_at, message }.
+
+export const CONNECTION_STATUSES = {
+    connected: { label: 'Connected', tone: 'ok', icon: 'ph-plugs-connected' },
+    outdated: { label: 'Plugin outdated', tone: 'warn', icon: 'ph-warning' },
+    invalid_key: { label: 'Key invalid', tone: 'error', icon: 'ph-key' },
+    unreachable: { label: 'Site unreachable', tone: 'error', icon: 'ph-wifi-slash' },
+    unknown: { label: 'Not checked', tone: 'muted', icon: 'ph-question' },
+};
+
+// -1 / 0 / 1 for dotted version strings; missing parts count as 0
+export function compareVersions(a, b) {
+    const pa = String(a || '').split('.').map((n) => parseInt(n, 10) || 0);
+    const pb = String(b || '').split('.').map((n) => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+}
+
+// Status key for a health report. A connected site running an older plugin
+// than the latest release counts as outdated even if the backend didn't say so.
+export function connectionStatus(health) {
+    const status = CONNECTION_STATUSES[health?.status] ? health.status : 'unknown';
+    if (status === 'connected' && health.plugin_version && health.latest_plugin_version
+        && compareVersions(health.plugin_version, health.latest_plugin_version) < 0) {
+        return 'outdated';
+    }
+    return status;
+}
+
+// One-line explanation for tooltips and the test result
+export function connectionDetail(health) {
+    const status = connectionStatus(health);
+    if (health?.message) return health.message;
+    switch (status) {
+        case 'connected': return health.plugin_version ? `Plugin ${health.plugin_version} is responding` : 'Plugin is responding';
+        case 'outdated': return `Plugin ${health.plugin_version} is installed; ${health.latest_plugin_version} is available`;
+        case 'invalid_key': return 'The site rejected the API key — copy the current key into the plugin settings';
+        case 'unreachable': return 'The WordPress site could not be reached';
+        default: return 'Connection has not been checked yet';
+    }
+}
@@ -0,0 +1,22 @@
+import { compareVersions, connectionStatus, connectionDetail } from './connection';
+
+test('compareVersions orders dotted versions numerically', () => {
+    expect(compareVersions('1.2.0', '1.10.0')).toBe(-1);
+    expect(compareVersions('2.0', '2.0.0')).toBe(0);
+    expect(compareVersions('3.1', '3.0.9')).toBe(1);
+});
+
+test('connectionStatus flags old plugins on connected sites', () => {
+    expect(connectionStatus(null)).toBe('unknown');
+    expect(connectionStatus({ status: 'weird' })).toBe('unknown');
+    expect(connectionStatus({ status: 'invalid_key', plugin_version: '1.0', latest_plugin_version: '2.0' })).toBe('invalid_key');
+    expect(connectionStatus({ status: 'connected', plugin_version: '1.4.2', latest_plugin_version: '1.5.0' })).toBe('outdated');
+    expect(connectionStatus({ status: 'connected', plugin_version: '1.5.0', latest_plugin_version: '1.5.0' })).toBe('connected');
+});
+
+test('connectionDetail prefers the backend message', () => {
+    expect(connectionDetail({ status: 'unreachable', message: 'DNS lookup failed' })).toBe('DNS lookup failed');
+    expect(connectionDetail({ status: 'connected', plugin_version: '1.5.0' })).toBe('Plugin 1.5.0 is responding');
+    expect(connectionDetail({ status: 'connected', plugin_version: '1.0', latest_plugin_version: '1.1' }))
+        .toBe('Plugin 1.0 is installed; 1.1 is available');
+});
@@ -0,0 +1,145 @@
+import { senderEmail } from './spam';
+import { splitName } from './submissions';
+
+// ── Duplicate detection ───────────────────────────────────────
+// Two submissions are likely the same lead when they share a normalized
+// email, phone or full name and arrived within DUPLICATE_WINDOW_MS of each
+// other (contact + quote forms, or a sync retry inserting a row twice).
+// Matches chain: A~B and B~C put A, B and C in one group.
+
+export const DUPLICATE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const MATCH_LABELS = {
+    exact: 'identical data',
+    email: 'email',
+    phone: 'phone',
+    name: 'name',
+};
+
+const PHONE_KEY = /phone|mobile|cell|\btel\b/i;
+
+// Last 10 digits, so "+1 (555) 010-2030" and "555.010.2030" match
+export function normalizePhone(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+function phoneOf(sub) {
+    const entry = Object.entries(sub?.submission_data || {}).find(([k, v]) => PHONE_KEY.test(k) && normalizePhone(v));
+    return entry ? normalizePhone(entry[1]) : '';
+}
+
+// "Ana  López" / First "ana" + Last "lopez" → 'ana lopez'; single names are too weak to match on
+export function normalizeName(sub) {
+    const data = sub?.submission_data || {};
+    const find = (re) => Object.keys(data).find((k) => re.test(k.trim()));
+    const firstKey = find(/^first\s*name$/i);
+    const lastKey = find(/^last\s*name$/i);
+    const fullKey = find(/^(full\s*)?name$/i);
+    let first = firstKey ? data[firstKey] : '';
+    let last = lastKey ? data[lastKey] : '';
+    if (!first && !last && fullKey) ({ first, last } = splitName(data[fullKey]));
+    const clean = (v) => String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z\s'-]/g, '').trim();
+    const name = `${clean(first)} ${clean(last)}`.replace(/\s+/g, ' ').trim();
+    return name.includes(' ') ? name : '';
+}
+
+// ['email:…', 'phone:…', 'name:…', 'exact:…'] for the fields a submission has
+export function identityKeys(sub) {
+    const keys = [];
+    const email = senderEmail(sub);
+    if (email) keys.push(`email:${email}`);
+    const phone = phoneOf(sub);
+    if (phone) keys.push(`phone:${phone}`);
+    const name = normalizeName(sub);
+    if (name) keys.push(`name:${name}`);
+    const data = sub?.submission_data || {};
+    if (Object.keys(data).length) {
+        const sorted = Object.keys(data).sort().map((k) => [k, String(data[k] ?? '').trim()]);
+        keys.push(`exact:${sub.form_id}:${JSON.stringify(sorted)}`);
+    }
+    return keys;
+}
+
+const timeOf = (sub) => new Date(sub?.submitted_at).getTime() || 0;
+
+// → [{ id, members: [sub…] oldest first, matchedOn: ['email', …] }], newest group first
+export function findDuplicateGroups(subs, windowMs = DUPLICATE_WINDOW_MS) {
+    const sorted = [...subs].sort((a, b) => timeOf(a) - timeOf(b));
+    const parent = new Map(sorted.map((s) => [s.id, s.id]));
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const links = []; // [id, match type] for every join
+    const lastByKey = new Map();
+    for (const sub of sorted) {
+        for (const key of identityKeys(sub)) {
+            const prev = lastByKey.get(key);
+            if (prev && timeOf(sub) - timeOf(prev) <= windowMs) {
+                parent.set(find(sub.id), find(prev.id));
+                links.push([sub.id, key.slice(0, key.indexOf(':'))]);
+            }
+            lastByKey.set(key, sub);
+        }
+    }
+    const matched = new Map(); // root → Set of match types
+    for (const [id, type] of links) {
+        const root = find(id);
+        if (!matched.has(root)) matched.set(root, new Set());
+        matched.get(root).add(type);
+    }
+
+    const groups = new Map();
+    for (const sub of sorted) {
+        const root = find(sub.id);
+        if (!matched.has(root)) continue;
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(sub);
+    }
+    return [...groups.entries()]
+        .map(([root, members]) => ({
+            id: members[0].id,
+            members,
+            matchedOn: Object.keys(MATCH_LABELS).filter((t) => matched.get(root).has(t)),
+        }))
+        .sort((a, b) => timeOf(b.members[b.members.length - 1]) - timeOf(a.members[a.members.length - 1]));
+}
+
+// submission id → its group
+export function duplicateLookup(groups) {
+    const byId = new Map();
+    for (const group of groups) group.members.forEach((sub) => byId.set(sub.id, group));
+    return byId;
+}
+
+// Union of the members' field names, in first-seen order
+export function compareKeys(members) {
+    const keys = [];
+    for (const sub of members) {
+        Object.keys(sub?.submission_data || {}).forEach((k) => { if (!keys.includes(k)) keys.push(k); });
+    }
+    return keys;
+}
+
+// What `primary` looks like after absorbing `others`: its own values win,
+// blanks are filled from the others (oldest first), tags and notes combine.
+export function mergeSubmissions(primary, others) {
+    const isBlank = (v) => String(v ?? '').trim() === '';
+    const data = { ...(primary.submission_data || {}) };
+    for (const sub of others) {
+        for (const [key, value] of Object.entries(sub.submission_data || {})) {
+            if (isBlank(data[key]) && !isBlank(value)) data[key] = value;
+        }
+    }
+    const all = [primary, ...others];
+    const tags = [...new Set(all.flatMap((s) => (Array.isArray(s.tags) ? s.tags : [])))];
+    const notes = all.flatMap((s) => (Array.isArray(s.notes) ? s.notes : []))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const assignee = primary.assignee || others.find((s) => s.assignee)?.assignee || null;
+    return { ...primary, submission_data: data, tags, notes, assignee };
+}
@@ -0,0 +1,48 @@
+import {
+    normalizePhone, normalizeName, findDuplicateGroups, duplicateLookup, compareKeys, mergeSubmissions,
+} from './duplicates';
+
+const sub = (id, at, data, extra = {}) => ({ id, form_id: 1, submitted_at: at, submission_data: data, ...extra });
+
+test('normalizePhone and normalizeName', () => {
+    expect(normalizePhone('+1 (555) 010-2030')).toBe(normalizePhone('555.010.2030'));
+    expect(normalizePhone('12345')).toBe('');
+    expect(normalizeName(sub(1, null, { Name: '  Ana   López ' }))).toBe('ana lopez');
+    expect(normalizeName(sub(1, null, { 'First Name': 'Ana', 'Last Name': 'Lopez' }))).toBe('ana lopez');
+    expect(normalizeName(sub(1, null, { Name: 'Ana' }))).toBe('');
+});
+
+test('findDuplicateGroups chains matches within the window', () => {
+    const subs = [
+        sub(1, '2026-05-01T10:00:00Z', { Email: 'Ana@example.com' }),
+        sub(2, '2026-05-02T10:00:00Z', { Email: 'ana@example.com', Phone: '555 010 2030' }, { form_id: 2 }),
+        sub(3, '2026-05-03T10:00:00Z', { 'Phone Number': '(555) 010-2030' }),
+        sub(4, '2026-06-20T10:00:00Z', { Email: 'ana@example.com' }),
+        sub(5, '2026-05-01T11:00:00Z', { Email: 'bo@example.com' }),
+    ];
+    const groups = findDuplicateGroups(subs);
+    expect(groups).toHaveLength(1);
+    expect(groups[0].members.map((s) => s.id)).toEqual([1, 2, 3]);
+    expect(groups[0].matchedOn).toEqual(['email', 'phone']);
+    expect(duplicateLookup(groups).get(3)).toBe(groups[0]);
+    expect(duplicateLookup(groups).has(4)).toBe(false);
+});
+
+test('sync double-inserts match as identical data', () => {
+    const data = { Message: 'Hello', Topic: 'Roof' };
+    const groups = findDuplicateGroups([sub(1, '2026-05-01T10:00:00Z', data), sub(2, '2026-05-01T10:00:00Z', { ...data })]);
+    expect(groups[0].matchedOn).toEqual(['exact']);
+});
+
+test('mergeSubmissions keeps the primary values and fills blanks', () => {
+    const primary = sub(1, null, { Email: 'a@x.com', Phone: '' }, { tags: ['hot'], notes: [{ text: 'b', created_at: '2026-05-02' }] });
+    const other = sub(2, null, { Email: 'other@x.com', Phone: '555', Budget: '10k' }, {
+        tags: ['hot', 'follow-up'], notes: [{ text: 'a', created_at: '2026-05-01' }], assignee: { id: 7, name: 'Ana' },
+    });
+    const merged = mergeSubmissions(primary, [other]);
+    expect(merged.submission_data).toEqual({ Email: 'a@x.com', Phone: '555', Budget: '10k' });
+    expect(merged.tags).toEqual(['hot', 'follow-up']);
+    expect(merged.notes.map((n) => n.text)).toEqual(['a', 'b']);
+    expect(merged.assignee).toEqual({ id: 7, name: 'Ana' });
+    expect(compareKeys([primary, other])).toEqual(['Email', 'Phone', 'Budget']);
+});
@@ -0,0 +1,174 @@
+import { splitName } from './submissions';
+import { leadStatusOf, leadStatusLabel } from './leadStatus';
+import { tagsOf, notesOf, assigneeOf } from './annotations';
+
+// ── Submission exports (CSV / XLSX / JSON) ────────────────────
+
+// Columns Excel would otherwise turn into numbers (dropping leading zeros
+// or switching to scientific notation)
+const TEXT_COLUMN = /zip|postal|phone|mobile|cell|\btel\b|fax/i;
+
+// Column definitions shared by every format: { header, type, value(sub) }.
+// `labels` carries renames from the table's column layout; `includeStatus`
+// adds the lead status after the identifying columns, `includeAnnotations`
+// the tags, assignee and notes after that.
+export function exportColumns({
+    isAllForms, hasCompoundName, dataKeys, labels = {}, includeStatus = false, includeAnnotations = false,
+}) {
+    const cols = [{ header: 'Submitted', type: 'date', value: (sub) => sub.submitted_at }];
+    if (isAllForms) cols.push({ header: 'Form', type: 'auto', value: (sub) => sub.form_name });
+    if (!isAllForms && hasCompoundName) {
+        cols.push({ header: 'First Name', type: 'auto', value: (sub) => splitName(sub?.submission_data?.Name).first });
+        cols.push({ header: 'Last Name', type: 'auto', value: (sub) => splitName(sub?.submission_data?.Name).last });
+    }
+    if (includeStatus) cols.push({ header: 'Status', type: 'auto', value: leadStatusLabel });
+    if (includeAnnotations) {
+        cols.push({ header: 'Tags', type: 'auto', value: (sub) => tagsOf(sub).join(', ') });
+        cols.push({ header: 'Assignee', type: 'auto', value: (sub) => assigneeOf(sub)?.name || '' });
+        cols.push({
+            header: 'Notes',
+            type: 'auto',
+            value: (sub) => notesOf(sub).map((n) => `${n.author?.name || 'Someone'}: ${n.text}`).join('\n'),
+        });
+    }
+    dataKeys.forEach((key) => {
+        cols.push({
+            header: labels[key]?.trim() || key,
+            type: TEXT_COLUMN.test(key) ? 'text' : 'auto',
+            value: (sub) => sub?.submission_data?.[key] ?? '',
+        });
+    });
+    return cols;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const el = document.createElement('a');
+    el.setAttribute('href', url);
+    el.setAttribute('download', filename);
+    el.style.display = 'none';
+    document.body.appendChild(el);
+    el.click();
+    document.body.removeChild(el);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function exportFileName(base, ext) {
+    const safe = String(base || 'submissions').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'submissions';
+    return `${safe}.${ext}`;
+}
+
+// ── CSV ───────────────────────────────────────────────────────
+export function buildCSV(rows, columns) {
+    const quote = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+    const lines = rows.map((sub) => columns.map((col) => {
+        const val = col.value(sub);
+        return quote(col.type === 'date' && val ? new Date(val).toLocaleString() : val);
+    }).join(','));
+    return [columns.map((col) => quote(col.header)).join(','), ...lines].join('\r\n');
+}
+
+// The BOM tells Excel the file is UTF-8 so accented names survive
+export function downloadCSV(rows, columns, filename) {
+    const blob = new Blob(['\uFEFF', buildCSV(rows, columns)], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, filename);
+}
+
+// ── JSON ──────────────────────────────────────────────────────
+export function jsonRecords(rows) {
+    return rows.map((sub) => ({
+        id: sub.id,
+        form_id: sub.form_id,
+        form_name: sub.form_name,
+        submitted_at: sub.submitted_at,
+        status: leadStatusOf(sub),
+        tags: tagsOf(sub),
+        assignee: assigneeOf(sub),
+        notes: notesOf(sub),
+        submission_data: sub.submission_data || {},
+    }));
+}
+
+export function downloadJSON(rows, filename) {
+    const blob = new Blob([JSON.stringify(jsonRecords(rows), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, filename);
+}
+
+// ── XLSX ──────────────────────────────────────────────────────
+
+// Excel sheet names: ≤31 chars, no []:*?/\, unique within the workbook
+function sheetName(name, used) {
+    const base = String(name || 'Submissions').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Submissions';
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+        const suffix = ` (${i})`;
+        candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// Excel dates have no timezone; shift so the cell shows local wall-clock time
+function excelLocalDate(value) {
+    const d = new Date(value);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+}
+
+function addSheet(workbook, name, rows, columns) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map((col) => ({
+        header: col.header,
+        width: Math.min(40, Math.max(12, col.header.length + 2)),
+        style: col.type === 'date'
+            ? { numFmt: 'yyyy-mm-dd hh:mm' }
+            : col.type === 'text' ? { numFmt: '@' } : {},
+    }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach((sub) => {
+        sheet.addRow(columns.map((col) => {
+            const val = col.value(sub);
+            if (col.type === 'date') return val ? excelLocalDate(val) : null;
+            return String(val ?? '');
+        }));
+    });
+}
+
+// One sheet per form → [{ formName, rows, columns }], each with only the
+// data columns that form uses. `columnOptions` are the exportColumns options
+// of the whole export; the status and annotation columns carry over.
+export function formSheets(rows, columnOptions) {
+    const groups = new Map();
+    rows.forEach((sub) => {
+        const key = sub.form_name || 'Untitled form';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sub);
+    });
+    return [...groups].map(([formName, groupRows]) => {
+        const keys = columnOptions.dataKeys.filter((k) => groupRows.some((sub) => k in (sub?.submission_data || {})));
+        const hasCompoundName = groupRows.some((sub) => 'Name' in (sub?.submission_data || {}));
+        const dataKeys = hasCompoundName ? keys.filter((k) => k !== 'Name') : keys;
+        const columns = exportColumns({ ...columnOptions, isAllForms: false, hasCompoundName, dataKeys });
+        return { formName, rows: groupRows, columns };
+    });
+}
+
+// In All Forms mode `groupByForm` puts each form on its own sheet (see formSheets)
+export async function downloadXLSX(rows, { columnOptions, groupByForm, sheetTitle }, filename) {
+    const ExcelJS = (await import('exceljs')).default;
+    const workbook = new ExcelJS.Workbook();
+    const used = new Set();
+
+    if (groupByForm) {
+        formSheets(rows, columnOptions).forEach((sheet) => {
+            addSheet(workbook, sheetName(sheet.formName, used), sheet.rows, sheet.columns);
+        });
+    } else {
+        addSheet(workbook, sheetName(sheetTitle, used), rows, exportColumns(columnOptions));
+    }
+
+    const buffer = await workbook.xlsx.writeBuffer();
+    downloadBlob(
+        new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+        filename
+    );
+}
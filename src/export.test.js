@@ -0,0 +1,76 @@
+import { exportColumns, buildCSV, exportFileName, formSheets, jsonRecords } from './export';
+
+test('exportColumns splits compound names and marks ZIP/phone columns as text', () => {
+    const cols = exportColumns({ isAllForms: false, hasCompoundName: true, dataKeys: ['Email', 'ZIP Code', 'Phone'] });
+    expect(cols.map((c) => c.header)).toEqual(['Submitted', 'First Name', 'Last Name', 'Email', 'ZIP Code', 'Phone']);
+    expect(cols.map((c) => c.type)).toEqual(['date', 'auto', 'auto', 'auto', 'text', 'text']);
+});
+
+test('exportColumns can add the lead status', () => {
+    const cols = exportColumns({ isAllForms: true, hasCompoundName: false, dataKeys: ['Email'], includeStatus: true });
+    expect(cols.map((c) => c.header)).toEqual(['Submitted', 'Form', 'Status', 'Email']);
+    expect(cols[2].value({ status: 'won' })).toBe('Won');
+});
+
+test('exportColumns can add tags, assignee and notes', () => {
+    const cols = exportColumns({ isAllForms: true, hasCompoundName: false, dataKeys: [], includeStatus: true, includeAnnotations: true });
+    expect(cols.map((c) => c.header)).toEqual(['Submitted', 'Form', 'Status', 'Tags', 'Assignee', 'Notes']);
+    const sub = {
+        tags: ['hot', 'follow-up'],
+        assignee: { id: 7, name: 'Ana' },
+        notes: [{ text: 'Left a voicemail', author: { name: 'Ana' } }, { text: 'Called back' }],
+    };
+    expect(cols.slice(3).map((c) => c.value(sub))).toEqual(['hot, follow-up', 'Ana', 'Ana: Left a voicemail\nSomeone: Called back']);
+    expect(cols.slice(3).map((c) => c.value({}))).toEqual(['', '', '']);
+});
+
+test('formSheets keeps the status column on every form sheet', () => {
+    const rows = [
+        { form_name: 'Contact', submission_data: { Email: 'a@x.com' } },
+        { form_name: 'Quote', submission_data: { Name: 'Ana Lopez', Budget: '5k' } },
+    ];
+    const sheets = formSheets(rows, { isAllForms: true, dataKeys: ['Email', 'Name', 'Budget'], includeStatus: true });
+    expect(sheets.map((s) => [s.formName, s.columns.map((c) => c.header)])).toEqual([
+        ['Contact', ['Submitted', 'Status', 'Email']],
+        ['Quote', ['Submitted', 'First Name', 'Last Name', 'Status', 'Budget']],
+    ]);
+});
+
+test('formSheets keeps tags, assignee and notes on every form sheet', () => {
+    const rows = [
+        { form_name: 'Contact', submission_data: { Email: 'a@x.com' }, tags: ['hot'] },
+        { form_name: 'Quote', submission_data: { Budget: '5k' }, assignee: { id: 7, name: 'Ana' } },
+    ];
+    const sheets = formSheets(rows, {
+        isAllForms: true, dataKeys: ['Email', 'Budget'], includeStatus: true, includeAnnotations: true,
+    });
+    expect(sheets.map((s) => s.columns.map((c) => c.header))).toEqual([
+        ['Submitted', 'Status', 'Tags', 'Assignee', 'Notes', 'Email'],
+        ['Submitted', 'Status', 'Tags', 'Assignee', 'Notes', 'Budget'],
+    ]);
+    expect(sheets[0].columns[2].value(rows[0])).toBe('hot');
+    expect(sheets[1].columns[3].value(rows[1])).toBe('Ana');
+});
+
+test('jsonRecords include the lead status', () => {
+    const [record] = jsonRecords([{ id: 1, status: 'won', submission_data: { Email: 'a@x.com' } }]);
+    expect(record).toMatchObject({ id: 1, status: 'won', submission_data: { Email: 'a@x.com' } });
+    expect(jsonRecords([{ id: 2 }])[0].status).toBe('new');
+});
+
+test('jsonRecords include tags, assignee and notes', () => {
+    const note = { id: 3, text: 'Called back', author: { id: 7, name: 'Ana' }, created_at: '2026-03-01T10:00:00Z' };
+    const [record] = jsonRecords([{ id: 1, tags: ['hot'], assignee: { id: 7, name: 'Ana' }, notes: [note] }]);
+    expect(record).toMatchObject({ tags: ['hot'], assignee: { id: 7, name: 'Ana' }, notes: [note] });
+    expect(jsonRecords([{ id: 2 }])[0]).toMatchObject({ tags: [], assignee: null, notes: [] });
+});
+
+test('buildCSV quotes every cell', () => {
+    const cols = exportColumns({ isAllForms: true, hasCompoundName: false, dataKeys: ['Message'] });
+    const csv = buildCSV([{ submitted_at: null, form_name: 'Contact', submission_data: { Message: 'Say "hi"' } }], cols);
+    expect(csv).toBe('"Submitted","Form","Message"\r\n"","Contact","Say ""hi"""');
+});
+
+test('exportFileName strips characters that are invalid in file names', () => {
+    expect(exportFileName('Quote / Estimate: Roof', 'xlsx')).toBe('Quote - Estimate- Roof.xlsx');
+});
@@ -0,0 +1,17 @@
+export const LOGO_URL = 'https://trade-craft.com/wp-content/uploads/2025/01/TRADECRAFT_LOGO_PRIMARY_rev.png';
+
+// Fetches an image and returns it as a data: URL (for jsPDF), or null on failure
+export async function fetchImageAsDataURL(url) {
+    try {
+        const res = await fetch(url);
+        const blob = await res.blob();
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    } catch {
+        return null;
+    }
+}
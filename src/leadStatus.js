@@ -0,0 +1,47 @@
+// ── Lead status ───────────────────────────────────────────────
+// Each submission moves through a follow-up workflow. The API stores
+// `status` plus `status_history`: [{ status, from, by: { id, name }, at }],
+// newest last. Submissions from before the workflow count as 'new'.
+
+export const LEAD_STATUSES = [
+    { id: 'new', label: 'New', color: '#3182ce' },
+    { id: 'contacted', label: 'Contacted', color: '#805ad5' },
+    { id: 'qualified', label: 'Qualified', color: '#d69e2e' },
+    { id: 'won', label: 'Won', color: '#38a169' },
+    { id: 'spam', label: 'Spam', color: '#999999' },
+];
+
+const BY_ID = Object.fromEntries(LEAD_STATUSES.map((s, i) => [s.id, { ...s, rank: i }]));
+
+export function leadStatusOf(sub) {
+    return BY_ID[sub?.status] ? sub.status : 'new';
+}
+
+export function leadStatusLabel(sub) {
+    return BY_ID[leadStatusOf(sub)].label;
+}
+
+// Workflow order, for sorting the Status column
+export function leadStatusRank(sub) {
+    return BY_ID[leadStatusOf(sub)].rank;
+}
+
+// { new: n, contacted: n, … } with every status present
+export function statusCounts(subs) {
+    const counts = Object.fromEntries(LEAD_STATUSES.map((s) => [s.id, 0]));
+    for (const sub of subs) counts[leadStatusOf(sub)] += 1;
+    return counts;
+}
+
+export function filterByStatus(subs, statuses) {
+    if (!statuses?.length) return subs;
+    return subs.filter((sub) => statuses.includes(leadStatusOf(sub)));
+}
+
+// Optimistic local copy of a status change, matching what the API records
+export function withStatus(sub, status, user, at = new Date().toISOString()) {
+    const from = leadStatusOf(sub);
+    if (from === status) return sub;
+    const entry = { status, from, by: user ? { id: user.id, name: user.name || user.email } : null, at };
+    return { ...sub, status, status_history: [...(sub.status_history || []), entry] };
+}
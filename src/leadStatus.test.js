@@ -0,0 +1,25 @@
+import { leadStatusOf, leadStatusRank, statusCounts, filterByStatus, withStatus } from './leadStatus';
+
+test('unknown or missing statuses count as new', () => {
+    expect(leadStatusOf({})).toBe('new');
+    expect(leadStatusOf({ status: 'archived' })).toBe('new');
+    expect(leadStatusOf({ status: 'won' })).toBe('won');
+    expect(leadStatusRank({ status: 'qualified' })).toBeGreaterThan(leadStatusRank({ status: 'contacted' }));
+});
+
+test('statusCounts and filterByStatus', () => {
+    const subs = [{ id: 1 }, { id: 2, status: 'won' }, { id: 3, status: 'spam' }, { id: 4, status: 'won' }];
+    expect(statusCounts(subs)).toEqual({ new: 1, contacted: 0, qualified: 0, won: 2, spam: 1 });
+    expect(filterByStatus(subs, ['won', 'new']).map((s) => s.id)).toEqual([1, 2, 4]);
+    expect(filterByStatus(subs, [])).toBe(subs);
+});
+
+test('withStatus appends who changed it and when', () => {
+    const sub = { id: 1, status: 'new' };
+    const next = withStatus(sub, 'contacted', { id: 7, name: 'Ana' }, '2026-05-01T10:00:00Z');
+    expect(next.status).toBe('contacted');
+    expect(next.status_history).toEqual([
+        { status: 'contacted', from: 'new', by: { id: 7, name: 'Ana' }, at: '2026-05-01T10:00:00Z' },
+    ]);
+    expect(withStatus(next, 'contacted', null)).toBe(next);
+});
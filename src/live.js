@@ -0,0 +1,145 @@
+import * as api from './api';
+
+// ── Live submissions ──────────────────────────────────────────
+// A server-sent event stream pushes each new submission as it is stored.
+// EventSource can't send headers, and a JWT in the URL would end up in access
+// logs, so each connection first POSTs for a short-lived, single-use stream
+// ticket and passes that instead. When the stream keeps failing (proxies that
+// buffer SSE, old servers) we fall back to polling for submissions newer than
+// the last one seen.
+
+export const LIVE_PATH = '/api/live/submissions';
+export const POLL_INTERVAL_MS = 30 * 1000;
+const STREAM_FAILURES_BEFORE_POLLING = 3;
+const STREAM_RETRY_MS = 2 * 1000;
+const NOTIFICATIONS_KEY = 'liveNotifications';
+
+// Adds a pushed submission to the front of a list unless it is already there
+export function addLiveSubmission(list, sub) {
+    return list.some((s) => s.id === sub.id) ? list : [sub, ...list];
+}
+
+// Home stats after one more submission arrives
+export function bumpStats(stats, sub, now = new Date()) {
+    const at = new Date(sub.submitted_at || now);
+    const thisMonth = at.getFullYear() === now.getFullYear() && at.getMonth() === now.getMonth();
+    return {
+        ...stats,
+        totalSubmissions: (stats.totalSubmissions ?? 0) + 1,
+        submissionsThisMonth: (stats.submissionsThisMonth ?? 0) + (thisMonth ? 1 : 0),
+    };
+}
+
+// Polling cursor after a batch: the newest submitted_at seen so far
+export function advanceCursor(since, subs) {
+    return subs.reduce((latest, sub) => {
+        const at = sub?.submitted_at;
+        return at && new Date(at) > new Date(latest) ? at : latest;
+    }, since);
+}
+
+export function notificationsEnabled() {
+    return localStorage.getItem(NOTIFICATIONS_KEY) === 'on'
+        && typeof Notification !== 'undefined' && Notification.permission === 'granted';
+}
+
+// Asks for browser permission when turning on; resolves to the new setting
+export async function setNotificationsEnabled(on) {
+    if (on && typeof Notification !== 'undefined' && Notification.permission !== 'granted') {
+        if (await Notification.requestPermission() !== 'granted') on = false;
+    }
+    localStorage.setItem(NOTIFICATIONS_KEY, on ? 'on' : 'off');
+    return notificationsEnabled();
+}
+
+export function notifySubmission(sub) {
+    if (!notificationsEnabled() || document.hasFocus()) return;
+    const notification = new Notification(`New lead for ${sub.client_name || 'a client'}`, {
+        body: sub.form_name ? `Submitted via ${sub.form_name}` : 'A new form submission arrived',
+        tag: `submission-${sub.id}`,
+    });
+    notification.onclick = () => window.focus();
+}
+
+// Opens the live channel. onStatus gets 'connecting' | 'live' | 'polling'.
+// Returns a function that closes it.
+export function openLiveChannel({ onSubmission, onStatus }) {
+    const seen = new Set();
+    let source = null;
+    let pollTimer = null;
+    let retryTimer = null;
+    let failures = 0;
+    let closed = false;
+
+    const deliver = (sub) => {
+        if (closed || !sub?.id || seen.has(sub.id)) return;
+        seen.add(sub.id);
+        onSubmission(sub);
+    };
+
+    // Only asks for what arrived after the channel opened (or the newest
+    // submission since), never the whole recent list
+    const startPolling = () => {
+        onStatus('polling');
+        let since = new Date().toISOString();
+        const poll = async () => {
+            try {
+                const fresh = await api.getSubmissionsSince(since);
+                [...fresh].reverse().forEach(deliver);
+                since = advanceCursor(since, fresh);
+            } catch {
+                // try again next interval
+            }
+        };
+        pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    const failed = () => {
+        if (closed) return;
+        failures += 1;
+        if (failures >= STREAM_FAILURES_BEFORE_POLLING) return startPolling();
+        onStatus('connecting');
+        retryTimer = setTimeout(startStream, STREAM_RETRY_MS * failures);
+    };
+
+    // Tickets are single-use, so EventSource's own reconnect (same URL) can't
+    // work; every reconnect closes it and starts over with a new ticket
+    const startStream = async () => {
+        if (typeof EventSource === 'undefined') return startPolling();
+        onStatus('connecting');
+        let ticket;
+        try {
+            ({ ticket } = await api.createLiveTicket());
+        } catch {
+            return failed();
+        }
+        if (closed) return;
+        if (!ticket) return startPolling(); // server without stream tickets
+        source = new EventSource(`${api.API_URL}${LIVE_PATH}?ticket=${encodeURIComponent(ticket)}`);
+        source.onopen = () => {
+            failures = 0;
+            onStatus('live');
+        };
+        source.addEventListener('submission', (e) => {
+            try {
+                deliver(JSON.parse(e.data));
+            } catch {
+                // ignore malformed events
+            }
+        });
+        source.onerror = () => {
+            source.close();
+            source = null;
+            failed();
+        };
+    };
+
+    startStream();
+
+    return () => {
+        closed = true;
+        source?.close();
+        clearInterval(pollTimer);
+        clearTimeout(retryTimer);
+    };
+}
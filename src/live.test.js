@@ -0,0 +1,27 @@
+import { addLiveSubmission, bumpStats, advanceCursor } from './live';
+
+test('addLiveSubmission prepends once', () => {
+    const list = [{ id: 1 }];
+    const next = addLiveSubmission(list, { id: 2 });
+    expect(next.map((s) => s.id)).toEqual([2, 1]);
+    expect(addLiveSubmission(next, { id: 2 })).toBe(next);
+});
+
+test('bumpStats counts this month only for submissions from this month', () => {
+    const now = new Date(2026, 4, 20);
+    const stats = { totalSubmissions: 10, submissionsThisMonth: 3, activeClients: 2 };
+    expect(bumpStats(stats, { submitted_at: new Date(2026, 4, 20, 9).toISOString() }, now))
+        .toEqual({ totalSubmissions: 11, submissionsThisMonth: 4, activeClients: 2 });
+    expect(bumpStats(stats, { submitted_at: new Date(2026, 3, 30).toISOString() }, now))
+        .toMatchObject({ totalSubmissions: 11, submissionsThisMonth: 3 });
+    expect(bumpStats({}, { submitted_at: now.toISOString() }, now))
+        .toEqual({ totalSubmissions: 1, submissionsThisMonth: 1 });
+});
+
+test('advanceCursor moves to the newest submission seen', () => {
+    const since = '2026-05-20T10:00:00.000Z';
+    const subs = [{ submitted_at: '2026-05-20T10:05:00.000Z' }, { submitted_at: '2026-05-20T10:01:00.000Z' }, {}];
+    expect(advanceCursor(since, subs)).toBe('2026-05-20T10:05:00.000Z');
+    expect(advanceCursor(since, [])).toBe(since);
+    expect(advanceCursor(since, [{ submitted_at: '2026-05-20T09:00:00.000Z' }])).toBe(since);
+});
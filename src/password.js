@@ -0,0 +1,52 @@
+// ── Password strength ─────────────────────────────────────────
+// Shared by CreateUser, AccountSettings (change password) and the reset
+// screen in Login. `context` is { name, email } of the account, so the
+// password can't simply be someone's name.
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890', 'qwerty123', 'qwertyuiop',
+    'iloveyou', 'letmein1', 'welcome1', 'admin123', 'abc12345', 'tradecraft', 'changeme',
+]);
+
+function personalParts({ name, email } = {}) {
+    const parts = [...String(name || '').split(/\s+/), String(email || '').split('@')[0]];
+    return parts.map((p) => p.toLowerCase()).filter((p) => p.length >= 3);
+}
+
+export const PASSWORD_RULES = [
+    { id: 'length', label: `At least ${MIN_PASSWORD_LENGTH} characters`, test: (pw) => pw.length >= MIN_PASSWORD_LENGTH },
+    { id: 'case', label: 'Upper and lower case letters', test: (pw) => /[a-z]/.test(pw) && /[A-Z]/.test(pw) },
+    { id: 'number', label: 'A number or symbol', test: (pw) => /[\d\W_]/.test(pw) },
+    {
+        id: 'personal',
+        label: 'Not your name, email or a common password',
+        test: (pw, context) => {
+            const lower = pw.toLowerCase();
+            return !COMMON_PASSWORDS.has(lower) && !personalParts(context).some((p) => lower.includes(p));
+        },
+    },
+];
+
+const STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+// { score: 0–4, label, valid, rules: [{ id, label, ok }] }
+export function passwordStrength(password, context) {
+    const pw = String(password || '');
+    const rules = PASSWORD_RULES.map((r) => ({ id: r.id, label: r.label, ok: r.test(pw, context) }));
+    const valid = rules.every((r) => r.ok);
+
+    let score = rules.filter((r) => r.ok).length - 1;
+    if (valid && pw.length >= 14 && /[^A-Za-z0-9]/.test(pw)) score = 4;
+    else if (valid) score = 3;
+    score = Math.max(0, Math.min(pw ? score : 0, 4));
+
+    return { score, label: STRENGTH_LABELS[score], valid, rules };
+}
+
+// First unmet rule as an error message, or '' when the password is acceptable
+export function passwordError(password, context) {
+    const failed = passwordStrength(password, context).rules.find((r) => !r.ok);
+    return failed ? `Password needs: ${failed.label.charAt(0).toLowerCase()}${failed.label.slice(1)}` : '';
+}
@@ -0,0 +1,16 @@
+import { passwordStrength, passwordError } from './password';
+
+test('passwordStrength scores rule coverage', () => {
+    expect(passwordStrength('').score).toBe(0);
+    expect(passwordStrength('short')).toMatchObject({ valid: false });
+    expect(passwordStrength('Lanterns9')).toMatchObject({ valid: true, score: 3, label: 'Good' });
+    expect(passwordStrength('Copper-Lantern-42')).toMatchObject({ valid: true, score: 4, label: 'Strong' });
+});
+
+test('passwords may not contain the account name or be common', () => {
+    const context = { name: 'Dana Whitfield', email: 'dana@example.com' };
+    expect(passwordStrength('Whitfield2026', context).valid).toBe(false);
+    expect(passwordStrength('Password123').valid).toBe(false);
+    expect(passwordError('Whitfield2026', context)).toBe('Password needs: not your name, email or a common password');
+    expect(passwordError('Lanterns9', context)).toBe('');
+});
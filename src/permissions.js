@@ -0,0 +1,85 @@
+// ── Roles & permissions ───────────────────────────────────────
+// The backend sends a permissions object per user:
+//   { role, clients: 'all' | [clientId…], actions: { [action]: bool } }
+// Missing parts fall back to the role's defaults, so older accounts that only
+// carry `is_admin` keep working.
+
+export const ACTIONS = {
+    manageUsers: 'users.manage',
+    createClient: 'clients.create',
+    editClient: 'clients.edit',
+    deleteClient: 'clients.delete',
+    syncClient: 'clients.sync',
+    deleteForm: 'forms.delete',
+    updateStatus: 'submissions.status',
+    annotate: 'submissions.annotate',
+    markSpam: 'submissions.spam',
+    mergeSubmissions: 'submissions.merge',
+    deleteSubmission: 'submissions.delete',
+    bulkDelete: 'submissions.bulk_delete',
+    exportSubmissions: 'submissions.export',
+};
+
+const ALL_ACTIONS = Object.values(ACTIONS);
+
+export const ROLES = {
+    admin: {
+        label: 'Admin',
+        description: 'Full access to every client, user and setting',
+        actions: ALL_ACTIONS,
+    },
+    manager: {
+        label: 'Manager',
+        description: 'Works assigned clients: edit, sync, follow up, export and delete submissions',
+        actions: [
+            ACTIONS.editClient, ACTIONS.syncClient, ACTIONS.updateStatus, ACTIONS.annotate, ACTIONS.markSpam,
+            ACTIONS.mergeSubmissions, ACTIONS.deleteSubmission, ACTIONS.bulkDelete, ACTIONS.exportSubmissions,
+        ],
+    },
+    viewer: {
+        label: 'Viewer',
+        description: 'Read-only access to assigned clients',
+        actions: [],
+    },
+};
+
+export const ROLE_OPTIONS = Object.keys(ROLES);
+
+// Accounts from before roles existed: admins stay admins, everyone else
+// becomes a manager of every client (what they could already do)
+export function roleOf(user) {
+    const role = user?.permissions?.role || user?.role;
+    if (ROLES[role]) return role;
+    return user?.is_admin ? 'admin' : 'manager';
+}
+
+export function roleLabel(user) {
+    return ROLES[roleOf(user)].label;
+}
+
+// Normalized { role, clients, actions } for a user
+export function resolvePermissions(user, override) {
+    const source = override || user?.permissions || {};
+    const role = ROLES[source.role] ? source.role : roleOf(user);
+    const actions = Object.fromEntries(ALL_ACTIONS.map((a) => [a, ROLES[role].actions.includes(a)]));
+    if (source.actions && typeof source.actions === 'object') {
+        for (const [action, allowed] of Object.entries(source.actions)) actions[action] = Boolean(allowed);
+    }
+    const assigned = source.clients ?? user?.client_ids;
+    const clients = role === 'admin' || !Array.isArray(assigned) ? 'all' : assigned.map(String);
+    return { role, clients, actions };
+}
+
+export function canAccessClient(permissions, clientId) {
+    if (!permissions || permissions.clients === 'all') return true;
+    return clientId !== null && clientId !== undefined && permissions.clients.includes(String(clientId));
+}
+
+export function can(permissions, action, clientId) {
+    if (!permissions?.actions[action]) return false;
+    return clientId === undefined || canAccessClient(permissions, clientId);
+}
+
+export function visibleClients(permissions, clients) {
+    return permissions?.clients === 'all' ? clients : clients.filter((c) => canAccessClient(permissions, c.id));
+}
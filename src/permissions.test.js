@@ -0,0 +1,34 @@
+import { ACTIONS, roleOf, resolvePermissions, can, canAccessClient, visibleClients } from './permissions';
+
+test('accounts without a role fall back to is_admin', () => {
+    expect(roleOf({ is_admin: true })).toBe('admin');
+    expect(roleOf({ is_admin: false })).toBe('manager');
+    expect(roleOf({ role: 'viewer', is_admin: true })).toBe('viewer');
+    expect(roleOf({ permissions: { role: 'admin' } })).toBe('admin');
+});
+
+test('role defaults apply unless the backend overrides an action', () => {
+    const viewer = resolvePermissions({ permissions: { role: 'viewer', clients: [3] } });
+    expect(can(viewer, ACTIONS.exportSubmissions)).toBe(false);
+    expect(viewer.clients).toEqual(['3']);
+
+    const exporter = resolvePermissions({ permissions: { role: 'viewer', actions: { [ACTIONS.exportSubmissions]: true } } });
+    expect(can(exporter, ACTIONS.exportSubmissions)).toBe(true);
+    expect(can(exporter, ACTIONS.deleteSubmission)).toBe(false);
+
+    const manager = resolvePermissions({ role: 'manager' });
+    expect(can(manager, ACTIONS.bulkDelete)).toBe(true);
+    expect(can(manager, ACTIONS.deleteClient)).toBe(false);
+});
+
+test('client assignments scope access; admins see everything', () => {
+    const clients = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    const manager = resolvePermissions({ permissions: { role: 'manager', clients: ['2'] } });
+    expect(visibleClients(manager, clients)).toEqual([{ id: 2 }]);
+    expect(canAccessClient(manager, 2)).toBe(true);
+    expect(can(manager, ACTIONS.syncClient, 1)).toBe(false);
+    expect(can(manager, ACTIONS.syncClient, 2)).toBe(true);
+
+    const admin = resolvePermissions({ permissions: { role: 'admin', clients: [] } });
+    expect(visibleClients(admin, clients)).toHaveLength(3);
+});
@@ -0,0 +1,398 @@
+import { dayKey, parseDayKey, addDays, bucketByDay } from './trends';
+import { percentChange } from './analytics';
+import { splitName } from './submissions';
+import { LOGO_URL, fetchImageAsDataURL } from './images';
+
+// ── Client PDF report ─────────────────────────────────────────
+// A period is { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', label } (inclusive,
+// local day keys — same convention as ./trends).
+// Reports are generated on demand in the browser. Scheduled (e.g. monthly
+// emailed) reports are out of scope here: they need a server-side job that
+// can render and send the PDF without anyone signed in.
+
+export const REPORT_PRESETS = [
+    { id: 'last_month', label: 'Last month' },
+    { id: 'this_month', label: 'This month' },
+    { id: 'last_30', label: 'Last 30 days' },
+    { id: 'last_quarter', label: 'Last quarter' },
+    { id: 'custom', label: 'Custom range' },
+];
+
+function formatDayKey(key, opts = { month: 'short', day: 'numeric', year: 'numeric' }) {
+    return parseDayKey(key).toLocaleDateString([], opts);
+}
+
+export function periodLabel(from, to) {
+    const start = parseDayKey(from);
+    const end = parseDayKey(to);
+    const lastOfMonth = addDays(new Date(end.getFullYear(), end.getMonth() + 1, 1), -1);
+    if (start.getDate() === 1 && end.getDate() === lastOfMonth.getDate()
+        && start.getFullYear() === end.getFullYear() && start.getMonth() === end.getMonth()) {
+        return formatDayKey(from, { month: 'long', year: 'numeric' });
+    }
+    return `${formatDayKey(from)} – ${formatDayKey(to)}`;
+}
+
+function monthSpan(now, startOffset, months) {
+    const from = new Date(now.getFullYear(), now.getMonth() + startOffset, 1);
+    const to = addDays(new Date(now.getFullYear(), now.getMonth() + startOffset + months, 1), -1);
+    return { from: dayKey(from), to: dayKey(to) };
+}
+
+// Resolves a preset id (or custom from/to) to a period
+export function reportPeriod(preset, custom = {}, now = new Date()) {
+    let range;
+    if (preset === 'this_month') range = { from: dayKey(new Date(now.getFullYear(), now.getMonth(), 1)), to: dayKey(now) };
+    else if (preset === 'last_30') range = { from: dayKey(addDays(now, -29)), to: dayKey(now) };
+    else if (preset === 'last_quarter') {
+        const quarterStart = now.getMonth() - (now.getMonth() % 3);
+        range = monthSpan(now, quarterStart - now.getMonth() - 3, 3);
+    } else if (preset === 'custom') {
+        if (!custom.from || !custom.to || custom.from > custom.to) return null;
+        range = { from: custom.from, to: custom.to };
+    } else range = monthSpan(now, -1, 1);
+    return { ...range, label: periodLabel(range.from, range.to) };
+}
+
+// The period of equal length immediately before. Whole calendar months map to
+// the same number of preceding months so "March" compares against "February".
+export function previousPeriod({ from, to }) {
+    const start = parseDayKey(from);
+    const end = parseDayKey(to);
+    const endsMonth = addDays(end, 1).getDate() === 1;
+    let range;
+    if (start.getDate() === 1 && endsMonth) {
+        const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1;
+        range = monthSpan(start, -months, months);
+    } else {
+        const days = Math.round((end - start) / 86400000) + 1;
+        range = { from: dayKey(addDays(start, -days)), to: dayKey(addDays(start, -1)) };
+    }
+    return { ...range, label: periodLabel(range.from, range.to) };
+}
+
+// Days a report asks the API for: the previous period (for comparison)
+// through the end of the period, a day wider on each side since the server
+// may cut days in another time zone (inPeriod trims the extra)
+export function reportRange(period) {
+    const from = parseDayKey(previousPeriod(period).from);
+    return { from: dayKey(addDays(from, -1)), to: dayKey(addDays(parseDayKey(period.to), 1)) };
+}
+
+export function inPeriod(sub, { from, to }) {
+    const key = dayKey(sub?.submitted_at);
+    return Boolean(key) && key >= from && key <= to;
+}
+
+// Totals, per-form counts and the daily trend for one period vs the previous
+export function summarizeReport(submissions, period, previous = previousPeriod(period)) {
+    const rows = (submissions || []).filter((s) => inPeriod(s, period));
+    const prevRows = (submissions || []).filter((s) => inPeriod(s, previous));
+    const forms = new Map();
+    const formOf = (sub) => sub.form_name || 'Untitled form';
+
+    rows.forEach((sub) => {
+        const name = formOf(sub);
+        if (!forms.has(name)) forms.set(name, { formName: name, count: 0, previous: 0 });
+        forms.get(name).count += 1;
+    });
+    prevRows.forEach((sub) => {
+        const name = formOf(sub);
+        if (!forms.has(name)) forms.set(name, { formName: name, count: 0, previous: 0 });
+        forms.get(name).previous += 1;
+    });
+
+    return {
+        period,
+        previous,
+        rows: [...rows].sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at)),
+        total: rows.length,
+        previousTotal: prevRows.length,
+        change: percentChange(rows.length, prevRows.length),
+        perForm: [...forms.values()]
+            .map((f) => ({ ...f, change: percentChange(f.count, f.previous) }))
+            .sort((a, b) => b.count - a.count || b.previous - a.previous),
+        daily: bucketByDay(rows, parseDayKey(period.from), parseDayKey(period.to)),
+    };
+}
+
+export function changeLabel(change) {
+    if (change === null) return 'New';
+    if (change === 0) return 'No change';
+    return `${change > 0 ? '+' : ''}${change}%`;
+}
+
+// ── Appendix helpers ─────────────────────────────────────────
+function findField(data, pattern) {
+    const key = Object.keys(data || {}).find((k) => pattern.test(k));
+    return key ? String(data[key] ?? '') : '';
+}
+
+function contactName(data) {
+    if (data?.Name) return String(data.Name);
+    const first = findField(data, /first.?name/i);
+    const last = findField(data, /last.?name/i);
+    if (first || last) return `${first} ${last}`.trim();
+    const { first: f, last: l } = splitName(findField(data, /name/i));
+    return `${f} ${l}`.trim();
+}
+
+// ── Trend chart (rendered to a PNG for jsPDF) ────────────────
+function trendChartImage(points, width = 1600, height = 520) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext?.('2d');
+    if (!ctx || !points.length) return null;
+    canvas.width = width;
+    canvas.height = height;
+
+    const pad = { top: 20, right: 20, bottom: 56, left: 72 };
+    const innerW = width - pad.left - pad.right;
+    const innerH = height - pad.top - pad.bottom;
+    const peak = Math.max(...points.map((p) => p.count));
+    const max = Math.max(4, Math.ceil(peak / 4) * 4);
+    const slot = innerW / points.length;
+    const barW = Math.max(2, Math.min(56, slot * 0.7));
+    const yFor = (v) => pad.top + innerH - (v / max) * innerH;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '24px Helvetica, Arial, sans-serif';
+
+    [0, 0.25, 0.5, 0.75, 1].forEach((t) => {
+        const value = Math.round(max * t);
+        ctx.strokeStyle = '#eeeeee';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, yFor(value));
+        ctx.lineTo(width - pad.right, yFor(value));
+        ctx.stroke();
+        ctx.fillStyle = '#999999';
+        ctx.textAlign = 'right';
+        ctx.fillText(String(value), pad.left - 12, yFor(value) + 8);
+    });
+
+    const labelEvery = Math.max(1, Math.ceil(points.length / 8));
+    points.forEach((p, i) => {
+        const cx = pad.left + slot * i + slot / 2;
+        if (p.count > 0) {
+            ctx.fillStyle = '#003c49';
+            ctx.fillRect(cx - barW / 2, yFor(p.count), barW, yFor(0) - yFor(p.count));
+        }
+        if (i % labelEvery === 0) {
+            ctx.fillStyle = '#999999';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatDayKey(p.date, { month: 'short', day: 'numeric' }), cx, height - 18);
+        }
+    });
+
+    return canvas.toDataURL('image/png');
+}
+
+// ── PDF ───────────────────────────────────────────────────────
+const TEAL = [0, 60, 73];
+const ORANGE = [241, 94, 36];
+const TEXT = [26, 29, 46];
+const MUTED = [153, 153, 153];
+const PAGE_W = 210;
+const PAGE_H = 297;
+const MARGIN = 20;
+
+function addImageFit(doc, dataUrl, x, y, maxW, maxH) {
+    try {
+        const { width, height } = doc.getImageProperties(dataUrl);
+        const scale = Math.min(maxW / width, maxH / height);
+        doc.addImage(dataUrl, x, y, width * scale, height * scale);
+        return height * scale;
+    } catch {
+        return 0;
+    }
+}
+
+function drawFooter(doc, clientName) {
+    const pages = doc.getNumberOfPages();
+    for (let i = 2; i <= pages; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...MUTED);
+        doc.text(`${clientName} — Lead Report`, MARGIN, PAGE_H - 10);
+        doc.text(`Page ${i} of ${pages}`, PAGE_W - MARGIN, PAGE_H - 10, { align: 'right' });
+    }
+}
+
+// Table with a repeated header row; returns the y below the last row
+function drawTable(doc, y, columns, rows) {
+    const rowH = 7;
+    const header = () => {
+        doc.setFillColor(245, 246, 250);
+        doc.rect(MARGIN, y - 5, PAGE_W - MARGIN * 2, rowH, 'F');
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...MUTED);
+        let x = MARGIN + 2;
+        columns.forEach((c) => {
+            doc.text(c.header.toUpperCase(), c.align === 'right' ? x + c.width - 4 : x, y, { align: c.align || 'left' });
+            x += c.width;
+        });
+        y += rowH;
+    };
+
+    header();
+    doc.setFontSize(9);
+    rows.forEach((row) => {
+        if (y > PAGE_H - 20) {
+            doc.addPage();
+            y = MARGIN + 5;
+            header();
+            doc.setFontSize(9);
+        }
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...TEXT);
+        let x = MARGIN + 2;
+        columns.forEach((c, i) => {
+            const text = doc.splitTextToSize(String(row[i] ?? ''), c.width - 4)[0] || '';
+            doc.text(text, c.align === 'right' ? x + c.width - 4 : x, y, { align: c.align || 'left' });
+            x += c.width;
+        });
+        doc.setDrawColor(240, 240, 240);
+        doc.line(MARGIN, y + 2, PAGE_W - MARGIN, y + 2);
+        y += rowH;
+    });
+    return y;
+}
+
+function statBox(doc, x, y, w, label, value, note) {
+    doc.setDrawColor(230, 230, 230);
+    doc.roundedRect(x, y, w, 26, 2, 2, 'S');
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...MUTED);
+    doc.text(label.toUpperCase(), x + 5, y + 7);
+    doc.setFontSize(18);
+    doc.setTextColor(...TEXT);
+    doc.text(String(value), x + 5, y + 17);
+    if (note) {
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...MUTED);
+        doc.text(note, x + 5, y + 22.5);
+    }
+}
+
+export async function downloadClientReport({ client, submissions, period, includeAppendix = false }) {
+    const jsPDF = (await import('jspdf')).default;
+    const doc = new jsPDF();
+    const summary = summarizeReport(submissions, period);
+    const clientName = client?.name || 'Client';
+
+    // Cover
+    doc.setFillColor(...TEAL);
+    doc.rect(0, 0, PAGE_W, 120, 'F');
+    const logo = await fetchImageAsDataURL(LOGO_URL);
+    if (logo) addImageFit(doc, logo, MARGIN, 24, 70, 20);
+
+    doc.setTextColor(255, 255, 255);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text('LEAD REPORT', MARGIN, 78);
+    doc.setFontSize(28);
+    doc.text(doc.splitTextToSize(clientName, PAGE_W - MARGIN * 2), MARGIN, 92);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(13);
+    doc.text(summary.period.label, MARGIN, 108);
+
+    let y = 140;
+    if (client?.logo_url) {
+        const clientLogo = await fetchImageAsDataURL(client.logo_url);
+        if (clientLogo) y += addImageFit(doc, clientLogo, MARGIN, y, 60, 30) + 10;
+    }
+    if (client?.wordpress_url) {
+        doc.setFontSize(10);
+        doc.setTextColor(...MUTED);
+        doc.text(client.wordpress_url, MARGIN, y);
+        y += 8;
+    }
+    doc.setFontSize(10);
+    doc.setTextColor(...MUTED);
+    doc.text(`Prepared ${new Date().toLocaleDateString([], { month: 'long', day: 'numeric', year: 'numeric' })}`, MARGIN, y);
+
+    doc.setFillColor(...ORANGE);
+    doc.rect(0, PAGE_H - 6, PAGE_W, 6, 'F');
+
+    // Summary
+    doc.addPage();
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.setTextColor(...TEXT);
+    doc.text('Summary', MARGIN, 28);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(...MUTED);
+    doc.text(`${summary.period.label} compared with ${summary.previous.label}`, MARGIN, 35);
+
+    const boxW = (PAGE_W - MARGIN * 2 - 10) / 3;
+    statBox(doc, MARGIN, 42, boxW, 'Submissions', summary.total, summary.period.label);
+    statBox(doc, MARGIN + boxW + 5, 42, boxW, 'Previous period', summary.previousTotal, summary.previous.label);
+    statBox(doc, MARGIN + (boxW + 5) * 2, 42, boxW, 'Change', changeLabel(summary.change));
+
+    y = 84;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...TEXT);
+    doc.text('Submissions per day', MARGIN, y);
+    y += 4;
+    const chart = trendChartImage(summary.daily);
+    if (chart) {
+        doc.addImage(chart, 'PNG', MARGIN, y, PAGE_W - MARGIN * 2, (PAGE_W - MARGIN * 2) * (520 / 1600));
+        y += (PAGE_W - MARGIN * 2) * (520 / 1600) + 12;
+    } else {
+        y += 8;
+    }
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...TEXT);
+    doc.text('Submissions per form', MARGIN, y);
+    y += 8;
+    if (summary.perForm.length === 0) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.setTextColor(...MUTED);
+        doc.text('No submissions in either period.', MARGIN, y);
+    } else {
+        drawTable(doc, y, [
+            { header: 'Form', width: 95 },
+            { header: 'This period', width: 25, align: 'right' },
+            { header: 'Previous', width: 25, align: 'right' },
+            { header: 'Change', width: 25, align: 'right' },
+        ], summary.perForm.map((f) => [f.formName, f.count, f.previous, changeLabel(f.change)]));
+    }
+
+    // Appendix
+    if (includeAppendix && summary.rows.length) {
+        doc.addPage();
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(16);
+        doc.setTextColor(...TEXT);
+        doc.text('Appendix: Submissions', MARGIN, 28);
+        drawTable(doc, 40, [
+            { header: 'Date', width: 28 },
+            { header: 'Form', width: 40 },
+            { header: 'Name', width: 36 },
+            { header: 'Email', width: 38 },
+            { header: 'Phone', width: 28 },
+        ], summary.rows.map((sub) => {
+            const data = sub.submission_data || {};
+            return [
+                formatDayKey(dayKey(sub.submitted_at)),
+                sub.form_name || '',
+                contactName(data),
+                findField(data, /e-?mail/i),
+                findField(data, /phone|tel\b/i),
+            ];
+        }));
+    }
+
+    drawFooter(doc, clientName);
+    doc.save(`${clientName.replace(/\s+/g, '-')}-report-${period.from}-to-${period.to}.pdf`);
+}
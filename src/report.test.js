@@ -0,0 +1,40 @@
+import { reportPeriod, previousPeriod, reportRange, summarizeReport, changeLabel } from './report';
+
+const now = new Date(2026, 3, 15); // April 15, 2026
+
+test('reportPeriod resolves presets to inclusive day ranges', () => {
+    expect(reportPeriod('last_month', {}, now)).toMatchObject({ from: '2026-03-01', to: '2026-03-31' });
+    expect(reportPeriod('this_month', {}, now)).toMatchObject({ from: '2026-04-01', to: '2026-04-15' });
+    expect(reportPeriod('last_quarter', {}, now)).toMatchObject({ from: '2026-01-01', to: '2026-03-31' });
+    expect(reportPeriod('custom', { from: '2026-04-10', to: '2026-04-01' }, now)).toBe(null);
+});
+
+test('previousPeriod compares whole months with the preceding months', () => {
+    expect(previousPeriod({ from: '2026-03-01', to: '2026-03-31' })).toMatchObject({ from: '2026-02-01', to: '2026-02-28' });
+    expect(previousPeriod({ from: '2026-01-01', to: '2026-03-31' })).toMatchObject({ from: '2025-10-01', to: '2025-12-31' });
+    expect(previousPeriod({ from: '2026-04-06', to: '2026-04-15' })).toMatchObject({ from: '2026-03-27', to: '2026-04-05' });
+});
+
+test('reportRange covers the previous period through the period, padded a day', () => {
+    expect(reportRange({ from: '2026-03-01', to: '2026-03-31' })).toEqual({ from: '2026-01-31', to: '2026-04-01' });
+});
+
+test('summarizeReport counts the period against the previous one per form', () => {
+    const subs = [
+        { form_name: 'Contact', submitted_at: new Date(2026, 2, 2, 9).toISOString() },
+        { form_name: 'Contact', submitted_at: new Date(2026, 2, 20, 9).toISOString() },
+        { form_name: 'Quote', submitted_at: new Date(2026, 2, 31, 23).toISOString() },
+        { form_name: 'Contact', submitted_at: new Date(2026, 1, 10, 9).toISOString() },
+        { form_name: 'Quote', submitted_at: new Date(2026, 3, 1, 0).toISOString() },
+    ];
+    const r = summarizeReport(subs, reportPeriod('last_month', {}, now));
+    expect(r.total).toBe(3);
+    expect(r.previousTotal).toBe(1);
+    expect(r.change).toBe(200);
+    expect(r.perForm).toEqual([
+        { formName: 'Contact', count: 2, previous: 1, change: 100 },
+        { formName: 'Quote', count: 1, previous: 0, change: null },
+    ]);
+    expect(r.daily).toHaveLength(31);
+    expect(changeLabel(r.perForm[1].change)).toBe('New');
+});
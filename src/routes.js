@@ -0,0 +1,85 @@
+// ── Dashboard routes ──────────────────────────────────────────
+//   /                                   → home
+//   /consent                            → consent form list
+//   /consent/:submissionId              → consent form detail
+//   /users                              → user management (admins)
+//   /clients/:clientId                  → client, All Forms
+//   /clients/:clientId/forms/:formId    → client, single form
+//   /clients/:clientId/analytics        → client, analytics tab
+// Client routes also carry the filters: ?from=YYYY-MM-DD&to=YYYY-MM-DD&q=search.
+// Outside the dashboard: /reset-password?token=… (emailed link) → Login.
+
+export const RESET_PASSWORD_PATH = '/reset-password';
+
+// Token of an emailed reset link, or null
+export function resetTokenFrom(location) {
+    if (String(location?.pathname || '').replace(/\/+$/, '') !== RESET_PASSWORD_PATH) return null;
+    return new URLSearchParams(location?.search || '').get('token') || null;
+}
+
+export const HOME_ROUTE = {
+    view: 'home', tab: 'submissions', clientId: null, formId: null, consentId: null, from: '', to: '', q: '',
+};
+
+export function parseRoute(location) {
+    let parts;
+    try {
+        parts = String(location?.pathname || '/').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        return HOME_ROUTE; // malformed escape like /clients/%E0
+    }
+    const params = new URLSearchParams(location?.search || '');
+
+    if (parts[0] === 'consent') {
+        return { ...HOME_ROUTE, view: 'consent', consentId: parts[1] || null };
+    }
+
+    if (parts[0] === 'users') {
+        return { ...HOME_ROUTE, view: 'users' };
+    }
+
+    if (parts[0] === 'clients' && parts[1] && parts[2] === 'analytics') {
+        return { ...HOME_ROUTE, view: 'client', tab: 'analytics', clientId: parts[1] };
+    }
+
+    if (parts[0] === 'clients' && parts[1]) {
+        return {
+            ...HOME_ROUTE,
+            view: 'client',
+            clientId: parts[1],
+            formId: parts[2] === 'forms' && parts[3] ? parts[3] : null,
+            from: params.get('from') || '',
+            to: params.get('to') || '',
+            q: params.get('q') || '',
+        };
+    }
+
+    return HOME_ROUTE;
+}
+
+export function buildPath(route) {
+    if (route?.view === 'consent') {
+        return route.consentId ? `/consent/${encodeURIComponent(route.consentId)}` : '/consent';
+    }
+
+    if (route?.view === 'users') return '/users';
+
+    if (route?.view === 'client' && route.clientId) {
+        let path = `/clients/${encodeURIComponent(route.clientId)}`;
+        if (route.tab === 'analytics') return `${path}/analytics`;
+        if (route.formId) path += `/forms/${encodeURIComponent(route.formId)}`;
+        const params = new URLSearchParams();
+        if (route.from) params.set('from', route.from);
+        if (route.to) params.set('to', route.to);
+        if (route.q) params.set('q', route.q);
+        const query = params.toString();
+        return query ? `${path}?${query}` : path;
+    }
+
+    return '/';
+}
+
+// Ids come back from the API as numbers but from the URL as strings
+export function sameId(a, b) {
+    return a != null && b != null && String(a) === String(b);
+}
@@ -0,0 +1,36 @@
+import { parseRoute, buildPath, sameId, HOME_ROUTE } from './routes';
+
+test('parses home and unknown paths as home', () => {
+    expect(parseRoute({ pathname: '/', search: '' })).toEqual(HOME_ROUTE);
+    expect(parseRoute({ pathname: '/nope', search: '' })).toEqual(HOME_ROUTE);
+    expect(parseRoute({ pathname: '/clients/%E0', search: '' })).toEqual(HOME_ROUTE);
+});
+
+test('parses client and form routes with date filters', () => {
+    const route = parseRoute({ pathname: '/clients/12/forms/34', search: '?from=2026-03-01&to=2026-03-31&q=jane' });
+    expect(route).toMatchObject({ view: 'client', clientId: '12', formId: '34', from: '2026-03-01', to: '2026-03-31', q: 'jane' });
+    expect(parseRoute({ pathname: '/clients/12', search: '' })).toMatchObject({ view: 'client', clientId: '12', formId: null });
+});
+
+test('parses the client analytics tab', () => {
+    expect(parseRoute({ pathname: '/clients/12/analytics', search: '' })).toMatchObject({ view: 'client', tab: 'analytics', clientId: '12' });
+    expect(parseRoute({ pathname: '/clients/12', search: '' })).toMatchObject({ tab: 'submissions' });
+});
+
+test('parses consent routes', () => {
+    expect(parseRoute({ pathname: '/consent', search: '' })).toMatchObject({ view: 'consent', consentId: null });
+    expect(parseRoute({ pathname: '/consent/9', search: '' })).toMatchObject({ view: 'consent', consentId: '9' });
+});
+
+test('buildPath round-trips through parseRoute', () => {
+    const paths = ['/', '/consent', '/consent/9', '/clients/12', '/clients/12/forms/34?from=2026-03-01&to=2026-03-31', '/clients/12?q=roof+quote', '/clients/12/analytics', '/users'];
+    paths.forEach((path) => {
+        const [pathname, search = ''] = path.split('?');
+        expect(buildPath(parseRoute({ pathname, search: search ? `?${search}` : '' }))).toBe(path);
+    });
+});
+
+test('sameId compares numbers and strings', () => {
+    expect(sameId(12, '12')).toBe(true);
+    expect(sameId(null, 'null')).toBe(false);
+});
@@ -0,0 +1,82 @@
+// ── Session lifetime ──────────────────────────────────────────
+// The JWT's `exp` claim drives expiry warnings and refresh; user activity
+// (shared across tabs through localStorage) drives the idle timeout.
+
+export const LAST_ACTIVITY_KEY = 'lastActivity';
+
+// Warn (and try a silent refresh) this long before the token lapses
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+// Warn this long before signing out an idle session
+export const IDLE_WARNING_MS = 60 * 1000;
+
+// REACT_APP_IDLE_TIMEOUT_MINUTES=0 disables the idle timeout
+const idleMinutes = Number(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES ?? 30);
+export const IDLE_TIMEOUT_MS = Number.isFinite(idleMinutes) && idleMinutes > 0 ? idleMinutes * 60 * 1000 : 0;
+
+export const LOGOUT_NOTICES = {
+    expired: 'Your session expired. Please sign in again.',
+    idle: 'You were signed out after a period of inactivity.',
+    reset: 'Your password has been updated. Sign in with your new password.',
+};
+
+// Payload of a JWT, or null when it isn't one
+export function decodeToken(token) {
+    const part = String(token || '').split('.')[1];
+    if (!part) return null;
+    try {
+        const base64 = part.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(part.length / 4) * 4, '=');
+        const json = decodeURIComponent(
+            atob(base64).split('').map((c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+        );
+        const payload = JSON.parse(json);
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+// Expiry in ms since epoch, or null for tokens without an `exp` claim
+export function tokenExpiresAt(token) {
+    const exp = Number(decodeToken(token)?.exp);
+    return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
+
+export function isTokenExpired(token, now = Date.now()) {
+    const expiresAt = tokenExpiresAt(token);
+    return expiresAt !== null && expiresAt <= now;
+}
+
+// The stored token if it is still usable; an expired one is cleared
+export function readStoredToken(now = Date.now()) {
+    const token = localStorage.getItem('token');
+    if (token && isTokenExpired(token, now)) {
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        return null;
+    }
+    return token;
+}
+
+export function markActivity(now = Date.now()) {
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+}
+
+export function lastActivity() {
+    return Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+}
+
+// What the session needs right now: { action: 'logout', reason } when it is
+// over, a { warning } with ms remaining when one is due, and `refresh` once
+// the expiry window opens.
+export function sessionStatus({ expiresAt, lastActiveAt, now = Date.now(), idleTimeout = IDLE_TIMEOUT_MS }) {
+    if (expiresAt !== null && now >= expiresAt) return { action: 'logout', reason: 'expired' };
+    const idleLeft = idleTimeout ? lastActiveAt + idleTimeout - now : Infinity;
+    if (idleLeft <= 0) return { action: 'logout', reason: 'idle' };
+
+    const expiryLeft = expiresAt !== null ? expiresAt - now : Infinity;
+    const status = { refresh: expiryLeft <= EXPIRY_WARNING_MS, warning: null };
+    if (idleLeft <= IDLE_WARNING_MS && idleLeft <= expiryLeft) status.warning = { reason: 'idle', remaining: idleLeft };
+    else if (expiryLeft <= EXPIRY_WARNING_MS) status.warning = { reason: 'expired', remaining: expiryLeft };
+    return status;
+}
@@ -0,0 +1,46 @@
+import {
+    decodeToken, tokenExpiresAt, isTokenExpired, markActivity, lastActivity, sessionStatus, EXPIRY_WARNING_MS, IDLE_WARNING_MS,
+} from './session';
+
+const base64url = (obj) => btoa(JSON.stringify(obj)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const jwt = (payload) => `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url(payload)}.signature`;
+
+test('decodeToken reads the JWT payload and rejects anything else', () => {
+    expect(decodeToken(jwt({ id: 7, name: 'Zoe' }))).toEqual({ id: 7, name: 'Zoe' });
+    expect(decodeToken('not-a-jwt')).toBe(null);
+    expect(decodeToken(null)).toBe(null);
+});
+
+test('tokenExpiresAt and isTokenExpired use the exp claim', () => {
+    const token = jwt({ exp: 1000 });
+    expect(tokenExpiresAt(token)).toBe(1000000);
+    expect(isTokenExpired(token, 999999)).toBe(false);
+    expect(isTokenExpired(token, 1000000)).toBe(true);
+    expect(isTokenExpired(jwt({ id: 1 }), Date.now())).toBe(false);
+});
+
+test('sessionStatus signs out, refreshes and warns at the right times', () => {
+    const now = 10_000_000;
+    const idleTimeout = 30 * 60 * 1000;
+    const active = { lastActiveAt: now, now, idleTimeout };
+
+    expect(sessionStatus({ ...active, expiresAt: now })).toEqual({ action: 'logout', reason: 'expired' });
+    expect(sessionStatus({ ...active, expiresAt: null, lastActiveAt: now - idleTimeout })).toEqual({ action: 'logout', reason: 'idle' });
+    expect(sessionStatus({ ...active, expiresAt: now + EXPIRY_WARNING_MS * 2 })).toEqual({ refresh: false, warning: null });
+
+    const expiring = sessionStatus({ ...active, expiresAt: now + 60000 });
+    expect(expiring).toEqual({ refresh: true, warning: { reason: 'expired', remaining: 60000 } });
+
+    const idling = sessionStatus({ ...active, expiresAt: null, lastActiveAt: now - idleTimeout + IDLE_WARNING_MS });
+    expect(idling.warning).toEqual({ reason: 'idle', remaining: IDLE_WARNING_MS });
+    expect(sessionStatus({ ...active, expiresAt: null, idleTimeout: 0, lastActiveAt: 0 }).warning).toBe(null);
+});
+
+test('a stored session idle past the timeout signs out when the app opens again', () => {
+    const now = 10_000_000;
+    const idleTimeout = 30 * 60 * 1000;
+    markActivity(now - idleTimeout - 1000);
+    expect(sessionStatus({ expiresAt: null, lastActiveAt: lastActivity(), now, idleTimeout }))
+        .toEqual({ action: 'logout', reason: 'idle' });
+    localStorage.clear();
+});
@@ -0,0 +1,203 @@
+import { leadStatusOf } from './leadStatus';
+
+// ── Spam scoring & quarantine ─────────────────────────────────
+// Each submission gets a 0–100 score from heuristics; at SPAM_THRESHOLD it
+// lands in the client's Spam bucket, which stats and exports skip.
+// A manual verdict (`spam: true | false` on the submission, or the 'spam'
+// lead status) always wins, then the client's allow/deny lists.
+//
+// Per-client rules, as stored by the API:
+//   { allow: [email | domain], deny: [email | domain],
+//     learned: { spam: [email | domain], ham: [email] } }
+// `learned` is filled in by mark-as-spam / not-spam.
+
+export const SPAM_THRESHOLD = 50;
+
+export const EMPTY_SPAM_RULES = { allow: [], deny: [], learned: { spam: [], ham: [] } };
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const LINK = /(https?:\/\/|www\.)\S+/gi;
+const HONEYPOT_KEY = /honeypot|gotcha|^hp([_-]|$)|leave.*(blank|empty)/i;
+
+const DISPOSABLE_DOMAINS = new Set([
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', '10minutemail.com', 'tempmail.com', 'temp-mail.org',
+    'yopmail.com', 'trashmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com', 'maildrop.cc',
+    'throwawaymail.com', 'fakeinbox.com', 'mintemail.com', 'emailondeck.com',
+]);
+
+// Shared by unrelated senders, so never learned as a whole domain
+const FREEMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com',
+]);
+
+const uniq = (list) => [...new Set(list)];
+const cleanList = (list) => (Array.isArray(list) ? uniq(list.map((v) => String(v).trim().toLowerCase()).filter(Boolean)) : []);
+
+export function normalizeSpamRules(data) {
+    return {
+        allow: cleanList(data?.allow),
+        deny: cleanList(data?.deny),
+        learned: { spam: cleanList(data?.learned?.spam), ham: cleanList(data?.learned?.ham) },
+    };
+}
+
+// "a@x.com\n  x.org, " → ['a@x.com', 'x.org']
+export function parseRuleList(text) {
+    return cleanList(String(text || '').split(/[\s,;]+/));
+}
+
+// ── Submission fields ──
+export function senderEmail(sub) {
+    const entries = Object.entries(sub?.submission_data || {});
+    const isEmail = (v) => EMAIL.test(String(v ?? '').trim());
+    const found = entries.find(([k, v]) => /e-?mail/i.test(k) && isEmail(v)) || entries.find(([, v]) => isEmail(v));
+    return found ? String(found[1]).trim().toLowerCase() : '';
+}
+
+export function emailDomain(email) {
+    return String(email || '').split('@')[1] || '';
+}
+
+// Matches the address itself, its domain, or a parent domain
+function inList(list, email) {
+    if (!email) return false;
+    const domain = emailDomain(email);
+    return list.some((entry) => entry === email || entry === domain || domain.endsWith(`.${entry}`));
+}
+
+// Keyboard mash like "xkqzplm" or "QwErTyUiOp"
+export function looksGibberish(text) {
+    return String(text || '').split(/\s+/).some((word) => {
+        if (!/^[a-z]{6,}$/i.test(word)) return false;
+        const caseFlips = (word.match(/[a-z][A-Z]|[A-Z][a-z]/g) || []).length;
+        return !/[aeiouy]/i.test(word) || /[^aeiouy]{6,}/i.test(word) || caseFlips >= 4;
+    });
+}
+
+function nameText(sub) {
+    return Object.entries(sub?.submission_data || {})
+        .filter(([k]) => /name/i.test(k) && !/company|business|organi[sz]ation/i.test(k))
+        .map(([, v]) => String(v ?? ''))
+        .join(' ');
+}
+
+// The longest free-text value, normalized, as the "body" for duplicate checks
+function bodyText(sub) {
+    const values = Object.values(sub?.submission_data || {}).map((v) => String(v ?? '').trim().toLowerCase().replace(/\s+/g, ' '));
+    const longest = values.reduce((a, b) => (b.length > a.length ? b : a), '');
+    return longest.length >= 20 ? longest : '';
+}
+
+// body → number of submissions sending it
+export function bodyCounts(subs) {
+    const counts = new Map();
+    for (const sub of subs) {
+        const body = bodyText(sub);
+        if (body) counts.set(body, (counts.get(body) || 0) + 1);
+    }
+    return counts;
+}
+
+// ── Scoring ──
+// → { score, reasons: [{ label, weight }], quarantined, verdict }
+// verdict: 'marked' | 'allowed' | 'denied' | 'score'
+export function spamReport(sub, { rules = EMPTY_SPAM_RULES, bodies } = {}) {
+    const data = sub?.submission_data || {};
+    const reasons = [];
+    const add = (label, weight) => reasons.push({ label, weight });
+
+    const text = Object.values(data).map((v) => String(v ?? '')).join('\n');
+    const links = (text.match(LINK) || []).length;
+    if (links >= 3) add(`${links} links`, 30);
+    else if (links > 0) add(links === 1 ? '1 link' : `${links} links`, 10);
+
+    if (looksGibberish(nameText(sub))) add('Gibberish name', 25);
+
+    const email = senderEmail(sub);
+    const domain = emailDomain(email);
+    if (DISPOSABLE_DOMAINS.has(domain)) add(`Disposable email domain (${domain})`, 35);
+
+    const body = bodyText(sub);
+    const repeats = body && bodies ? (bodies.get(body) || 0) : 0;
+    if (repeats > 1) add(`Same message as ${repeats - 1} other ${repeats === 2 ? 'submission' : 'submissions'}`, 25);
+
+    const honeypot = Object.keys(data).find((k) => HONEYPOT_KEY.test(k) && String(data[k] ?? '').trim());
+    if (honeypot) add(`Hidden field "${honeypot}" was filled in`, 60);
+
+    if (inList(rules.learned.spam, email)) add('Sender was marked as spam before', 40);
+    if (inList(rules.learned.ham, email)) add('Sender was marked as not spam before', -40);
+
+    const score = Math.max(0, Math.min(100, reasons.reduce((sum, r) => sum + r.weight, 0)));
+    const result = (quarantined, verdict) => ({ score, reasons, quarantined, verdict });
+
+    if (typeof sub?.spam === 'boolean') return result(sub.spam, 'marked');
+    if (leadStatusOf(sub) === 'spam') return result(true, 'marked');
+    if (inList(rules.allow, email)) return result(false, 'allowed');
+    if (inList(rules.deny, email)) return result(true, 'denied');
+    return result(score >= SPAM_THRESHOLD, 'score');
+}
+
+// Why a report landed where it did, when it wasn't the score alone
+export function spamVerdictLabel(report) {
+    switch (report.verdict) {
+        case 'marked': return report.quarantined ? 'Marked as spam' : 'Marked as not spam';
+        case 'allowed': return 'Sender is on the allow list';
+        case 'denied': return 'Sender is on the deny list';
+        default: return '';
+    }
+}
+
+// → { inbox, quarantined, reports: Map(id → report) }
+export function splitQuarantine(subs, rules) {
+    const bodies = bodyCounts(subs);
+    const reports = new Map();
+    const inbox = [];
+    const quarantined = [];
+    for (const sub of subs) {
+        const report = spamReport(sub, { rules, bodies });
+        reports.set(sub.id, report);
+        (report.quarantined ? quarantined : inbox).push(sub);
+    }
+    return { inbox, quarantined, reports };
+}
+
+// splitQuarantine for a list spanning clients (Home, live updates): each
+// client's submissions are scored with its own rules.
+// rulesByClient: String(client id) → rules; clients without an entry get none
+export function splitQuarantineByClient(subs, rulesByClient) {
+    const byClient = new Map();
+    for (const sub of subs) {
+        const key = String(sub.client_id);
+        if (!byClient.has(key)) byClient.set(key, []);
+        byClient.get(key).push(sub);
+    }
+    const reports = new Map();
+    byClient.forEach((list, key) => {
+        splitQuarantine(list, rulesByClient[key]).reports.forEach((report, id) => reports.set(id, report));
+    });
+    const inbox = [];
+    const quarantined = [];
+    for (const sub of subs) (reports.get(sub.id).quarantined ? quarantined : inbox).push(sub);
+    return { inbox, quarantined, reports };
+}
+
+// ── Verdicts ──
+export function withSpamVerdict(sub, spam) {
+    return { ...sub, spam };
+}
+
+// Mark-as-spam remembers the sender (and their domain, unless it's a shared
+// webmail one); not-spam remembers the address and forgets both.
+export function learnVerdict(rules, subs, spam) {
+    const emails = uniq(subs.map(senderEmail).filter(Boolean));
+    const domains = uniq(emails.map(emailDomain).filter((d) => d && !FREEMAIL_DOMAINS.has(d)));
+    const learned = rules.learned;
+    const next = spam
+        ? { spam: uniq([...learned.spam, ...emails, ...domains]), ham: learned.ham.filter((e) => !emails.includes(e)) }
+        : {
+            spam: learned.spam.filter((e) => !emails.includes(e) && !domains.includes(e)),
+            ham: uniq([...learned.ham, ...emails]),
+        };
+    return { ...rules, learned: next };
+}
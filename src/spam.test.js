@@ -0,0 +1,82 @@
+import {
+    SPAM_THRESHOLD, EMPTY_SPAM_RULES, normalizeSpamRules, parseRuleList, senderEmail, looksGibberish, spamReport,
+    splitQuarantine, splitQuarantineByClient, learnVerdict,
+} from './spam';
+
+const sub = (id, data, extra = {}) => ({ id, submission_data: data, ...extra });
+
+test('senderEmail prefers email-like fields', () => {
+    expect(senderEmail(sub(1, { Name: 'Ana', 'Email Address': ' Ana@Example.com ' }))).toBe('ana@example.com');
+    expect(senderEmail(sub(1, { Contact: 'bo@example.org' }))).toBe('bo@example.org');
+    expect(senderEmail(sub(1, { Name: 'Ana' }))).toBe('');
+});
+
+test('looksGibberish catches keyboard mash but not real names', () => {
+    expect(looksGibberish('xkqzplm')).toBe(true);
+    expect(looksGibberish('QwErTyUiOp')).toBe(true);
+    expect(looksGibberish('Ana McDonald')).toBe(false);
+    expect(looksGibberish('Schwartz')).toBe(false);
+});
+
+test('spamReport adds up heuristics', () => {
+    const clean = spamReport(sub(1, { Name: 'Ana Lopez', Email: 'ana@example.com', Message: 'Can you quote a roof repair?' }));
+    expect(clean.score).toBe(0);
+    expect(clean.quarantined).toBe(false);
+
+    const bot = spamReport(sub(2, {
+        Name: 'xkqzplm', Email: 'x@mailinator.com', Message: 'Cheap pills http://a.test http://b.test www.c.test',
+    }));
+    expect(bot.score).toBe(90);
+    expect(bot.quarantined).toBe(true);
+    expect(bot.reasons.map((r) => r.label)).toEqual(['3 links', 'Gibberish name', 'Disposable email domain (mailinator.com)']);
+
+    const honeypot = spamReport(sub(3, { Email: 'a@b.com', hp_website: 'x' }));
+    expect(honeypot.score).toBeGreaterThanOrEqual(SPAM_THRESHOLD);
+});
+
+test('duplicate bodies count against every copy', () => {
+    const message = 'Hello, we offer SEO services for your website today';
+    const { inbox, quarantined, reports } = splitQuarantine([
+        sub(1, { Message: message }), sub(2, { Message: message }), sub(3, { Message: message }), sub(4, { Message: 'Different' }),
+    ], EMPTY_SPAM_RULES);
+    expect(reports.get(1).reasons[0].label).toBe('Same message as 2 other submissions');
+    expect(inbox.map((s) => s.id)).toEqual([1, 2, 3, 4]);
+    expect(quarantined).toEqual([]);
+});
+
+test('manual verdicts and allow/deny lists win over the score', () => {
+    const bot = { Name: 'xkqzplm', Email: 'x@mailinator.com', Message: 'http://a.test' };
+    const rules = normalizeSpamRules({ allow: ['Mailinator.com'], deny: ['spammer.biz'] });
+    expect(spamReport(sub(1, bot), { rules })).toMatchObject({ quarantined: false, verdict: 'allowed' });
+    expect(spamReport(sub(1, bot, { spam: false }))).toMatchObject({ quarantined: false, verdict: 'marked' });
+    expect(spamReport(sub(2, { Email: 'a@mail.spammer.biz' }), { rules })).toMatchObject({ quarantined: true, verdict: 'denied' });
+    expect(spamReport(sub(3, {}, { status: 'spam' })).quarantined).toBe(true);
+    expect(spamReport(sub(3, {}, { status: 'spam', spam: false })).quarantined).toBe(false);
+});
+
+test('splitQuarantineByClient scores each client with its own rules', () => {
+    const rulesByClient = { 1: normalizeSpamRules({ deny: ['spammer.biz'] }) };
+    const subs = [
+        sub(1, { Email: 'a@spammer.biz' }, { client_id: 1 }),
+        sub(2, { Email: 'b@spammer.biz' }, { client_id: 2 }),
+        sub(3, { Email: 'c@example.com' }, { client_id: 1 }),
+    ];
+    const { inbox, quarantined, reports } = splitQuarantineByClient(subs, rulesByClient);
+    expect(quarantined.map((s) => s.id)).toEqual([1]);
+    expect(inbox.map((s) => s.id)).toEqual([2, 3]);
+    expect(reports.get(1).verdict).toBe('denied');
+});
+
+test('learnVerdict remembers senders; webmail domains are never learned', () => {
+    const subs = [sub(1, { Email: 'a@spam.biz' }), sub(2, { Email: 'b@gmail.com' })];
+    const learned = learnVerdict(EMPTY_SPAM_RULES, subs, true);
+    expect(learned.learned.spam).toEqual(['a@spam.biz', 'b@gmail.com', 'spam.biz']);
+    expect(spamReport(sub(3, { Email: 'c@spam.biz' }), { rules: learned }).reasons[0].weight).toBe(40);
+
+    const forgiven = learnVerdict(learned, [subs[0]], false);
+    expect(forgiven.learned).toEqual({ spam: ['b@gmail.com'], ham: ['a@spam.biz'] });
+});
+
+test('parseRuleList splits on whitespace, commas and semicolons', () => {
+    expect(parseRuleList('a@x.com\n  X.org, ; x.org')).toEqual(['a@x.com', 'x.org']);
+});
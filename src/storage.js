@@ -0,0 +1,23 @@
+// ── Per-scope localStorage helpers ────────────────────────────
+// UI preferences (saved filter views, column layouts) are stored as one JSON
+// object per feature, keyed by scope: `form:<id>` or `client:<id>` (All Forms).
+
+export function loadScoped(storeKey, scope, fallback) {
+    try {
+        const all = JSON.parse(localStorage.getItem(storeKey) || '{}');
+        return all[scope] ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+export function saveScoped(storeKey, scope, value) {
+    try {
+        const all = JSON.parse(localStorage.getItem(storeKey) || '{}');
+        if (value === undefined) delete all[scope];
+        else all[scope] = value;
+        localStorage.setItem(storeKey, JSON.stringify(all));
+    } catch {
+        // storage full or unavailable — the preference just won't persist
+    }
+}
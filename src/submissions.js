@@ -0,0 +1,144 @@
+import { leadStatusRank } from './leadStatus';
+import { assigneeOf } from './annotations';
+
+// ── Submission list helpers (paging + sorting) ────────────────
+
+export const SUBMISSIONS_PAGE_SIZE = 100;
+
+// Gravity Forms sends a compound "Name" field; the table splits it in two
+export function splitName(fullName) {
+    const raw = String(fullName || '').trim();
+    if (!raw) return { first: '', last: '' };
+    const parts = raw.split(/\s+/);
+    if (parts.length === 1) return { first: parts[0], last: '' };
+    return { first: parts[0], last: parts.slice(1).join(' ') };
+}
+
+export const DEFAULT_SORT = { key: 'submitted_at', dir: 'desc' };
+
+// The API may return a bare array (everything at once) or a page object
+// { submissions, total, nextCursor }. Normalize both to one shape.
+export function normalizeSubmissionPage(data, offset = 0) {
+    if (Array.isArray(data)) {
+        return { rows: data, total: offset + data.length, nextCursor: null, hasMore: false };
+    }
+    const rows = Array.isArray(data?.submissions) ? data.submissions : Array.isArray(data?.data) ? data.data : [];
+    const total = Number(data?.total ?? offset + rows.length);
+    const nextCursor = data?.nextCursor ?? data?.next_cursor ?? null;
+    const hasMore = data?.hasMore ?? data?.has_more ?? (nextCursor !== null || offset + rows.length < total);
+    return { rows, total, nextCursor, hasMore: Boolean(hasMore) && rows.length > 0 };
+}
+
+// Sort keys: 'submitted_at', 'form_name', 'status', 'assignee', or
+// 'data:<submission_data key>'.
+// The server sorts pages with the same key; sorting the loaded rows again
+// keeps legacy array responses and appended pages consistent.
+export function sortParam(sort) {
+    return sort.key.startsWith('data:') ? `submission_data.${sort.key.slice(5)}` : sort.key;
+}
+
+function sortValue(sub, key) {
+    if (key === 'submitted_at') return new Date(sub?.submitted_at).getTime() || 0;
+    if (key === 'form_name') return String(sub?.form_name ?? '').toLowerCase();
+    if (key === 'status') return leadStatusRank(sub);
+    if (key === 'assignee') return String(assigneeOf(sub)?.name ?? '').toLowerCase();
+    if (key.startsWith('data:')) {
+        const val = sub?.submission_data?.[key.slice(5)];
+        return val == null ? '' : String(val).toLowerCase();
+    }
+    return '';
+}
+
+export function sortSubmissions(rows, sort) {
+    if (!sort?.key) return rows;
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const av = sortValue(a, sort.key);
+        const bv = sortValue(b, sort.key);
+        if (typeof av === 'number' && typeof bv === 'number') return (av - bv) * dir;
+        return String(av).localeCompare(String(bv), undefined, { numeric: true }) * dir;
+    });
+}
+
+export function nextSort(current, key) {
+    if (current.key !== key) return { key, dir: key === 'submitted_at' ? 'desc' : 'asc' };
+    return { key, dir: current.dir === 'asc' ? 'desc' : 'asc' };
+}
+
+// Appending a page can overlap the previous one when new rows arrive
+// between requests — keep the first copy of each id.
+export function mergeSubmissionPages(prev, rows) {
+    const seen = new Set(prev.map((s) => s.id));
+    return [...prev, ...rows.filter((s) => !seen.has(s.id))];
+}
+
+// ── Full-text search ──────────────────────────────────────────
+
+// Whitespace-separated terms; every term must appear somewhere in the row
+export function searchTerms(query) {
+    return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+export function matchesSearch(sub, terms, { includeFormName = false } = {}) {
+    if (!terms.length) return true;
+    const values = Object.values(sub?.submission_data || {}).map((v) => String(v ?? ''));
+    if (includeFormName) values.push(String(sub?.form_name ?? ''));
+    const haystack = values.join('\n').toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+}
+
+export function escapeRegExp(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ── Column filters ────────────────────────────────────────────
+// A filter is { id, key, op, value } against one submission_data key;
+// every filter must match (AND).
+
+export const FILTER_OPERATORS = [
+    { op: 'equals', label: 'equals', needsValue: true },
+    { op: 'not_equals', label: 'does not equal', needsValue: true },
+    { op: 'contains', label: 'contains', needsValue: true },
+    { op: 'not_contains', label: 'does not contain', needsValue: true },
+    { op: 'in', label: 'is in list', needsValue: true },
+    { op: 'not_in', label: 'is not in list', needsValue: true },
+    { op: 'empty', label: 'is empty', needsValue: false },
+    { op: 'not_empty', label: 'is not empty', needsValue: false },
+];
+
+export function operatorNeedsValue(op) {
+    return FILTER_OPERATORS.find((o) => o.op === op)?.needsValue ?? true;
+}
+
+// "TN, MS" → ['tn', 'ms']
+function listValues(value) {
+    return String(value || '').split(',').map((v) => v.trim().toLowerCase()).filter(Boolean);
+}
+
+export function matchesFilter(sub, filter) {
+    const cell = String(sub?.submission_data?.[filter.key] ?? '').trim().toLowerCase();
+    const value = String(filter.value ?? '').trim().toLowerCase();
+    switch (filter.op) {
+        case 'equals': return cell === value;
+        case 'not_equals': return cell !== value;
+        case 'contains': return cell.includes(value);
+        case 'not_contains': return !cell.includes(value);
+        case 'in': return listValues(filter.value).includes(cell);
+        case 'not_in': return !listValues(filter.value).includes(cell);
+        case 'empty': return cell === '';
+        case 'not_empty': return cell !== '';
+        default: return true;
+    }
+}
+
+// Half-built filters (no column, or a value operator with no value yet) are ignored
+export function isFilterComplete(filter) {
+    if (!filter?.key || !filter.op) return false;
+    return !operatorNeedsValue(filter.op) || String(filter.value ?? '').trim() !== '';
+}
+
+export function applyColumnFilters(rows, filters) {
+    const active = (filters || []).filter(isFilterComplete);
+    if (!active.length) return rows;
+    return rows.filter((sub) => active.every((f) => matchesFilter(sub, f)));
+}
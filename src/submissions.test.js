@@ -0,0 +1,56 @@
+import {
+    normalizeSubmissionPage, sortSubmissions, nextSort, mergeSubmissionPages, searchTerms, matchesSearch,
+    applyColumnFilters,
+} from './submissions';
+
+test('normalizes bare arrays and page objects', () => {
+    expect(normalizeSubmissionPage([{ id: 1 }])).toEqual({ rows: [{ id: 1 }], total: 1, nextCursor: null, hasMore: false });
+    expect(normalizeSubmissionPage({ submissions: [{ id: 1 }], total: 5 }, 0)).toMatchObject({ total: 5, hasMore: true });
+    expect(normalizeSubmissionPage({ submissions: [{ id: 5 }], total: 5 }, 4)).toMatchObject({ hasMore: false });
+    expect(normalizeSubmissionPage({ submissions: [{ id: 1 }], nextCursor: 'abc' })).toMatchObject({ nextCursor: 'abc', hasMore: true });
+});
+
+test('sorts by date, form name and data keys', () => {
+    const rows = [
+        { id: 1, submitted_at: '2026-01-02', form_name: 'b', submission_data: { Zip: '10' } },
+        { id: 2, submitted_at: '2026-01-03', form_name: 'a', submission_data: { Zip: '9' } },
+    ];
+    expect(sortSubmissions(rows, { key: 'submitted_at', dir: 'desc' }).map((r) => r.id)).toEqual([2, 1]);
+    expect(sortSubmissions(rows, { key: 'form_name', dir: 'asc' }).map((r) => r.id)).toEqual([2, 1]);
+    expect(sortSubmissions(rows, { key: 'data:Zip', dir: 'asc' }).map((r) => r.id)).toEqual([2, 1]);
+});
+
+test('nextSort toggles direction on the same key', () => {
+    expect(nextSort({ key: 'submitted_at', dir: 'desc' }, 'submitted_at')).toEqual({ key: 'submitted_at', dir: 'asc' });
+    expect(nextSort({ key: 'submitted_at', dir: 'desc' }, 'data:Email')).toEqual({ key: 'data:Email', dir: 'asc' });
+});
+
+test('mergeSubmissionPages drops overlapping rows', () => {
+    expect(mergeSubmissionPages([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }]).map((r) => r.id)).toEqual([1, 2, 3]);
+});
+
+test('matchesSearch requires every term across fields', () => {
+    const sub = { form_name: 'Quote Request', submission_data: { Email: 'jane@example.com', Message: 'Need a roof quote' } };
+    expect(matchesSearch(sub, searchTerms('JANE roof'))).toBe(true);
+    expect(matchesSearch(sub, searchTerms('jane siding'))).toBe(false);
+    expect(matchesSearch(sub, searchTerms('request'))).toBe(false);
+    expect(matchesSearch(sub, searchTerms('request'), { includeFormName: true })).toBe(true);
+    expect(matchesSearch(sub, searchTerms('  '))).toBe(true);
+});
+
+test('applyColumnFilters ANDs complete filters and skips half-built ones', () => {
+    const rows = [
+        { id: 1, submission_data: { Service: 'Roofing', State: 'TN', Phone: '555' } },
+        { id: 2, submission_data: { Service: 'roofing', State: 'GA', Phone: '556' } },
+        { id: 3, submission_data: { Service: 'Siding', State: 'MS', Phone: '' } },
+    ];
+    const filters = [
+        { id: 'a', key: 'Service', op: 'equals', value: 'Roofing' },
+        { id: 'b', key: 'State', op: 'in', value: 'TN, MS' },
+        { id: 'c', key: 'Phone', op: 'not_empty', value: '' },
+        { id: 'd', key: 'State', op: 'contains', value: '' },
+    ];
+    expect(applyColumnFilters(rows, filters).map((r) => r.id)).toEqual([1]);
+    expect(applyColumnFilters(rows, [{ key: 'Phone', op: 'empty' }]).map((r) => r.id)).toEqual([3]);
+    expect(applyColumnFilters(rows, []).length).toBe(3);
+});
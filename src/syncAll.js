@@ -0,0 +1,40 @@
+// ── Sync all clients ──────────────────────────────────────────
+// Runs one sync per client, a few at a time, so dozens of sites don't hit
+// the API (and each other's WordPress hosts) at once.
+
+export const SYNC_ALL_CONCURRENCY = 3;
+
+// Calls worker(item, index) for every item with at most `limit` in flight.
+// Once `signal` aborts no new items start; ones in flight are left to finish
+// (or to observe the signal themselves).
+export async function runPool(items, limit, worker, signal) {
+    let next = 0;
+    const lane = async () => {
+        while (next < items.length && !signal?.aborted) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane));
+}
+
+// status: 'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+export function initialSyncRows(clients) {
+    return clients.map((c) => ({ id: c.id, name: c.name, status: 'queued', synced: 0, skipped: 0, error: '' }));
+}
+
+export function syncAllSummary(rows) {
+    const by = (status) => rows.filter((r) => r.status === status).length;
+    const finished = by('done') + by('failed') + by('cancelled');
+    return {
+        total: rows.length,
+        finished,
+        done: by('done'),
+        failed: by('failed'),
+        cancelled: by('cancelled'),
+        running: by('running'),
+        synced: rows.reduce((n, r) => n + r.synced, 0),
+        skipped: rows.reduce((n, r) => n + r.skipped, 0),
+        complete: rows.length > 0 && finished === rows.length,
+    };
+}
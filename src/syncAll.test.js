@@ -0,0 +1,38 @@
+import { runPool, initialSyncRows, syncAllSummary } from './syncAll';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('runPool never exceeds the concurrency limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const seen = [];
+    await runPool([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await tick();
+        seen.push(item);
+        inFlight--;
+    });
+    expect(peak).toBe(3);
+    expect(seen.sort()).toEqual([1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('runPool starts nothing new after abort', async () => {
+    const controller = new AbortController();
+    const started = [];
+    await runPool([1, 2, 3, 4, 5], 2, async (item) => {
+        started.push(item);
+        if (item === 2) controller.abort();
+        await tick();
+    }, controller.signal);
+    expect(started).toEqual([1, 2]);
+});
+
+test('syncAllSummary totals the rows', () => {
+    const rows = initialSyncRows([{ id: 1, name: 'A' }, { id: 2, name: 'B' }, { id: 3, name: 'C' }]);
+    expect(syncAllSummary(rows)).toMatchObject({ total: 3, finished: 0, complete: false });
+    rows[0] = { ...rows[0], status: 'done', synced: 4, skipped: 1 };
+    rows[1] = { ...rows[1], status: 'failed', error: 'timeout' };
+    rows[2] = { ...rows[2], status: 'cancelled' };
+    expect(syncAllSummary(rows)).toMatchObject({ finished: 3, done: 1, failed: 1, synced: 4, skipped: 1, complete: true });
+});
@@ -0,0 +1,90 @@
+// ── Sync history ─────────────────────────────────────────────
+// One record per sync run, newest first. Runs come from the API as
+// { id, started_at, finished_at, duration_ms, triggered_by, trigger, status,
+//   synced, skipped, failed, error, forms: [{ form_id, form_name, synced, skipped, failed, error }] }.
+
+export const RUN_STATUSES = {
+    success: { label: 'Succeeded', tone: 'ok', icon: 'ph-check-circle' },
+    partial: { label: 'Partly failed', tone: 'warn', icon: 'ph-warning' },
+    failed: { label: 'Failed', tone: 'error', icon: 'ph-x-circle' },
+    running: { label: 'Running', tone: 'muted', icon: 'ph-circle-notch' },
+};
+
+const count = (n) => (Number.isFinite(Number(n)) ? Number(n) : 0);
+
+// Status from the counts when the API doesn't say: any error with nothing
+// synced is a failure, errors alongside synced rows a partial run
+export function runStatus(run) {
+    if (RUN_STATUSES[run?.status]) return run.status;
+    if (!run?.finished_at && !run?.duration_ms && !run?.error && run?.started_at) return 'running';
+    const failed = count(run?.failed) || (run?.forms || []).reduce((n, f) => n + count(f.failed), 0);
+    if (run?.error && !count(run.synced)) return 'failed';
+    return failed || run?.error ? 'partial' : 'success';
+}
+
+export function runDuration(run) {
+    if (Number.isFinite(Number(run?.duration_ms)) && run.duration_ms !== null) return Number(run.duration_ms);
+    const start = Date.parse(run?.started_at);
+    const end = Date.parse(run?.finished_at);
+    return Number.isFinite(start) && Number.isFinite(end) ? Math.max(0, end - start) : null;
+}
+
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined || !Number.isFinite(ms)) return '—';
+    if (ms < 1000) return `${Math.round(ms)}ms`;
+    const seconds = ms / 1000;
+    if (seconds < 60) return `${seconds < 10 ? seconds.toFixed(1) : Math.round(seconds)}s`;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}m ${Math.round(seconds % 60)}s`;
+}
+
+// Who started the run: a user, or the scheduler / plugin push
+export function runTrigger(run) {
+    const by = run?.triggered_by;
+    if (by && typeof by === 'object') return by.name || by.email || 'Unknown user';
+    if (typeof by === 'string' && by) return by;
+    if (run?.trigger === 'schedule') return 'Scheduled';
+    if (run?.trigger === 'webhook') return 'Plugin push';
+    return 'Unknown';
+}
+
+export function normalizeRun(run) {
+    return {
+        id: run.id,
+        startedAt: run.started_at,
+        status: runStatus(run),
+        trigger: runTrigger(run),
+        durationMs: runDuration(run),
+        synced: count(run.synced),
+        skipped: count(run.skipped),
+        failed: count(run.failed),
+        error: run.error || '',
+        forms: (run.forms || []).map((f) => ({
+            id: f.form_id ?? f.id,
+            name: f.form_name || 'Untitled form',
+            synced: count(f.synced),
+            skipped: count(f.skipped),
+            failed: count(f.failed),
+            error: f.error || '',
+        })),
+    };
+}
+
+// Headline numbers for the panel: success rate, last success and the
+// longest run of consecutive failures (a flaky site's tell)
+export function summarizeRuns(runs) {
+    const finished = runs.filter((r) => r.status !== 'running');
+    const ok = finished.filter((r) => r.status === 'success');
+    let streak = 0;
+    let longestFailStreak = 0;
+    for (const run of finished) {
+        streak = run.status === 'success' ? 0 : streak + 1;
+        longestFailStreak = Math.max(longestFailStreak, streak);
+    }
+    return {
+        runs: finished.length,
+        successRate: finished.length ? ok.length / finished.length : null,
+        lastSuccessAt: ok[0]?.startedAt || null,
+        longestFailStreak,
+    };
+}
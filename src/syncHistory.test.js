@@ -0,0 +1,37 @@
+import { runStatus, runDuration, formatDuration, runTrigger, normalizeRun, summarizeRuns } from './syncHistory';
+
+test('runStatus trusts the API, otherwise reads the counts', () => {
+    expect(runStatus({ status: 'failed', synced: 3 })).toBe('failed');
+    expect(runStatus({ finished_at: 'x', synced: 3 })).toBe('success');
+    expect(runStatus({ finished_at: 'x', synced: 0, error: 'timeout' })).toBe('failed');
+    expect(runStatus({ finished_at: 'x', synced: 2, forms: [{ failed: 1 }] })).toBe('partial');
+    expect(runStatus({ started_at: '2026-03-01T10:00:00Z' })).toBe('running');
+});
+
+test('durations come from duration_ms or the timestamps', () => {
+    expect(runDuration({ duration_ms: 1500 })).toBe(1500);
+    expect(runDuration({ started_at: '2026-03-01T10:00:00Z', finished_at: '2026-03-01T10:01:05Z' })).toBe(65000);
+    expect(runDuration({})).toBeNull();
+    expect(formatDuration(420)).toBe('420ms');
+    expect(formatDuration(2340)).toBe('2.3s');
+    expect(formatDuration(65000)).toBe('1m 5s');
+    expect(formatDuration(null)).toBe('—');
+});
+
+test('runTrigger names the user or the source', () => {
+    expect(runTrigger({ triggered_by: { name: 'Ana', email: 'a@x.io' } })).toBe('Ana');
+    expect(runTrigger({ trigger: 'schedule' })).toBe('Scheduled');
+    expect(runTrigger({})).toBe('Unknown');
+});
+
+test('summarizeRuns reports success rate and failure streaks', () => {
+    const runs = [
+        { status: 'success', started_at: 'd5' },
+        { status: 'failed', started_at: 'd4' },
+        { status: 'partial', started_at: 'd3' },
+        { status: 'failed', started_at: 'd2' },
+        { status: 'success', started_at: 'd1' },
+    ].map(normalizeRun);
+    expect(summarizeRuns(runs)).toEqual({ runs: 5, successRate: 0.4, lastSuccessAt: 'd5', longestFailStreak: 3 });
+    expect(summarizeRuns([]).successRate).toBeNull();
+});
@@ -0,0 +1,82 @@
+// ── Daily submission trends ───────────────────────────────────
+// Day keys are local-time 'YYYY-MM-DD' strings so buckets line up with the
+// dates users pick in <input type="date">.
+
+export function dayKey(date) {
+    const d = new Date(date);
+    if (Number.isNaN(d.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function parseDayKey(key) {
+    const [y, m, d] = String(key).split('-').map(Number);
+    return new Date(y, (m || 1) - 1, d || 1);
+}
+
+export function addDays(date, days) {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+}
+
+// Every day key from `from` to `to`, inclusive
+export function dayRange(from, to) {
+    const days = [];
+    const end = parseDayKey(dayKey(to));
+    for (let d = parseDayKey(dayKey(from)); d <= end; d = addDays(d, 1)) {
+        days.push(dayKey(d));
+    }
+    return days;
+}
+
+// `stats.dailyTrend` may be plain counts (oldest → today) or objects
+// like { date, count }. Normalize to [{ date: 'YYYY-MM-DD', count }].
+export function normalizeDailyTrend(trend) {
+    if (!Array.isArray(trend)) return [];
+    const today = new Date();
+    return trend.map((point, i) => {
+        if (typeof point === 'number' || typeof point === 'string') {
+            return { date: dayKey(addDays(today, i - trend.length + 1)), count: Number(point) || 0 };
+        }
+        const date = point?.date ?? point?.day ?? point?.submitted_on;
+        const count = point?.count ?? point?.total ?? point?.submissions ?? 0;
+        return { date: date ? dayKey(String(date).length === 10 ? parseDayKey(date) : date) : '', count: Number(count) || 0 };
+    });
+}
+
+// Buckets submissions per day between from and to (inclusive), with an
+// optional per-series breakdown keyed by `seriesOf(sub)` (e.g. client name).
+export function bucketByDay(submissions, from, to, seriesOf) {
+    const days = dayRange(from, to);
+    const index = new Map(days.map((d, i) => [d, i]));
+    const points = days.map((date) => ({ date, count: 0, series: {} }));
+    (submissions || []).forEach((sub) => {
+        const i = index.get(dayKey(sub?.submitted_at));
+        if (i === undefined) return;
+        points[i].count += 1;
+        if (seriesOf) {
+            const name = seriesOf(sub) || 'Unknown';
+            points[i].series[name] = (points[i].series[name] || 0) + 1;
+        }
+    });
+    return points;
+}
+
+// Series names ordered by total, keeping `limit` and folding the rest into "Other"
+export function topSeries(points, limit = 5) {
+    const totals = new Map();
+    points.forEach((p) => Object.entries(p.series || {}).forEach(([name, n]) => {
+        totals.set(name, (totals.get(name) || 0) + n);
+    }));
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([name]) => name);
+    if (ranked.length <= limit) return ranked;
+    return [...ranked.slice(0, limit), 'Other'];
+}
+
+export function seriesValue(point, name, keep) {
+    if (name !== 'Other') return point.series?.[name] || 0;
+    return Object.entries(point.series || {})
+        .filter(([n]) => !keep.includes(n))
+        .reduce((sum, [, n]) => sum + n, 0);
+}
@@ -0,0 +1,32 @@
+import { dayKey, dayRange, normalizeDailyTrend, bucketByDay, topSeries, seriesValue } from './trends';
+
+test('dayRange is inclusive', () => {
+    expect(dayRange(new Date(2026, 2, 30), new Date(2026, 3, 1))).toEqual(['2026-03-30', '2026-03-31', '2026-04-01']);
+});
+
+test('normalizeDailyTrend accepts counts or objects', () => {
+    const counts = normalizeDailyTrend([1, 2, 3]);
+    expect(counts.map((p) => p.count)).toEqual([1, 2, 3]);
+    expect(counts[2].date).toBe(dayKey(new Date()));
+    expect(normalizeDailyTrend([{ date: '2026-03-01', count: '4' }])).toEqual([{ date: '2026-03-01', count: 4 }]);
+    expect(normalizeDailyTrend(undefined)).toEqual([]);
+});
+
+test('bucketByDay counts per day and per series', () => {
+    const subs = [
+        { submitted_at: new Date(2026, 2, 1, 9).toISOString(), client_name: 'Acme' },
+        { submitted_at: new Date(2026, 2, 1, 17).toISOString(), client_name: 'Beta' },
+        { submitted_at: new Date(2026, 2, 3, 12).toISOString(), client_name: 'Acme' },
+        { submitted_at: new Date(2026, 2, 9, 12).toISOString(), client_name: 'Acme' },
+    ];
+    const points = bucketByDay(subs, new Date(2026, 2, 1), new Date(2026, 2, 3), (s) => s.client_name);
+    expect(points.map((p) => p.count)).toEqual([2, 0, 1]);
+    expect(points[0].series).toEqual({ Acme: 1, Beta: 1 });
+});
+
+test('topSeries folds the long tail into Other', () => {
+    const points = [{ series: { A: 5, B: 3, C: 1 } }];
+    const keep = topSeries(points, 2);
+    expect(keep).toEqual(['A', 'B', 'Other']);
+    expect(seriesValue(points[0], 'Other', keep)).toBe(1);
+});